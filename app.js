@@ -4,11 +4,12 @@ const GITHUB_CONFIG = {
     repo: 'daily-board',
     branch: 'main',
     dataPath: 'data.json',
+    backups: true, // Commit a backup of the previous data.json with every save (see BACKUP_RETENTION)
     token: localStorage.getItem('githubToken') || ''
 };
 
 // Sync mode state
-let syncMode = 'unknown'; // 'github' or 'local-only'
+let syncMode = 'unknown'; // A registered sync provider id ('github', 'server', 'local-only')
 
 // Sync mode display constants
 const SYNC_MODE_DISPLAY = {
@@ -16,6 +17,10 @@ const SYNC_MODE_DISPLAY = {
         text: '✓ Sync: GitHub API',
         color: '#007bff'
     },
+    'server': {
+        text: '✓ Sync: Server',
+        color: '#007bff'
+    },
     'local-only': {
         text: '⚠️ Sync: Local Only (No cross-device sync)',
         color: '#ffc107'
@@ -32,38 +37,58 @@ let appData = {
     tabs: [],
     listItems: {}
 };
-let currentSHA = null;
+let syncedVersion = null; // Remote version (e.g. file SHA) the local data is based on
+let syncBase = null; // Data as of the last successful sync, the base for three-way merges
 let isSyncing = false;
 
-// Fixed daily disciplines
-const FIXED_DISCIPLINES = [
-    'WH Breathing',
-    'Yoga',
-    'Pull up bar / weights',
-    'Review Goals and Actions',
-    'Update Finances'
-];
+// Weekday labels, indexed like Date.getDay()
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Board views: a single day, or week/month overviews
+const VIEW_MODES = ['day', 'week', 'month'];
 
 // State management
 let currentDate = new Date();
+let viewMode = 'day';
 let currentTabId = null;
 let listTextareaSaveTimeout = null;
 let isOffline = false;
 let pendingSyncQueue = [];
 
-// WebSocket Configuration (Optional)
-const WEBSOCKET_CONFIG = {
-    enabled: false, // Set to true to enable WebSocket sync
-    url: 'ws://localhost:3000',
-    socket: null
+// Server Configuration (Optional, see server.js)
+const SERVER_CONFIG = {
+    url: localStorage.getItem('serverUrl') || '',
+    // Session token and account name from signing in to the server
+    token: localStorage.getItem('serverToken') || '',
+    username: localStorage.getItem('serverUsername') || '',
+    // Open board; empty means the user's personal board
+    boardId: localStorage.getItem('serverBoardId') || ''
 };
 
+// Sync mode chosen in the Sync Configuration panel ('auto', 'github', 'server', 'local-only')
+// 'auto' keeps the original behaviour: GitHub when a token is configured, otherwise local-only
+let syncModePreference = localStorage.getItem('syncModePreference') || 'auto';
+
 // Data Retention Configuration
+// Defaults; the window can be changed from the settings panel (appData.settings.retention)
 const DATA_RETENTION = {
     daysBack: 5,
     daysForward: 5
 };
 
+// Backup Rotation Configuration (GitHub backups in backups/, see GITHUB_CONFIG.backups)
+// Keep every backup from the last hour, then the newest one per hour for a day
+// and the newest one per day for a month; older backups are deleted
+const BACKUP_RETENTION = {
+    keepAllMs: 60 * 60 * 1000,
+    hourlyMs: 24 * 60 * 60 * 1000,
+    dailyMs: 30 * 24 * 60 * 60 * 1000,
+    pruneIntervalMs: 60 * 60 * 1000 // Check for backups to delete at most once an hour per device
+};
+
+// Number of merge-and-save rounds before giving up on a contended save
+const MAX_SAVE_ATTEMPTS = 3;
+
 // Auto-Sync Configuration
 const AUTO_SYNC_CONFIG = {
     enabled: true, // Enable automatic polling for changes
@@ -71,7 +96,7 @@ const AUTO_SYNC_CONFIG = {
                       // Note: This is 720 requests/hour, well within GitHub's 5,000 requests/hour limit
     initialDelayMs: 5000, // Initial check delay after startup (5 seconds)
     lastSyncTime: null,
-    pollTimer: null,
+    unwatch: null, // Unsubscribe function returned by the provider's watch()
     isChecking: false, // Flag to prevent concurrent checks
     pausedDueToVisibility: false // Flag to track if auto-sync is paused due to page visibility
 };
@@ -84,25 +109,43 @@ const TIME_CONSTANTS = {
 
 // Data Retention Functions
 
+// Archived date entries loaded for read-only browsing, keyed by month (YYYY-MM)
+// A month is 'loading' while its archive file is being fetched
+const archiveCache = {};
+
 /**
- * Calculate the date range for data retention (5 days back, 5 days forward from today)
+ * Get the retention window, falling back to the DATA_RETENTION defaults
+ * Stored in appData so every device archives the same days
+ * @returns {{daysBack: number, daysForward: number}} Retention settings
+ */
+function getRetentionSettings() {
+    const retention = (appData.settings && appData.settings.retention) || {};
+    return {
+        daysBack: Number.isInteger(retention.daysBack) ? retention.daysBack : DATA_RETENTION.daysBack,
+        daysForward: Number.isInteger(retention.daysForward) ? retention.daysForward : DATA_RETENTION.daysForward
+    };
+}
+
+/**
+ * Calculate the date range for data retention (days back and forward from today)
  * @returns {Object} Object with startDate and endDate
  */
 function getRetentionDateRange() {
     const today = new Date();
     today.setHours(0, 0, 0, 0); // Reset to start of day
+    const { daysBack, daysForward } = getRetentionSettings();
     
     const startDate = new Date(today);
-    startDate.setDate(today.getDate() - DATA_RETENTION.daysBack);
+    startDate.setDate(today.getDate() - daysBack);
     
     const endDate = new Date(today);
-    endDate.setDate(today.getDate() + DATA_RETENTION.daysForward);
+    endDate.setDate(today.getDate() + daysForward);
     
     return {
         startDate,
         endDate,
-        startDateKey: startDate.toISOString().split('T')[0],
-        endDateKey: endDate.toISOString().split('T')[0]
+        startDateKey: formatDateKey(startDate),
+        endDateKey: formatDateKey(endDate)
     };
 }
 
@@ -118,58 +161,189 @@ function isWithinRetentionWindow(dateKey) {
 }
 
 /**
- * Clean up old date entries outside the retention window
- * Removes entries older than 5 days back and newer than 5 days forward
- * @returns {number} Number of entries removed
+ * Check if a date key lies before the retention window
+ * Only those days are archived; later days stay in appData however far ahead they are
+ * @param {string} dateKey - Date key in YYYY-MM-DD format
+ * @returns {boolean} True for archived days
+ */
+function isArchivedDate(dateKey) {
+    return dateKey < getRetentionDateRange().startDateKey;
+}
+
+/**
+ * Move date entries before the retention window into monthly archives
+ * Tasks go to the active provider's archive (e.g. archive/2026-01.json) where they
+ * can be browsed read-only; completed disciplines stay in dateEntries so streaks
+ * and the discipline history heatmap stay accurate
+ * @returns {Promise<number>} Number of entries archived, trimmed or removed
  */
-function cleanupOldEntries() {
-    if (!appData.dateEntries) {
+async function archiveOldEntries() {
+    // Archiving rewrites the board - leave that to its editors
+    if (!appData.dateEntries || isBoardReadOnly()) {
         return 0;
     }
     
-    const dateKeys = Object.keys(appData.dateEntries);
+    const provider = getActiveSyncProvider();
+    const entriesByMonth = {};
     const removedKeys = [];
     
-    dateKeys.forEach(dateKey => {
-        if (!isWithinRetentionWindow(dateKey)) {
+    Object.keys(appData.dateEntries).forEach(dateKey => {
+        if (!isArchivedDate(dateKey)) {
+            return;
+        }
+        
+        const entry = appData.dateEntries[dateKey] || {};
+        if (entry.tasks && entry.tasks.length > 0) {
+            const month = dateKey.slice(0, 7);
+            entriesByMonth[month] = entriesByMonth[month] || {};
+            entriesByMonth[month][dateKey] = entry;
+        } else if (trimToDisciplineHistory(dateKey)) {
             removedKeys.push(dateKey);
-            delete appData.dateEntries[dateKey];
         }
     });
     
+    const archivedKeys = [];
+    if (Object.keys(entriesByMonth).length > 0 && isOffline && provider.id !== 'local-only') {
+        console.log('Data retention: Offline, archiving postponed');
+    } else {
+        for (const month of Object.keys(entriesByMonth)) {
+            try {
+                await provider.archive(month, entriesByMonth[month]);
+            } catch (error) {
+                // Keep the entries until the archive write succeeds
+                logError('archiveOldEntries', error, { month });
+                continue;
+            }
+            delete archiveCache[month];
+            Object.keys(entriesByMonth[month]).forEach(dateKey => {
+                trimToDisciplineHistory(dateKey);
+                archivedKeys.push(dateKey);
+            });
+        }
+    }
+    
     if (removedKeys.length > 0) {
-        console.log(`Data retention: Removed ${removedKeys.length} old entries:`, removedKeys);
+        console.log(`Data retention: Cleaned up ${removedKeys.length} entries without tasks:`, removedKeys);
+    }
+    if (archivedKeys.length > 0) {
+        console.log(`Data retention: Archived ${archivedKeys.length} entries:`, archivedKeys);
     }
     
-    return removedKeys.length;
+    return removedKeys.length + archivedKeys.length;
 }
 
 /**
- * Schedule periodic cleanup of old entries
- * Runs cleanup every hour
+ * Reduce a date entry to its completed disciplines, or remove it if there are none
+ * @param {string} dateKey - Date key of the entry
+ * @returns {boolean} True if the entry was changed
  */
-function schedulePeriodicCleanup() {
-    // Run cleanup immediately on startup
-    const removedCount = cleanupOldEntries();
-    if (removedCount > 0) {
-        // Save changes if entries were removed
-        updateData('Automatic cleanup: removed old entries outside retention window');
+function trimToDisciplineHistory(dateKey) {
+    const entry = appData.dateEntries[dateKey] || {};
+    const disciplines = entry.disciplines || {};
+    const completed = {};
+    Object.keys(disciplines).forEach(id => {
+        if (disciplines[id]) {
+            completed[id] = true;
+        }
+    });
+    
+    if (Object.keys(completed).length === 0) {
+        delete appData.dateEntries[dateKey];
+        return true;
     }
     
-    // Schedule cleanup every hour (3600000 ms)
-    setInterval(() => {
-        const count = cleanupOldEntries();
+    const alreadyTrimmed = (!entry.tasks || entry.tasks.length === 0) &&
+        Object.keys(disciplines).length === Object.keys(completed).length;
+    appData.dateEntries[dateKey] = { disciplines: completed, tasks: [] };
+    return !alreadyTrimmed;
+}
+
+/**
+ * Check whether the viewed day lies before the retention window (read-only)
+ * @returns {boolean} True for archived days
+ */
+function isViewingArchivedDate() {
+    return isArchivedDate(getDateKey());
+}
+
+/**
+ * Fetch a month's archive for browsing and re-render once it arrives
+ * @param {string} month - Month key (YYYY-MM)
+ */
+async function loadArchiveMonth(month) {
+    archiveCache[month] = 'loading';
+    try {
+        archiveCache[month] = await getActiveSyncProvider().fetchArchive(month);
+    } catch (error) {
+        logError('loadArchiveMonth', error, { month });
+        showError(`Failed to load the archive for ${month}.`);
+        archiveCache[month] = {};
+    }
+    
+    if (getDateKey().startsWith(month)) {
+        loadDisciplines();
+        loadTasks();
+    }
+}
+
+/**
+ * Get the entry for the viewed day without creating one
+ * Days inside the retention window come from appData (with their recurring tasks,
+ * see peekDateEntry); archived days combine
+ * the archived tasks with the discipline history kept in appData
+ * @returns {Object|null} Date entry, or null while its archive is loading
+ */
+function getViewedDateEntry() {
+    const dateKey = getDateKey();
+    if (!isViewingArchivedDate()) {
+        return peekDateEntry(dateKey);
+    }
+    
+    const month = dateKey.slice(0, 7);
+    if (archiveCache[month] === undefined) {
+        loadArchiveMonth(month);
+    }
+    if (archiveCache[month] === undefined || archiveCache[month] === 'loading') {
+        return null;
+    }
+    
+    const archived = archiveCache[month][dateKey] || {};
+    const current = appData.dateEntries[dateKey] || {};
+    return {
+        disciplines: { ...(archived.disciplines || {}), ...(current.disciplines || {}) },
+        tasks: (current.tasks && current.tasks.length > 0) ? current.tasks : (archived.tasks || [])
+    };
+}
+
+/**
+ * Schedule periodic archiving of old entries
+ * Runs every hour
+ */
+function schedulePeriodicCleanup() {
+    const runCleanup = async () => {
+        const count = await archiveOldEntries();
         if (count > 0) {
-            updateData('Automatic cleanup: removed old entries outside retention window');
+            // Save changes if entries were archived or removed
+            syncHistoryBase();
+            await updateData('Automatic cleanup: archived entries outside retention window');
         }
-    }, 3600000); // 1 hour
+        // Catch the day change when the board stays open overnight
+        await runDailyRollover();
+    };
+    
+    // Run cleanup immediately on startup
+    runCleanup();
+    
+    // Schedule cleanup every hour (3600000 ms)
+    setInterval(runCleanup, 3600000); // 1 hour
 }
 
 // Auto-Sync Functions
 
 /**
- * Start automatic polling to detect remote file changes
- * Periodically checks if the remote file has been updated by another device
+ * Start watching the active sync provider for remote changes
+ * GitHub polls for SHA changes, the server pushes over socket.io and
+ * local storage listens for edits made in other tabs
  */
 function startAutoSync() {
     if (!AUTO_SYNC_CONFIG.enabled) {
@@ -177,65 +351,12 @@ function startAutoSync() {
         return;
     }
     
-    // Auto-sync works with local server or GitHub, but not in local-only mode
-    if (syncMode === 'local-only') {
-        console.log('[Auto-Sync] Local-only mode - auto-sync not available');
-        return;
-    }
-    
-    console.log(`[Auto-Sync] Starting automatic sync polling (interval: ${AUTO_SYNC_CONFIG.intervalMs}ms) in ${syncMode} mode`);
+    // Clear any existing watcher
+    stopAutoSync();
     
-    // Clear any existing timer
-    if (AUTO_SYNC_CONFIG.pollTimer) {
-        clearInterval(AUTO_SYNC_CONFIG.pollTimer);
-    }
-    
-    // Set up periodic polling
-    AUTO_SYNC_CONFIG.pollTimer = setInterval(async () => {
-        // Prevent concurrent executions
-        if (AUTO_SYNC_CONFIG.isChecking) {
-            console.log('[Auto-Sync] Previous check still in progress, skipping');
-            return;
-        }
-        
-        // Check if page is currently visible/active
-        // Only perform auto-sync when user is actively viewing the page
-        if (document.hidden) {
-            console.log('[Auto-Sync] Page not visible, skipping poll');
-            AUTO_SYNC_CONFIG.pausedDueToVisibility = true;
-            // Still update the display to show time elapsed
-            updateSyncStatusDisplay();
-            return;
-        }
-        
-        // Log when resuming after being paused
-        if (AUTO_SYNC_CONFIG.pausedDueToVisibility) {
-            console.log('[Auto-Sync] Page now visible, resuming sync');
-            AUTO_SYNC_CONFIG.pausedDueToVisibility = false;
-        }
-        
-        if (isOffline || isSyncing) {
-            console.log('[Auto-Sync] Skipping poll (offline or sync in progress)');
-            // Still update the display to show time elapsed
-            updateSyncStatusDisplay();
-            return;
-        }
-        
-        AUTO_SYNC_CONFIG.isChecking = true;
-        try {
-            await checkForRemoteUpdates();
-        } catch (error) {
-            console.error('[Auto-Sync] Error during auto-sync:', error);
-            // Log error but don't show intrusive notifications for background sync failures
-            // User can check error log if needed
-            logError('autoSync', error);
-        } finally {
-            AUTO_SYNC_CONFIG.isChecking = false;
-        }
-        
-        // Update sync status display on every poll cycle
-        updateSyncStatusDisplay();
-    }, AUTO_SYNC_CONFIG.intervalMs);
+    const provider = getActiveSyncProvider();
+    console.log(`[Auto-Sync] Watching for remote changes in ${syncMode} mode`);
+    AUTO_SYNC_CONFIG.unwatch = provider.watch(handleRemoteChange);
     
     // Also do an initial check after a short delay
     setTimeout(() => {
@@ -246,60 +367,76 @@ function startAutoSync() {
 }
 
 /**
- * Stop automatic polling
+ * Stop watching for remote changes
  */
 function stopAutoSync() {
-    if (AUTO_SYNC_CONFIG.pollTimer) {
-        clearInterval(AUTO_SYNC_CONFIG.pollTimer);
-        AUTO_SYNC_CONFIG.pollTimer = null;
-        console.log('[Auto-Sync] Stopped automatic sync polling');
+    if (AUTO_SYNC_CONFIG.unwatch) {
+        AUTO_SYNC_CONFIG.unwatch();
+        AUTO_SYNC_CONFIG.unwatch = null;
+        console.log('[Auto-Sync] Stopped watching for remote changes');
     }
 }
 
 /**
- * Check if the remote file has been updated since our last sync
- * If so, fetch the latest data and merge intelligently
+ * Ask the active provider for its remote version and reload if it moved on
  */
 async function checkForRemoteUpdates() {
     try {
-        // For GitHub mode, we use SHA-based detection
-        if (syncMode === 'github') {
-            const remoteSHA = await checkRemoteSHA();
-            
-            // If we don't have a current SHA or remote check failed, skip
-            if (!remoteSHA) {
-                console.log('[Auto-Sync] Remote SHA check failed, skipping poll');
-                return;
-            }
-            
-            if (!currentSHA) {
-                console.log('[Auto-Sync] No local SHA available yet, skipping poll');
-                return;
-            }
-            
-            // If SHA has changed, remote file was updated
-            if (remoteSHA !== currentSHA) {
-                console.log('[Auto-Sync] Remote file updated, fetching changes...');
-                
-                // Fetch the updated data
-                await fetchDataFromGitHub();
-                
-                // Update UI with the latest data
-                updateDateDisplay();
-                loadDisciplines();
-                loadTasks();
-                loadTabs();
-                loadCurrentTab();
-                
-                // Show notification
-                showMessage('📥 Data synchronized from remote', 'success', 3000);
-            }
+        const version = await getActiveSyncProvider().getVersion();
+        if (version) {
+            await handleRemoteChange({ version });
         }
     } catch (error) {
         console.error('[Auto-Sync] Error checking for remote updates:', error);
     }
 }
 
+/**
+ * Apply a change reported by the active provider's watcher
+ * @param {Object} change - { version, data } as reported by the provider
+ */
+async function handleRemoteChange(change = {}) {
+    // Same version as we last synced - nothing to do
+    if (change.version && change.version === syncedVersion) {
+        return;
+    }
+    
+    // A remote patch applies on top of the version it was made against;
+    // if we are not at that version, load the whole document instead
+    if (change.ops) {
+        change = syncBase && change.previousVersion === syncedVersion
+            ? { data: applyPatch(syncBase, change.ops), version: change.version }
+            : { version: change.version };
+    }
+    
+    if (!change.data && !syncedVersion) {
+        console.log('[Auto-Sync] No local version available yet, skipping');
+        return;
+    }
+    
+    console.log('[Auto-Sync] Remote data updated, applying changes...');
+    
+    if (change.data) {
+        const hasLocalChanges = await mergeRemoteData(change.data);
+        if (change.version) {
+            syncedVersion = change.version;
+        }
+        saveToLocalStorage();
+        updateLastSyncTime();
+        if (hasLocalChanges) {
+            await updateData('Merge local changes with remote update');
+        }
+    } else {
+        await fetchData();
+    }
+    
+    // Update UI with the latest data
+    refreshBoard();
+    
+    // Show notification
+    showMessage('📥 Data synchronized from remote', 'success', 3000);
+}
+
 /**
  * Update the last sync timestamp
  */
@@ -418,7 +555,7 @@ function setupOfflineDetection() {
             // When page becomes visible again, check for updates if enough time has passed
             // This ensures users see the latest data when they return to the tab
             // Only check if we haven't synced in the last 5 seconds to avoid excessive API calls
-            if (!isOffline && !isSyncing && !AUTO_SYNC_CONFIG.isChecking && GITHUB_CONFIG.token) {
+            if (!isOffline && !isSyncing && !AUTO_SYNC_CONFIG.isChecking && syncMode !== 'local-only') {
                 // Only check for updates if more than 5 seconds have passed since last sync
                 // This prevents excessive API calls when frequently switching tabs
                 if (!AUTO_SYNC_CONFIG.lastSyncTime || (Date.now() - new Date(AUTO_SYNC_CONFIG.lastSyncTime).getTime()) > 5000) {
@@ -456,6 +593,7 @@ function updateOnlineStatus() {
 function addToPendingSyncQueue(operation) {
     pendingSyncQueue.push({
         operation,
+        boardId: getLocalBoardId(),
         timestamp: Date.now(),
         data: JSON.parse(JSON.stringify(appData)) // Deep copy
     });
@@ -467,9 +605,15 @@ function addToPendingSyncQueue(operation) {
 
 /**
  * Process pending sync queue when back online
+ * Only saves queued on the open board are sent; the rest wait until their board is open
  */
 async function processPendingSyncQueue() {
+    const boardId = getLocalBoardId();
+    const belongsHere = item => item.boardId === undefined || item.boardId === boardId;
+    const otherBoards = pendingSyncQueue.filter(item => !belongsHere(item));
+    pendingSyncQueue = pendingSyncQueue.filter(belongsHere);
     if (pendingSyncQueue.length === 0) {
+        pendingSyncQueue = otherBoards;
         return;
     }
     
@@ -481,6 +625,7 @@ async function processPendingSyncQueue() {
         try {
             // Use the most recent data (from the last queue item)
             appData = item.data;
+            syncHistoryBase();
             await updateData(item.operation);
             console.log('[App] Synced:', item.operation);
         } catch (error) {
@@ -491,13 +636,18 @@ async function processPendingSyncQueue() {
         }
     }
     
+    const synced = pendingSyncQueue.length === 0;
+    pendingSyncQueue = pendingSyncQueue.concat(otherBoards);
+    
     // Clear queue from localStorage if empty
     if (pendingSyncQueue.length === 0) {
         localStorage.removeItem('dailyBoard_syncQueue');
-        showMessage('All pending changes synced successfully!', 'success');
     } else {
         localStorage.setItem('dailyBoard_syncQueue', JSON.stringify(pendingSyncQueue));
     }
+    if (synced) {
+        showMessage('All pending changes synced successfully!', 'success');
+    }
 }
 
 /**
@@ -521,113 +671,6 @@ function loadPendingSyncQueue() {
     }
 }
 
-// WebSocket Support (Optional)
-
-/**
- * Initialize WebSocket connection for real-time sync
- * This is optional - app works without it using GitHub API
- */
-function initializeWebSocket() {
-    if (!WEBSOCKET_CONFIG.enabled) {
-        console.log('[WebSocket] Disabled - using GitHub API for sync');
-        return;
-    }
-    
-    try {
-        // Check if Socket.IO is available
-        if (typeof io === 'undefined') {
-            console.warn('[WebSocket] Socket.IO library not loaded. Install with: <script src="https://cdn.socket.io/4.6.1/socket.io.min.js"></script>');
-            WEBSOCKET_CONFIG.enabled = false;
-            return;
-        }
-        
-        console.log('[WebSocket] Connecting to', WEBSOCKET_CONFIG.url);
-        WEBSOCKET_CONFIG.socket = io(WEBSOCKET_CONFIG.url);
-        
-        // Connection established
-        WEBSOCKET_CONFIG.socket.on('connected', (data) => {
-            console.log('[WebSocket] Connected:', data.message);
-            showMessage('Real-time sync enabled!', 'success');
-            
-            // Request initial data sync
-            WEBSOCKET_CONFIG.socket.emit('sync:request');
-        });
-        
-        // Receive sync response
-        WEBSOCKET_CONFIG.socket.on('sync:response', (data) => {
-            console.log('[WebSocket] Received data from server');
-            appData = initializeDataStructure(data);
-            updateDateDisplay();
-            loadDisciplines();
-            loadTasks();
-            loadTabs();
-            loadCurrentTab();
-        });
-        
-        // Receive updates from other clients
-        WEBSOCKET_CONFIG.socket.on('data:updated', (data) => {
-            console.log('[WebSocket] Received update from another client');
-            appData = initializeDataStructure(data);
-            updateDateDisplay();
-            loadDisciplines();
-            loadTasks();
-            loadTabs();
-            loadCurrentTab();
-            showMessage('Data updated from another device', 'success');
-        });
-        
-        // Confirmation that data was saved
-        WEBSOCKET_CONFIG.socket.on('data:saved', (response) => {
-            console.log('[WebSocket] Data saved successfully:', response.timestamp);
-        });
-        
-        // Error handling
-        WEBSOCKET_CONFIG.socket.on('sync:error', (error) => {
-            console.error('[WebSocket] Sync error:', error);
-            logError('WebSocket sync', new Error(error.message));
-            showError('WebSocket sync failed: ' + error.message);
-        });
-        
-        WEBSOCKET_CONFIG.socket.on('data:error', (error) => {
-            console.error('[WebSocket] Data error:', error);
-            logError('WebSocket data', new Error(error.message));
-            showError('WebSocket data error: ' + error.message);
-        });
-        
-        // Connection error
-        WEBSOCKET_CONFIG.socket.on('connect_error', (error) => {
-            console.error('[WebSocket] Connection error:', error);
-            logError('WebSocket connection', error);
-            showError('WebSocket connection failed. Falling back to GitHub sync.');
-            WEBSOCKET_CONFIG.enabled = false;
-        });
-        
-        // Disconnection
-        WEBSOCKET_CONFIG.socket.on('disconnect', () => {
-            console.log('[WebSocket] Disconnected from server');
-            showMessage('WebSocket disconnected. Using GitHub sync.', 'error');
-        });
-        
-    } catch (error) {
-        console.error('[WebSocket] Initialization failed:', error);
-        logError('WebSocket init', error);
-        WEBSOCKET_CONFIG.enabled = false;
-    }
-}
-
-/**
- * Send data update via WebSocket
- */
-function sendWebSocketUpdate(message = 'Update data') {
-    if (!WEBSOCKET_CONFIG.enabled || !WEBSOCKET_CONFIG.socket || !WEBSOCKET_CONFIG.socket.connected) {
-        return false;
-    }
-    
-    console.log('[WebSocket] Sending update:', message);
-    WEBSOCKET_CONFIG.socket.emit('data:update', appData);
-    return true;
-}
-
 // Error Logging and Enhanced Error Handling
 
 /**
@@ -685,98 +728,6 @@ function clearErrorLog() {
     console.log('[App] Error log cleared');
 }
 
-// GitHub API Functions
-
-/**
- * Check the current SHA of data.json from GitHub
- * Used to detect if the file has been modified remotely
- * @returns {Promise<string|null>} The current SHA of the file, or null if failed
- */
-async function checkRemoteSHA() {
-    try {
-        const metaResponse = await fetch(
-            `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${GITHUB_CONFIG.dataPath}`,
-            {
-                headers: GITHUB_CONFIG.token ? {
-                    'Authorization': `Bearer ${GITHUB_CONFIG.token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                } : {
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-        
-        if (!metaResponse.ok) {
-            const errorMsg = `Failed to check remote SHA: ${metaResponse.status}`;
-            console.error(errorMsg);
-            logError('checkRemoteSHA', new Error(errorMsg), { status: metaResponse.status });
-            return null;
-        }
-        
-        const metaData = await metaResponse.json();
-        return metaData.sha;
-    } catch (error) {
-        console.error('Error checking remote SHA:', error);
-        logError('checkRemoteSHA', error);
-        return null;
-    }
-}
-
-/**
- * Create a timestamped backup of data.json in the repository
- * The backup file will be named data_backup_YYYYMMDDTHHMMSS.json
- * @returns {Promise<boolean>} True if backup was successful, false otherwise
- */
-async function createBackup() {
-    try {
-        if (!GITHUB_CONFIG.token) {
-            console.log('Cannot create backup: GitHub token not configured');
-            return false;
-        }
-        
-        // Generate timestamp for backup filename (ISO 8601 format without special chars)
-        const now = new Date();
-        const timestamp = now.toISOString().replace(/[-:]/g, '').split('.')[0]; // Format: YYYYMMDDTHHMMSS
-        const backupPath = `data_backup_${timestamp}.json`;
-        
-        // Encode the current appData as base64 for GitHub API
-        const jsonString = JSON.stringify(appData, null, 2);
-        const bytes = new TextEncoder().encode(jsonString);
-        const binString = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
-        const content = btoa(binString);
-        
-        // Create the backup file in the repository
-        const response = await fetch(
-            `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${backupPath}`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${GITHUB_CONFIG.token}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/vnd.github.v3+json'
-                },
-                body: JSON.stringify({
-                    message: `Backup data before update - ${timestamp}`,
-                    content: content,
-                    branch: GITHUB_CONFIG.branch
-                })
-            }
-        );
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('Failed to create backup:', errorData);
-            return false;
-        }
-        
-        console.log(`Backup created successfully: ${backupPath}`);
-        return true;
-    } catch (error) {
-        console.error('Error creating backup:', error);
-        return false;
-    }
-}
-
 // Data structure initialization helper
 function initializeDataStructure(data) {
     if (!data) {
@@ -791,18 +742,46 @@ function initializeDataStructure(data) {
     if (!data.dateEntries) {
         data.dateEntries = {};
     }
+    if (!data.settings) {
+        data.settings = {};
+    }
+    if (!data.recurringTasks) {
+        data.recurringTasks = [];
+    }
+    const migrations = migrateAppData(data);
+    if (migrations.length > 0) {
+        console.log(`[Schema] Migrated data to version ${SCHEMA_VERSION}:`, migrations);
+    }
     return data;
 }
 
 /**
- * Check if local server is available
- * @returns {Promise<boolean>} True if local server is available
+ * Generate a unique id with the given prefix (e.g. 'task')
+ * @param {string} prefix - Id prefix
+ * @returns {string} Unique id
  */
+function generateId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
 /**
  * Determine the active sync mode
  * @returns {Promise<string>} 'github' or 'local-only'
  */
 async function determineSyncMode() {
+    if (syncModePreference === 'local-only') {
+        console.log('[Sync] Local-only mode selected');
+        return 'local-only';
+    }
+    
+    if (syncModePreference === 'server') {
+        if (SERVER_CONFIG.url && SERVER_CONFIG.token) {
+            console.log(`[Sync] Server mode selected - using ${SERVER_CONFIG.url} as ${SERVER_CONFIG.username}`);
+            return 'server';
+        }
+        console.warn('[Sync] Server mode selected but no server URL configured or not signed in');
+    }
+    
     // Check if GitHub token is configured
     if (GITHUB_CONFIG.token) {
         console.log('[Sync] GitHub token configured - using GitHub API mode');
@@ -813,8 +792,36 @@ async function determineSyncMode() {
     console.log('[Sync] No token - using local-only mode');
     return 'local-only';
 }
+
+/**
+ * Re-detect the sync mode after a configuration change and reload from the new backend
+ */
+async function restartSync() {
+    stopAutoSync();
+    syncMode = 'unknown';
+    syncMode = await determineSyncMode();
+    updateSyncModeDisplay();
+    
+    // The version we synced belongs to the previous backend
+    syncedVersion = null;
+    clearHistory();
+    await fetchData();
+    await loadBoards();
+    refreshBoard();
+    startAutoSync();
+}
+
+/**
+ * Get the sync provider for the current sync mode (see sync-providers.js)
+ * @returns {Object} The active provider
+ */
+function getActiveSyncProvider() {
+    return getSyncProvider(syncMode);
+}
+
 /**
- * Fetch data from remote source (routes to GitHub based on sync mode)
+ * Fetch data from the active sync provider
+ * Falls back to localStorage if the provider cannot be reached
  * @returns {Promise<Object>} The fetched data
  */
 async function fetchData() {
@@ -824,116 +831,96 @@ async function fetchData() {
         updateSyncModeDisplay();
     }
     
-    // Route to appropriate sync method
-    if (syncMode === 'github') {
-        return await fetchDataFromGitHub();
-    } else {
-        // Local-only mode - load from localStorage
-        console.log('[Sync] Local-only mode - loading from localStorage');
-        return loadFromLocalStorageFallback();
+    const provider = getActiveSyncProvider();
+    
+    try {
+        showSyncIndicator('loading');
+        
+        const result = await provider.fetch();
+        
+        if (provider.id === 'local-only') {
+            const { data, repairs } = loadCheckedData(result.data, provider.label);
+            appData = data;
+            syncHistoryBase();
+            showRepairMessage(repairs);
+            hideSyncIndicator();
+            return appData;
+        }
+        
+        // Keep local edits that were not synced yet
+        const hasLocalChanges = await mergeRemoteData(result.data);
+        syncedVersion = result.version;
+        updateLastSyncTime();
+        
+        hideSyncIndicator();
+        
+        if (hasLocalChanges) {
+            await updateData('Merge local changes with remote data');
+        }
+        return appData;
+    } catch (error) {
+        console.error(`Error fetching data from ${provider.label}:`, error);
+        logError('fetchData', error, { syncMode, status: error.status });
+        hideSyncIndicator();
+        
+        showError(`Failed to load data from ${provider.label}. Using local fallback.`);
+        
+        // Fallback to localStorage if the provider fetch fails - unless the copy there
+        // was saved from another board, then the data that is open stays
+        if (!isLocalCopyForOpenBoard()) {
+            return appData;
+        }
+        const fallback = await getSyncProvider('local-only').fetch();
+        appData = loadCheckedData(fallback.data, 'localStorage').data;
+        syncHistoryBase();
+        return appData;
     }
 }
 
 /**
- * Update data to remote source (routes to GitHub based on sync mode)
+ * Save appData through the active sync provider
+ * Always keeps a localStorage copy, and queues the save while offline
  * @param {string} message - Commit message
  * @returns {Promise<void>}
  */
 async function updateData(message = 'Update data') {
+    // Record the edit for undo before anything async can interleave
+    if (!isBoardReadOnly()) {
+        recordHistory(message);
+    }
+    
     // Determine sync mode if not already set
     if (syncMode === 'unknown') {
         syncMode = await determineSyncMode();
         updateSyncModeDisplay();
     }
     
-    // Route to appropriate sync method
-    if (syncMode === 'github') {
-        return await updateDataToGitHub(message);
-    } else {
-        // Local-only mode - save to localStorage only
-        console.log('[Sync] Local-only mode - saving to localStorage only');
+    const provider = getActiveSyncProvider();
+    
+    if (!isBoardReadOnly() && !checkDataBeforeSave(provider)) {
         saveToLocalStorage();
+        return;
     }
-}
-
-/**
- * Fetch data from GitHub repository
- * Uses the GitHub Contents API to get the file content directly,
- * which avoids the caching issue that occurs with raw.githubusercontent.com
- * (raw URLs can cache for up to 5 minutes, causing sync delays between devices)
- */
-async function fetchDataFromGitHub() {
-    try {
-        showSyncIndicator('loading');
-        
-        // Fetch file metadata and content in one API call
-        const metaResponse = await fetch(
-            `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${GITHUB_CONFIG.dataPath}`,
-            {
-                headers: GITHUB_CONFIG.token ? {
-                    'Authorization': `Bearer ${GITHUB_CONFIG.token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                } : {
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-        
-        if (!metaResponse.ok) {
-            throw new Error(`Failed to fetch metadata: ${metaResponse.status}`);
-        }
-        
-        const metaData = await metaResponse.json();
-        currentSHA = metaData.sha;
-        
-        // Validate API response includes content
-        if (!metaData.content) {
-            throw new Error('No content found in API response');
-        }
-        
-        // Decode the base64 content from the API response
-        // This avoids the caching issue with raw.githubusercontent.com
-        // GitHub API returns base64 with newlines; we must strip them before decoding
-        let decodedContent;
-        try {
-            decodedContent = atob(metaData.content.replace(/\s/g, ''));
-        } catch (decodeError) {
-            throw new Error(`Failed to decode base64 content: ${decodeError.message}`);
-        }
-        
-        let data;
-        try {
-            data = JSON.parse(decodedContent);
-        } catch (parseError) {
-            throw new Error(`Failed to parse JSON content: ${parseError.message}`);
-        }
-        
-        // Ensure the data structure has all required fields
-        data = initializeDataStructure(data);
-        
-        appData = data;
-        
-        hideSyncIndicator();
-        return data;
-    } catch (error) {
-        console.error('Error fetching data from GitHub:', error);
-        logError('fetchDataFromGitHub', error);
-        hideSyncIndicator();
-        
-        // Only show error message if GitHub token is configured
-        // When token is not configured, silent fallback to localStorage is expected
-        if (GITHUB_CONFIG.token) {
-            showError('Failed to load data from GitHub. Using local fallback.');
-        } else {
-            console.log('GitHub token not configured. Using local storage only.');
+    
+    // Local-only mode - save to localStorage only
+    if (provider.id === 'local-only') {
+        await provider.backup(appData);
+        await provider.save(appData, message);
+        return;
+    }
+    
+    // Viewers cannot change a shared board - undo the edit instead of queueing it
+    if (isBoardReadOnly()) {
+        console.log('[Sync] Board is view-only, discarding local change');
+        if (syncBase) {
+            appData = initializeDataStructure(JSON.parse(JSON.stringify(syncBase)));
+            refreshBoard();
         }
-        
-        // Fallback to localStorage if GitHub fetch fails
-        return loadFromLocalStorageFallback();
+        syncHistoryBase();
+        showError(`You can only view "${currentBoard.name}". Ask its owner for editor access to make changes.`);
+        return;
     }
-}
-
-async function updateDataToGitHub(message = 'Update data') {
+    
     // If offline, queue the operation and save locally
     if (isOffline) {
         console.log('[App] Offline - queuing sync operation');
@@ -948,134 +935,84 @@ async function updateDataToGitHub(message = 'Update data') {
         return;
     }
     
-    let httpStatus = null;
-    let errorType = null;
-    
     try {
         isSyncing = true;
         showSyncIndicator('saving');
         
-        if (!GITHUB_CONFIG.token) {
-            errorType = 'NO_TOKEN';
-            throw new Error('GitHub token not configured');
-        }
-        
-        // Check for sync conflicts: Compare stored SHA with remote SHA
-        // This detects if the file was modified remotely while we were editing
-        const remoteSHA = await checkRemoteSHA();
-        if (remoteSHA && currentSHA && remoteSHA !== currentSHA) {
-            // Conflict detected: remote file has changed since we last fetched it
-            isSyncing = false;
-            hideSyncIndicator();
-            
-            const userChoice = confirm(
-                '⚠️ SYNC CONFLICT DETECTED!\n\n' +
-                'The data.json file was modified remotely since you last synced.\n' +
-                'Your changes may overwrite someone else\'s changes.\n\n' +
-                'Click OK to fetch the latest data and merge manually.\n' +
-                'Click Cancel to force save your local changes (this will overwrite remote changes).'
-            );
-            
-            if (userChoice) {
-                // User chose to fetch latest data for manual resolution
-                showMessage('Fetching latest data for manual merge. Please review and save again.', 'error');
-                await fetchDataFromGitHub();
-                updateDateDisplay();
-                loadDisciplines();
-                loadTasks();
-                loadTabs();
-                loadCurrentTab();
-                return;
-            } else {
-                // User chose to force save - update the currentSHA to remote SHA
-                currentSHA = remoteSHA;
-                showMessage('Force saving your changes. Remote changes will be overwritten.', 'error');
-            }
-        }
-        
-        // Create a timestamped backup before updating
+        // Create a backup before updating
         // This protects against data loss in case something goes wrong
-        const backupSuccess = await createBackup();
+        const backupSuccess = await provider.backup(appData);
         if (!backupSuccess) {
             console.warn('Failed to create backup, but continuing with update');
             // Show warning but don't block the update
             showMessage('Warning: Backup creation failed. Proceeding with update.', 'error');
         }
         
-        // Fetch latest SHA before updating (in case it changed during backup creation)
-        const metaResponse = await fetch(
-            `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${GITHUB_CONFIG.dataPath}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${GITHUB_CONFIG.token}`,
-                    'Accept': 'application/vnd.github.v3+json'
+        // Set when the server refused a patch because the result was invalid: its copy is
+        // damaged in a way our (checked) data isn't, so the whole document is sent instead
+        let sendFullData = false;
+        for (let attempt = 1; ; attempt++) {
+            const canPatch = typeof provider.patch === 'function' && syncBase && syncedVersion && !sendFullData;
+            
+            // Providers reject writes based on a stale version with a 409, so the first
+            // attempt just saves; after a 409, or without a synced version, compare
+            // with the remote version and merge both sides first
+            const remoteVersion = attempt === 1 && syncedVersion ? null : await provider.getVersion();
+            if (remoteVersion && remoteVersion !== syncedVersion) {
+                console.log('[Sync] Remote data changed since last sync, merging...');
+                const remote = await provider.fetch();
+                await mergeRemoteData(remote.data);
+                syncedVersion = remote.version;
+                refreshBoard();
+                if (isNewerSchema(appData)) {
+                    throw createSyncError(NEWER_SCHEMA_MESSAGE, { errorType: 'NEWER_SCHEMA' });
                 }
             }
-        );
-        
-        if (metaResponse.ok) {
-            const metaData = await metaResponse.json();
-            currentSHA = metaData.sha;
-        } else {
-            httpStatus = metaResponse.status;
-            const errorText = await metaResponse.text();
-            console.error('Failed to fetch SHA:', metaResponse.status, errorText);
-            errorType = 'FETCH_SHA_FAILED';
-            throw new Error(`Failed to fetch file SHA (status: ${metaResponse.status})`);
-        }
-        
-        // Update file - properly encode UTF-8 to base64
-        const jsonString = JSON.stringify(appData, null, 2);
-        const bytes = new TextEncoder().encode(jsonString);
-        const binString = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
-        const content = btoa(binString);
-        
-        const response = await fetch(
-            `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${GITHUB_CONFIG.dataPath}`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${GITHUB_CONFIG.token}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/vnd.github.v3+json'
-                },
-                body: JSON.stringify({
-                    message: message,
-                    content: content,
-                    sha: currentSHA,
-                    branch: GITHUB_CONFIG.branch
-                })
+            
+            try {
+                if (canPatch) {
+                    await sendPatch(provider, message);
+                    break;
+                }
+                const result = await provider.save(appData, message, syncedVersion);
+                if (result && result.version) {
+                    syncedVersion = result.version;
+                }
+                setSyncBase(appData);
+                break;
+            } catch (saveError) {
+                // Another device saved between our version check and the write - merge again
+                if (saveError.status === 409 && attempt < MAX_SAVE_ATTEMPTS) {
+                    console.log(`[Sync] Save rejected as stale (attempt ${attempt}), retrying merge`);
+                    continue;
+                }
+                if (saveError.status === 422 && canPatch && attempt < MAX_SAVE_ATTEMPTS) {
+                    console.log('[Sync] Patched data was refused as invalid, saving the whole document');
+                    sendFullData = true;
+                    continue;
+                }
+                throw saveError;
             }
-        );
-        
-        if (!response.ok) {
-            httpStatus = response.status;
-            const errorData = await response.json();
-            console.error('GitHub API error details:', errorData);
-            errorType = 'UPDATE_FAILED';
-            const errorMsg = errorData.message || 'Unknown error';
-            throw new Error(`Failed to update data (status: ${response.status}): ${errorMsg}`);
         }
         
-        const result = await response.json();
-        currentSHA = result.content.sha;
-        
         // Update last sync time
         updateLastSyncTime();
+        skipNextSizeCheck = false;
         
         isSyncing = false;
         hideSyncIndicator();
         
         // Also save to localStorage as backup
         saveToLocalStorage();
-        
-        // Send WebSocket update if enabled
-        sendWebSocketUpdate(message);
     } catch (error) {
-        console.error('Error updating data to GitHub:', error);
+        console.error(`Error updating data to ${provider.label}:`, error);
         isSyncing = false;
         hideSyncIndicator();
         
+        const errorType = error.errorType || null;
+        const httpStatus = error.status || null;
+        const prefix = `Failed to save data to ${provider.label}. Changes saved locally.`;
+        
         // Provide detailed error message based on error type and status code
         // Note: We don't show error messages when GitHub token is not configured,
         // as this is a valid state for offline-only usage
@@ -1084,22 +1021,30 @@ async function updateDataToGitHub(message = 'Update data') {
         if (errorType === 'NO_TOKEN') {
             // Don't show error message when token is not configured - silent fallback to localStorage
             console.log('GitHub token not configured. Changes saved to localStorage only.');
+        } else if (errorType === 'NEWER_SCHEMA') {
+            errorMessage = NEWER_SCHEMA_MESSAGE;
         } else if (errorType === 'FETCH_SHA_FAILED') {
-            errorMessage = 'Failed to save data to GitHub. Changes saved locally. (Unable to fetch file metadata - check token permissions)';
+            errorMessage = `${prefix} (Unable to fetch file metadata - check token permissions)`;
+        } else if (httpStatus === 401 && provider.id === 'server') {
+            errorMessage = `${prefix} (Session expired - sign in to the server again)`;
         } else if (httpStatus === 401) {
-            errorMessage = 'Failed to save data to GitHub. Changes saved locally. (Authentication failed - check token)';
+            errorMessage = `${prefix} (Authentication failed - check token)`;
+        } else if (httpStatus === 403 && provider.id === 'server') {
+            errorMessage = `${prefix} (You can only view this board)`;
         } else if (httpStatus === 403) {
-            errorMessage = 'Failed to save data to GitHub. Changes saved locally. (Access denied - check token permissions)';
+            errorMessage = `${prefix} (Access denied - check token permissions)`;
         } else if (httpStatus === 404) {
-            errorMessage = 'Failed to save data to GitHub. Changes saved locally. (File not found - check repository and path)';
+            errorMessage = `${prefix} (File not found - check repository and path)`;
         } else if (httpStatus === 409) {
-            errorMessage = 'Failed to save data to GitHub. Changes saved locally. (Conflict - file was modified elsewhere)';
+            errorMessage = `${prefix} (Conflict - file was modified elsewhere)`;
+        } else if (httpStatus === 422) {
+            errorMessage = `${prefix} (The server refused the data as invalid - see the error log)`;
         } else if (error.message) {
-            errorMessage = `Failed to save data to GitHub. Changes saved locally. (${error.message})`;
+            errorMessage = `${prefix} (${error.message})`;
         }
         
         console.error('Detailed error:', errorMessage || 'No error message (token not configured - expected behavior)');
-        logError('updateDataToGitHub', error, { errorType, httpStatus });
+        logError('updateData', error, { syncMode, errorType, httpStatus });
         
         // Only show error message if one was set (i.e., not for NO_TOKEN case)
         if (errorMessage) {
@@ -1111,6 +1056,379 @@ async function updateDataToGitHub(message = 'Update data') {
     }
 }
 
+/**
+ * Send the changes since the last sync as patch operations (see merge.js)
+ * Operations from other devices that the server applied in between are
+ * replayed locally, so appData and the sync base match the server afterwards
+ * @param {Object} provider - Provider implementing patch()
+ * @param {string} message - Description of the change
+ * @returns {Promise<void>}
+ */
+async function sendPatch(provider, message) {
+    const ops = diffAppData(syncBase, appData);
+    if (ops.length === 0) {
+        console.log('[Sync] No changes to send');
+        return;
+    }
+    
+    const base = syncBase;
+    const result = await provider.patch(ops, message, syncedVersion);
+    
+    if (result.missed.length > 0) {
+        console.log(`[Sync] Applying ${result.missed.length} operation(s) from other devices`);
+        appData = initializeDataStructure(applyPatch(appData, result.missed));
+        syncHistoryBase();
+        refreshBoard();
+    }
+    setSyncBase(applyPatch(applyPatch(base, result.missed), ops));
+    syncedVersion = result.version;
+}
+
+// Data Integrity
+// Data is checked against the schema in schema.js when it is loaded and before it is saved
+const NEWER_SCHEMA_MESSAGE = 'This board was saved by a newer version of Daily Board. Reload the page to update - until then your changes are only kept on this device.';
+// Set after repaired remote data was loaded, so saving the repair skips the size check once
+let skipNextSizeCheck = false;
+
+/**
+ * Repair and initialize data loaded from a provider, localStorage or a backup
+ * @param {Object} data - Data as loaded
+ * @param {string} source - Where the data came from, for logs
+ * @returns {{data: Object, repairs: Array<string>}} Data ready to use and what was repaired
+ */
+function loadCheckedData(data, source) {
+    const { data: repaired, repairs } = repairAppData(data);
+    if (repairs.length > 0) {
+        console.warn(`[Integrity] Repaired data from ${source}:`, repairs);
+    }
+    
+    const checked = initializeDataStructure(repaired);
+    if (isNewerSchema(checked)) {
+        console.warn(`[Schema] Data from ${source} has schema version ${checked.schemaVersion}, this client knows ${SCHEMA_VERSION}`);
+        return { data: checked, repairs: [] };
+    }
+    
+    const { errors } = validateAppData(checked);
+    if (errors.length > 0) {
+        console.warn(`[Integrity] Data from ${source} does not match the schema:`, errors);
+    }
+    return { data: checked, repairs };
+}
+
+/**
+ * Tell the user that loaded data was repaired
+ * @param {Array<string>} repairs - Repairs from loadCheckedData()
+ */
+function showRepairMessage(repairs) {
+    if (repairs.length > 0) {
+        showMessage(`🩹 Repaired damaged board data: ${repairs.join('; ')}`, 'success', 8000);
+    }
+}
+
+/**
+ * Check appData before it is saved
+ * Invalid data is repaired where possible. Data that is still invalid, or that grew or shrank
+ * suspiciously since the last sync and the user doesn't confirm, is only kept on this device.
+ * @param {Object} provider - Provider the data is about to be saved to
+ * @returns {boolean} True if the data may be saved
+ */
+function checkDataBeforeSave(provider) {
+    if (isNewerSchema(appData) || isNewerSchema(syncBase)) {
+        showError(NEWER_SCHEMA_MESSAGE);
+        return false;
+    }
+    
+    let result = validateAppData(appData);
+    if (!result.valid) {
+        console.warn('[Integrity] Data does not match the schema, repairing:', result.errors);
+        const { data, repairs } = loadCheckedData(appData, 'this device');
+        appData = data;
+        result = validateAppData(appData);
+        if (repairs.length > 0) {
+            refreshBoard();
+        }
+    }
+    
+    if (!result.valid) {
+        const [first] = result.errors;
+        logError('checkDataBeforeSave', new Error(`${first.path}: ${first.message}`), { errorCount: result.errors.length });
+        showError(`Changes not synced: the board data is invalid (${first.path}: ${first.message}). They are kept on this device - undo the last change to fix it.`);
+        return false;
+    }
+    
+    if (provider.id === 'local-only' || !syncBase) {
+        return true;
+    }
+    if (skipNextSizeCheck) {
+        skipNextSizeCheck = false;
+        return true;
+    }
+    
+    const change = describeSuspiciousSizeChange(getDataSize(syncBase), result.size);
+    if (change && !confirm(`This save would ${change} the board data on ${provider.label}. That is unusual and may mean data was lost or duplicated.\n\nSave anyway?`)) {
+        console.warn(`[Integrity] Save cancelled, data would ${change}`);
+        showError('Changes not synced - they are kept on this device. Undo the last change if it was a mistake.');
+        return false;
+    }
+    return true;
+}
+
+// Three-Way Merge
+
+/**
+ * Remember the data as of a successful sync as the base for future merges
+ * @param {Object} data - Data that now matches the remote
+ */
+function setSyncBase(data) {
+    syncBase = JSON.parse(JSON.stringify(data));
+    try {
+        localStorage.setItem('dailyBoard_syncBase', JSON.stringify(syncBase));
+    } catch (error) {
+        logError('setSyncBase', error);
+    }
+}
+
+/**
+ * Load the last sync base from localStorage so unsynced edits survive reloads
+ */
+function loadSyncBase() {
+    if (!isLocalCopyForOpenBoard()) {
+        syncBase = null;
+        return;
+    }
+    try {
+        const stored = localStorage.getItem('dailyBoard_syncBase');
+        syncBase = stored ? initializeDataStructure(JSON.parse(stored)) : null;
+    } catch (error) {
+        console.error('[Sync] Failed to load sync base:', error);
+        syncBase = null;
+    }
+}
+
+/**
+ * Merge remote data into appData using the last synced data as base (see merge.js)
+ * Only edits that overlap with a remote edit are shown to the user
+ * @param {Object} remoteData - Data loaded from the active provider
+ * @returns {Promise<boolean>} True if local changes remain that the remote doesn't have yet
+ */
+async function mergeRemoteData(remoteData) {
+    const { data: remote, repairs } = loadCheckedData(remoteData, 'remote data');
+    // The base must match what the remote really holds, so a repair counts as a local change
+    const remoteBase = repairs.length > 0 ? initializeDataStructure(JSON.parse(JSON.stringify(remoteData))) : remote;
+    if (repairs.length > 0) {
+        showRepairMessage(repairs);
+        skipNextSizeCheck = true;
+    }
+    
+    // Without a base, or without local edits, the remote simply wins
+    if (!syncBase || JSON.stringify(appData) === JSON.stringify(syncBase)) {
+        appData = remote;
+        setSyncBase(remoteBase);
+        syncHistoryBase();
+        return remote !== remoteBase;
+    }
+    
+    const { merged, conflicts } = mergeAppData(getRecurrenceMergeBase(syncBase, appData, remote), appData, remote);
+    if (conflicts.length > 0) {
+        console.log(`[Sync] ${conflicts.length} conflicting edit(s) need resolution`);
+        const choices = await showConflictDialog(conflicts);
+        conflicts.forEach((conflict, index) => resolveConflict(merged, conflict, choices[index]));
+    }
+    
+    appData = initializeDataStructure(merged);
+    setSyncBase(remoteBase);
+    syncHistoryBase();
+    saveToLocalStorage();
+    return JSON.stringify(appData) !== JSON.stringify(remoteBase);
+}
+
+/**
+ * Count recurring task instances this device stored but never changed as already synced
+ * Editing a day stores all of its instances; when the remote has the same instance
+ * (ids are deterministic), its version then wins instead of conflicting with ours
+ * @param {Object} base - Last synced data
+ * @param {Object} local - Local data
+ * @param {Object} remote - Remote data
+ * @returns {Object} The base, or a copy of it with those instances added
+ */
+function getRecurrenceMergeBase(base, local, remote) {
+    let result = base;
+    Object.keys(local.dateEntries).forEach(dateKey => {
+        const baseTasks = (base.dateEntries[dateKey] || {}).tasks || [];
+        const remoteTasks = (remote.dateEntries[dateKey] || {}).tasks || [];
+        (local.dateEntries[dateKey].tasks || []).forEach(task => {
+            if (!task.recurrenceId || task.completed || task.updatedAt !== task.createdAt) return;
+            if (baseTasks.some(t => t.id === task.id) || !remoteTasks.some(t => t.id === task.id)) return;
+            
+            if (result === base) {
+                result = JSON.parse(JSON.stringify(base));
+            }
+            const entry = result.dateEntries[dateKey] = result.dateEntries[dateKey] || {};
+            entry.tasks = (entry.tasks || []).concat(JSON.parse(JSON.stringify(task)));
+        });
+    });
+    return result;
+}
+
+/**
+ * Describe where a conflict is located for the conflict dialog
+ * @param {Object} conflict - Conflict from mergeAppData
+ * @returns {string} Human readable description
+ */
+function describeConflict(conflict) {
+    const [section, key, collection, itemKey, ...rest] = conflict.path;
+    const field = rest.length > 0 ? ` (${rest.join(' › ')})` : '';
+    
+    if (section === 'dateEntries' && collection === 'tasks') {
+        const sample = [conflict.local, conflict.remote].find(value => value && value.name);
+        const name = sample ? sample.name : String(itemKey).replace(/^name:/, '').replace(/#\d+$/, '');
+        return `Task "${name}" on ${key}${field}`;
+    }
+    if (section === 'dateEntries' && collection === 'disciplines') {
+        const discipline = getDisciplines().find(d => d.id === itemKey);
+        return `Discipline "${discipline ? discipline.name : itemKey}" on ${key}`;
+    }
+    if (section === 'disciplines') {
+        const discipline = getDisciplines().find(d => d.id === key);
+        return `Discipline "${discipline ? discipline.name : key}"${collection ? ` (${collection})` : ''}`;
+    }
+    if (section === 'tabs') {
+        const tab = getTabs().find(t => t.id === key);
+        return `List tab "${tab ? tab.name : key}"${collection ? ` (${collection})` : ''}`;
+    }
+    if (section === 'listItems') {
+        const tab = getTabs().find(t => t.id === key);
+        const items = Array.isArray(appData.listItems[key]) ? appData.listItems[key] : [];
+        const item = items.find(i => i.id === collection);
+        const itemLabel = collection ? `Item "${item ? item.text : collection}" in list` : 'List';
+        return `${itemLabel} "${tab ? tab.name : key}"`;
+    }
+    return conflict.path.join(' › ');
+}
+
+/**
+ * Format one side of a conflict for display
+ * @param {Object} conflict - Conflict from mergeAppData
+ * @param {string} side - 'local' or 'remote'
+ * @returns {string} Display text
+ */
+function formatConflictValue(conflict, side) {
+    if (conflict.kind === 'text') {
+        const lines = side === 'local' ? conflict.localLines : conflict.remoteLines;
+        return lines.length > 0 ? lines.join('\n') : '(lines removed)';
+    }
+    
+    const value = conflict[side];
+    if (value === undefined) return '(deleted)';
+    if (value === true) return 'Yes';
+    if (value === false) return 'No';
+    if (value && typeof value === 'object' && value.name) {
+        return value.name + (value.completed ? ' ✓' : '');
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 200 ? text.slice(0, 200) + '…' : text;
+}
+
+/**
+ * Let the user pick a side for each conflicting edit
+ * @param {Array<Object>} conflicts - Conflicts from mergeAppData
+ * @returns {Promise<Array<string>>} 'local' or 'remote' per conflict
+ */
+function showConflictDialog(conflicts) {
+    const dialog = document.getElementById('conflictDialog');
+    
+    // Fall back to one confirm() per conflict where <dialog> isn't supported
+    if (!dialog || typeof dialog.showModal !== 'function') {
+        return Promise.resolve(conflicts.map(conflict => confirm(
+            `⚠️ SYNC CONFLICT: ${describeConflict(conflict)}\n\n` +
+            `Yours: ${formatConflictValue(conflict, 'local')}\n` +
+            `Theirs: ${formatConflictValue(conflict, 'remote')}\n\n` +
+            'Click OK to keep your version, Cancel to keep theirs.'
+        ) ? 'local' : 'remote'));
+    }
+    
+    const list = document.getElementById('conflictList');
+    list.innerHTML = '';
+    
+    conflicts.forEach((conflict, index) => {
+        const item = document.createElement('div');
+        item.className = 'conflict-item';
+        
+        const title = document.createElement('div');
+        title.className = 'conflict-title';
+        title.textContent = describeConflict(conflict);
+        item.appendChild(title);
+        
+        ['local', 'remote'].forEach(side => {
+            const option = document.createElement('label');
+            option.className = 'conflict-option';
+            
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `conflict_${index}`;
+            radio.value = side;
+            radio.checked = side === 'local';
+            
+            const caption = document.createElement('strong');
+            caption.textContent = side === 'local' ? 'Keep mine: ' : 'Keep theirs: ';
+            
+            const value = document.createElement('span');
+            value.className = 'conflict-value';
+            value.textContent = formatConflictValue(conflict, side);
+            
+            option.appendChild(radio);
+            option.appendChild(caption);
+            option.appendChild(value);
+            item.appendChild(option);
+        });
+        
+        list.appendChild(item);
+    });
+    
+    return new Promise((resolve) => {
+        const applyBtn = document.getElementById('conflictApplyBtn');
+        const selectAll = (side) => {
+            list.querySelectorAll(`input[value="${side}"]`).forEach(radio => {
+                radio.checked = true;
+            });
+        };
+        const keepMine = () => selectAll('local');
+        const keepTheirs = () => selectAll('remote');
+        // Conflicts must be resolved - Escape does not close the dialog
+        const preventCancel = (e) => e.preventDefault();
+        
+        const apply = () => {
+            const choices = conflicts.map((conflict, index) => {
+                const checked = list.querySelector(`input[name="conflict_${index}"]:checked`);
+                return checked ? checked.value : 'local';
+            });
+            applyBtn.removeEventListener('click', apply);
+            document.getElementById('conflictKeepMineBtn').removeEventListener('click', keepMine);
+            document.getElementById('conflictKeepTheirsBtn').removeEventListener('click', keepTheirs);
+            dialog.removeEventListener('cancel', preventCancel);
+            dialog.close();
+            resolve(choices);
+        };
+        
+        applyBtn.addEventListener('click', apply);
+        document.getElementById('conflictKeepMineBtn').addEventListener('click', keepMine);
+        document.getElementById('conflictKeepTheirsBtn').addEventListener('click', keepTheirs);
+        dialog.addEventListener('cancel', preventCancel);
+        dialog.showModal();
+    });
+}
+
+/**
+ * Re-render every section from appData
+ */
+function refreshBoard() {
+    updateDateDisplay();
+    loadDisciplines();
+    loadTasks();
+    loadTabs();
+    loadCurrentTab();
+}
+
 function showSyncIndicator(type) {
     const indicator = document.getElementById('syncIndicator');
     if (indicator) {
@@ -1126,11 +1444,32 @@ function hideSyncIndicator() {
     }
 }
 
-function showMessage(message, type = 'error', duration = 10000) {
+// Shared timer so a newer message isn't hidden early by an older one's timeout
+let messageTimer = null;
+
+/**
+ * Show a toast message, optionally with an action button
+ * @param {string} message - Text to show
+ * @param {string} type - 'success' (green) or anything else (red)
+ * @param {number} duration - Milliseconds before the message hides
+ * @param {{label: string, onClick: Function}|null} action - Optional button, e.g. Undo
+ */
+function showMessage(message, type = 'error', duration = 10000, action = null) {
     const messageDiv = document.getElementById('errorMessage');
     if (messageDiv) {
         messageDiv.textContent = message;
         
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'message-action-btn';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                messageDiv.style.display = 'none';
+                action.onClick();
+            });
+            messageDiv.appendChild(button);
+        }
+        
         // Set color based on message type
         if (type === 'success') {
             messageDiv.style.background = '#e8f5e9';
@@ -1141,7 +1480,9 @@ function showMessage(message, type = 'error', duration = 10000) {
         }
         
         messageDiv.style.display = 'block';
-        setTimeout(() => {
+        
+        clearTimeout(messageTimer);
+        messageTimer = setTimeout(() => {
             messageDiv.style.display = 'none';
         }, duration);
     }
@@ -1152,34 +1493,147 @@ function showError(message) {
     showMessage(message, 'error');
 }
 
-// Local storage fallback functions
-function loadFromLocalStorageFallback() {
-    let data = {};
-    
-    // Try to load existing localStorage data
-    const tabsData = localStorage.getItem('dailyBoard_global_tabs');
-    if (tabsData) {
-        try {
-            data.tabs = JSON.parse(tabsData);
-        } catch (e) {
-            console.error('Failed to parse localStorage tabs data:', e);
-        }
-    }
-    // Don't create default tabs here - let initialization handle it
-    
-    // Ensure all required fields are initialized
-    return initializeDataStructure(data);
+// Local storage helpers
+// Server board the localStorage copy (and the sync base next to it) was saved from
+const LOCAL_BOARD_KEY = 'dailyBoard_backupBoardId';
+
+/**
+ * Board that local data and queued saves belong to
+ * @returns {string} The open server board, or '' when no server board is open
+ */
+function getLocalBoardId() {
+    return SERVER_CONFIG.boardId || '';
+}
+
+/**
+ * Whether the localStorage copy of appData was saved from the open board
+ * Copies saved before the board was recorded are assumed to be
+ * @returns {boolean}
+ */
+function isLocalCopyForOpenBoard() {
+    const boardId = localStorage.getItem(LOCAL_BOARD_KEY);
+    return boardId === null || boardId === getLocalBoardId();
 }
 
 function saveToLocalStorage() {
     localStorage.setItem('dailyBoard_backup', JSON.stringify(appData));
+    localStorage.setItem(LOCAL_BOARD_KEY, getLocalBoardId());
 }
 
 function loadFromLocalStorage() {
     const backup = localStorage.getItem('dailyBoard_backup');
-    if (backup) {
-        appData = JSON.parse(backup);
+    if (backup && isLocalCopyForOpenBoard()) {
+        appData = loadCheckedData(JSON.parse(backup), 'localStorage').data;
+    }
+}
+
+// Undo / Redo
+// Every change saved through updateData() is recorded as a pair of patch operation
+// lists (see merge.js): one that reverts it and one that re-applies it. Because the
+// operations only touch the paths that changed, undoing an edit leaves changes that
+// arrived from other devices in the meantime alone.
+const UNDO_LIMIT = 50;
+let undoStack = [];
+let redoStack = [];
+// appData as of the last recorded change; edits since then form the next entry
+let historyBase = null;
+
+/**
+ * Record the local edits since the last recorded change as one undo step
+ * @param {string} label - Description of the change, shown when undoing it
+ */
+function recordHistory(label) {
+    if (!historyBase) {
+        syncHistoryBase();
+        return;
+    }
+    
+    const redo = diffAppData(historyBase, appData);
+    if (redo.length === 0) return;
+    
+    undoStack.push({ label, undo: diffAppData(appData, historyBase), redo });
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    syncHistoryBase();
+}
+
+/**
+ * Take the current appData as the history base without recording a step
+ * Used after changes that should not be undoable (remote updates, cleanup)
+ */
+function syncHistoryBase() {
+    historyBase = JSON.parse(JSON.stringify(appData));
+}
+
+/**
+ * Forget all undo/redo steps, e.g. after switching to another board
+ */
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    syncHistoryBase();
+}
+
+/**
+ * Apply one side of a history entry and move it to the other stack
+ * @param {Array} from - Stack to take the entry from
+ * @param {Array} to - Stack to put the entry on
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Object|null} The applied entry, or null if there was nothing to do
+ */
+function stepHistory(from, to, direction) {
+    if (isBoardReadOnly()) {
+        showError(`You can only view "${currentBoard.name}".`);
+        return null;
+    }
+    const entry = from.pop();
+    if (!entry) return null;
+    
+    // Edits that were not recorded yet would otherwise end up in the wrong step
+    recordHistory('Edit');
+    
+    appData = initializeDataStructure(applyPatch(appData, entry[direction]));
+    to.push(entry);
+    
+    if (!appData.tabs.some(tab => tab.id === currentTabId) && appData.tabs.length > 0) {
+        currentTabId = appData.tabs[0].id;
     }
+    
+    // Rendering can materialize recurring tasks, so take the base afterwards
+    refreshBoard();
+    syncHistoryBase();
+    updateData(`${direction === 'undo' ? 'Undo' : 'Redo'}: ${entry.label}`);
+    return entry;
+}
+
+/**
+ * Revert the most recent change
+ */
+function undo() {
+    const entry = stepHistory(undoStack, redoStack, 'undo');
+    if (entry) {
+        showMessage(`Undone: ${entry.label}`, 'success', 5000, { label: 'Redo', onClick: redo });
+    }
+}
+
+/**
+ * Re-apply the most recently undone change
+ */
+function redo() {
+    const entry = stepHistory(redoStack, undoStack, 'redo');
+    if (entry) {
+        showMessage(`Redone: ${entry.label}`, 'success', 5000, { label: 'Undo', onClick: undo });
+    }
+}
+
+/**
+ * Show a confirmation for a destructive change with an Undo button
+ * @param {string} message - What was changed
+ */
+function showUndoMessage(message) {
+    showMessage(message, 'success', 8000, { label: 'Undo', onClick: undo });
 }
 
 
@@ -1204,13 +1658,16 @@ async function initializeApp() {
     
     // Try to load from localStorage backup first for immediate display
     loadFromLocalStorage();
+    loadSyncBase();
     
     // Then fetch from remote source (local server, GitHub, or local-only)
     await fetchData();
+    await loadBoards();
     
     // Ensure we have at least one tab after loading from all sources
     if (!appData.tabs || appData.tabs.length === 0) {
         appData.tabs = [{ id: 'tab_' + Date.now(), name: 'My List' }];
+        syncHistoryBase();
         // Save the default tab using appropriate sync mode
         if (syncMode !== 'local-only') {
             await updateData('Initialize default tab');
@@ -1218,34 +1675,58 @@ async function initializeApp() {
     }
     
     // Now refresh UI with the loaded/initialized data
-    updateDateDisplay();
-    loadDisciplines();
-    loadTasks();
+    updateRetentionInputs();
+    updateRolloverSelect();
+    updateReminderSelect();
+    setViewMode(localStorage.getItem('dailyBoard_viewMode'));
     loadTabs();
     loadCurrentTab();
     
+    // Carry unfinished tasks over to today (first run of the day only)
+    runDailyRollover();
+    
     // Start periodic cleanup of old entries
     schedulePeriodicCleanup();
     
-    // Initialize WebSocket if enabled
-    initializeWebSocket();
-    
     // Start auto-sync polling (includes sync status display updates)
     startAutoSync();
+    
+    // Notify of timed tasks (if turned on for this device)
+    startReminders();
 }
 
 function setupEventListeners() {
     // Date navigation
-    document.getElementById('prevDay').addEventListener('click', () => changeDate(-1));
-    document.getElementById('nextDay').addEventListener('click', () => changeDate(1));
+    document.getElementById('prevDay').addEventListener('click', () => navigate(-1));
+    document.getElementById('nextDay').addEventListener('click', () => navigate(1));
+    document.getElementById('todayBtn').addEventListener('click', () => goToDate(new Date()));
+    document.getElementById('jumpDateInput').addEventListener('change', (e) => {
+        if (e.target.value) goToDate(parseDateKey(e.target.value));
+    });
+    document.querySelectorAll('.view-btn[data-view]').forEach(button => {
+        button.addEventListener('click', () => setViewMode(button.dataset.view));
+    });
 
     // Dynamic tasks
     document.getElementById('addTaskBtn').addEventListener('click', addTask);
     document.getElementById('newTaskInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') addTask();
     });
+    document.getElementById('newTaskInput').addEventListener('input', renderQuickAddPreview);
+    document.getElementById('taskViewBtn').addEventListener('click', () => {
+        setTaskViewMode(taskViewMode === 'agenda' ? 'list' : 'agenda');
+    });
 
-    // List textarea - auto-save on blur
+    // Structured list items
+    document.getElementById('addListItemBtn').addEventListener('click', addListItem);
+    document.getElementById('newListItemInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addListItem();
+    });
+    document.getElementById('listModeBtn').addEventListener('click', () => {
+        setListMode(listMode === 'text' ? 'items' : 'text');
+    });
+
+    // List textarea (plain text mode) - auto-save on blur
     const listTextarea = document.getElementById('listTextarea');
     listTextarea.addEventListener('blur', saveListTextarea);
     listTextarea.addEventListener('input', () => {
@@ -1254,6 +1735,16 @@ function setupEventListeners() {
         listTextareaSaveTimeout = setTimeout(() => saveListTextarea(), 2000);
     });
 
+    // Discipline registry management
+    document.getElementById('manageDisciplinesBtn').addEventListener('click', toggleDisciplineManager);
+    document.getElementById('disciplineHistoryBtn').addEventListener('click', toggleDisciplineHeatmap);
+    document.getElementById('heatmapDisciplineSelect').addEventListener('change', loadDisciplineHeatmap);
+    document.getElementById('heatmapRangeSelect').addEventListener('change', loadDisciplineHeatmap);
+    document.getElementById('addDisciplineBtn').addEventListener('click', addDiscipline);
+    document.getElementById('newDisciplineInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addDiscipline();
+    });
+
     // Add tab
     document.getElementById('addTabBtn').addEventListener('click', addTab);
     
@@ -1267,11 +1758,68 @@ function setupEventListeners() {
     document.getElementById('saveTokenBtn').addEventListener('click', saveGitHubToken);
     document.getElementById('clearTokenBtn').addEventListener('click', clearGitHubToken);
     
+    // Data retention settings
+    document.getElementById('saveRetentionBtn').addEventListener('click', saveRetentionSettings);
+    
+    // Rollover of unfinished tasks
+    document.getElementById('rolloverModeSelect').addEventListener('change', saveRolloverMode);
+    document.getElementById('reminderLeadSelect').addEventListener('change', saveReminderLead);
+    document.getElementById('reviewUnfinishedBtn').addEventListener('click', () => runDailyRollover(true));
+    
+    // Backups
+    document.getElementById('browseBackupsBtn').addEventListener('click', showBackupDialog);
+    document.getElementById('backupSelect').addEventListener('change', (e) => previewBackup(e.target.value));
+    document.getElementById('restoreBackupBtn').addEventListener('click', restoreWholeBackup);
+    document.getElementById('backupDialogCloseBtn').addEventListener('click', () => {
+        document.getElementById('backupDialog').close();
+    });
+    
     // Error log viewer
     document.getElementById('viewErrorLogBtn').addEventListener('click', viewErrorLog);
     
+    // Server configuration
+    document.getElementById('saveServerUrlBtn').addEventListener('click', saveServerUrl);
+    document.getElementById('clearServerUrlBtn').addEventListener('click', clearServerUrl);
+    document.getElementById('serverSignInBtn').addEventListener('click', () => signInToServer(false));
+    document.getElementById('serverRegisterBtn').addEventListener('click', () => signInToServer(true));
+    document.getElementById('serverSignOutBtn').addEventListener('click', signOutOfServer);
+    
+    // Boards (server mode)
+    document.getElementById('boardSelect').addEventListener('change', handleBoardSelect);
+    document.getElementById('boardMembersBtn').addEventListener('click', showBoardDialog);
+    document.getElementById('addBoardMemberBtn').addEventListener('click', addBoardMember);
+    document.getElementById('boardMemberInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addBoardMember();
+    });
+    document.getElementById('renameBoardBtn').addEventListener('click', renameCurrentBoard);
+    document.getElementById('leaveBoardBtn').addEventListener('click', leaveCurrentBoard);
+    document.getElementById('boardDialogCloseBtn').addEventListener('click', () => {
+        document.getElementById('boardDialog').close();
+    });
+    document.getElementById('serverPasswordInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') signInToServer(false);
+    });
+    document.getElementById('syncModeSelect').addEventListener('change', saveSyncModePreference);
+    
+    // Undo / redo (text fields keep their own undo)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+    
     // Update token status on load
     updateTokenStatus();
+    updateServerStatus();
 }
 
 // Date management
@@ -1282,13 +1830,243 @@ function changeDate(days) {
     loadTasks();
 }
 
+/**
+ * Show a specific day (or the week/month containing it)
+ * @param {Date} date - Day to show
+ */
+function goToDate(date) {
+    currentDate = new Date(date.getTime());
+    updateDateDisplay();
+    loadDisciplines();
+    loadTasks();
+}
+
+/**
+ * Step back or forward by one day, week or month depending on the view
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function navigate(direction) {
+    if (viewMode === 'month') {
+        goToDate(new Date(currentDate.getFullYear(), currentDate.getMonth() + direction, 1));
+    } else {
+        changeDate(viewMode === 'week' ? direction * 7 : direction);
+    }
+}
+
+// View Modes
+
+/**
+ * Switch between the single-day view and the week/month overviews
+ * @param {string} mode - 'day', 'week' or 'month'
+ */
+function setViewMode(mode) {
+    viewMode = VIEW_MODES.includes(mode) ? mode : 'day';
+    localStorage.setItem('dailyBoard_viewMode', viewMode);
+    
+    const isDayView = viewMode === 'day';
+    document.querySelector('.disciplines-section').style.display = isDayView ? '' : 'none';
+    document.querySelector('.tasks-section').style.display = isDayView ? '' : 'none';
+    document.getElementById('overviewSection').style.display = isDayView ? 'none' : '';
+    document.querySelectorAll('.view-btn[data-view]').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === viewMode);
+    });
+    
+    updateDateDisplay();
+    loadDisciplines();
+    loadTasks();
+}
+
+/**
+ * Days shown by the week or month overview, in whole weeks starting on Sunday
+ * @returns {Array<Date>} Days in display order
+ */
+function getOverviewDays() {
+    let start;
+    let end;
+    if (viewMode === 'month') {
+        const first = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+        const last = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
+        start = addDays(first, -first.getDay());
+        end = addDays(last, 6 - last.getDay());
+    } else {
+        start = addDays(currentDate, -currentDate.getDay());
+        end = addDays(start, 6);
+    }
+    start.setHours(0, 0, 0, 0);
+    
+    const days = [];
+    for (let date = start; formatDateKey(date) <= formatDateKey(end); date = addDays(date, 1)) {
+        days.push(date);
+    }
+    return days;
+}
+
+function loadOverview() {
+    const grid = document.getElementById('overviewGrid');
+    grid.className = `overview-grid ${viewMode}-view`;
+    grid.innerHTML = '';
+    
+    getOverviewDays().forEach(date => {
+        grid.appendChild(createOverviewDay(date));
+    });
+}
+
+/**
+ * Build one day of the week/month overview
+ * Archived days are shown read-only from what appData still holds
+ * @param {Date} date - The day
+ * @returns {HTMLElement} The day cell
+ */
+function createOverviewDay(date) {
+    const dateKey = formatDateKey(date);
+    const readOnly = isArchivedDate(dateKey) || isBoardReadOnly();
+    // Rendering must not add days to appData: they'd be saved with the next unrelated edit
+    const dateEntry = readOnly
+        ? (appData.dateEntries[dateKey] || { disciplines: {}, tasks: [] })
+        : peekDateEntry(dateKey);
+    
+    const cell = document.createElement('div');
+    cell.className = 'overview-day';
+    cell.classList.toggle('today', dateKey === formatDateKey(new Date()));
+    cell.classList.toggle('selected', dateKey === getDateKey());
+    cell.classList.toggle('outside-month', viewMode === 'month' && date.getMonth() !== currentDate.getMonth());
+    cell.classList.toggle('read-only', readOnly);
+    cell.dataset.dateKey = dateKey;
+    
+    const header = document.createElement('button');
+    header.className = 'overview-day-header';
+    header.textContent = viewMode === 'month'
+        ? String(date.getDate())
+        : date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    header.title = 'Open this day';
+    header.addEventListener('click', () => {
+        currentDate = new Date(date.getTime());
+        setViewMode('day');
+    });
+    cell.appendChild(header);
+    
+    // Discipline ticks - a summary in the month view, checkboxes in the week view
+    const scheduled = getDisciplines().filter(d => !d.archived && isDisciplineScheduled(d, date));
+    const savedDisciplines = dateEntry.disciplines || {};
+    if (scheduled.length > 0) {
+        const disciplinesDiv = document.createElement('div');
+        disciplinesDiv.className = 'overview-disciplines';
+        
+        if (viewMode === 'month') {
+            const done = scheduled.filter(d => savedDisciplines[d.id]).length;
+            disciplinesDiv.textContent = `✓ ${done}/${scheduled.length}`;
+            disciplinesDiv.classList.toggle('all-done', done === scheduled.length);
+        } else {
+            scheduled.forEach(discipline => {
+                const tick = document.createElement('label');
+                tick.className = 'overview-discipline';
+                tick.title = discipline.name;
+                
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !!savedDisciplines[discipline.id];
+                checkbox.disabled = readOnly;
+                checkbox.addEventListener('change', () => toggleDiscipline(discipline.id, checkbox.checked, dateKey));
+                
+                const name = document.createElement('span');
+                name.textContent = discipline.name;
+                
+                tick.appendChild(checkbox);
+                tick.appendChild(name);
+                disciplinesDiv.appendChild(tick);
+            });
+        }
+        cell.appendChild(disciplinesDiv);
+    }
+    
+    const tasksDiv = document.createElement('div');
+    tasksDiv.className = 'overview-tasks';
+    const tasks = dateEntry.tasks || [];
+    tasks.filter(task => !task.completed).concat(tasks.filter(task => task.completed)).forEach(task => {
+        tasksDiv.appendChild(createTaskElement(task, readOnly, dateKey));
+    });
+    cell.appendChild(tasksDiv);
+    
+    // The whole day is a drop target for tasks dragged from other days
+    if (!readOnly) {
+        cell.addEventListener('dragover', handleDayDragOver);
+        cell.addEventListener('dragleave', (e) => e.currentTarget.classList.remove('drag-over'));
+        cell.addEventListener('drop', handleDayDrop);
+    }
+    
+    return cell;
+}
+
+function handleDayDragOver(e) {
+    if (!draggedTaskId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    e.currentTarget.classList.add('drag-over');
+}
+
+function handleDayDrop(e) {
+    e.preventDefault();
+    const targetDateKey = e.currentTarget.dataset.dateKey;
+    e.currentTarget.classList.remove('drag-over');
+    
+    if (draggedTaskId && draggedTaskDateKey && draggedTaskDateKey !== targetDateKey) {
+        moveTaskToDate(draggedTaskId, draggedTaskDateKey, targetDateKey);
+        loadTasks();
+    }
+}
+
 function updateDateDisplay() {
-    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-    document.getElementById('currentDate').textContent = currentDate.toLocaleDateString('en-US', options);
+    const title = document.getElementById('currentDate');
+    if (viewMode === 'month') {
+        title.textContent = currentDate.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+    } else if (viewMode === 'week') {
+        const days = getOverviewDays();
+        const format = { month: 'short', day: 'numeric' };
+        title.textContent = `${days[0].toLocaleDateString('en-US', format)} – ` +
+            days[6].toLocaleDateString('en-US', { ...format, year: 'numeric' });
+    } else {
+        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+        title.textContent = currentDate.toLocaleDateString('en-US', options);
+    }
+    document.getElementById('archiveNotice').style.display = viewMode === 'day' && isViewingArchivedDate() ? 'block' : 'none';
+    document.getElementById('jumpDateInput').value = getDateKey();
+    updateRepeatOptions();
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+function formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD key as a local date
+ * @param {string} dateKey - Date key
+ * @returns {Date} Local midnight of that day
+ */
+function parseDateKey(dateKey) {
+    return new Date(dateKey + 'T00:00:00');
+}
+
+/**
+ * Return a new date offset by a number of days
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} Shifted date
+ */
+function addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setDate(result.getDate() + days);
+    return result;
 }
 
 function getDateKey() {
-    return currentDate.toISOString().split('T')[0];
+    return formatDateKey(currentDate);
 }
 
 // Data access helpers
@@ -1299,12 +2077,31 @@ function getDateEntry(dateKey) {
             tasks: []
         };
     }
+    materializeRecurringTasks(dateKey, appData.dateEntries[dateKey]);
     return appData.dateEntries[dateKey];
 }
 
-function saveDateEntry(dateKey, entry) {
+/**
+ * A day's entry for display only, without creating it in appData
+ * Includes the recurring tasks getDateEntry() would add, so they show up before the day is
+ * edited - and only then become part of the data (and of that edit's undo step)
+ * @param {string} dateKey - Day
+ * @returns {Object} A copy of the date entry; changing it changes nothing
+ */
+function peekDateEntry(dateKey) {
+    const stored = appData.dateEntries[dateKey] || { disciplines: {}, tasks: [] };
+    const preview = {
+        ...stored,
+        tasks: [...(stored.tasks || [])],
+        recurrences: { ...(stored.recurrences || {}) }
+    };
+    materializeRecurringTasks(dateKey, preview);
+    return preview;
+}
+
+function saveDateEntry(dateKey, entry, message = 'Update daily data') {
     appData.dateEntries[dateKey] = entry;
-    updateData('Update daily data');
+    updateData(message);
 }
 
 function getTabs() {
@@ -1313,25 +2110,59 @@ function getTabs() {
     return appData.tabs || [];
 }
 
-function saveTabs(tabs) {
+function saveTabs(tabs, message = 'Update tabs') {
     appData.tabs = tabs;
-    updateData('Update tabs');
+    updateData(message);
 }
 
 function getListItems(tabId) {
-    if (!appData.listItems[tabId]) {
-        appData.listItems[tabId] = '';
+    if (!Array.isArray(appData.listItems[tabId])) {
+        appData.listItems[tabId] = [];
     }
     return appData.listItems[tabId];
 }
 
-function saveListItems(tabId, items) {
+function saveListItems(tabId, items, message = 'Update list items') {
     appData.listItems[tabId] = items;
-    updateData('Update list items');
+    updateData(message);
 }
 
 // Disciplines management
+
+function getDisciplines() {
+    return appData.disciplines || [];
+}
+
+function saveDisciplines(disciplines, message = 'Update disciplines') {
+    appData.disciplines = disciplines;
+    updateData(message);
+}
+
+/**
+ * Check whether a discipline is due on a given date
+ * @param {Object} discipline - Discipline from the registry
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the discipline is active and scheduled that weekday
+ */
+function isDisciplineScheduled(discipline, date) {
+    if (discipline.archived) return false;
+    return !Array.isArray(discipline.schedule) || discipline.schedule.includes(date.getDay());
+}
+
+/**
+ * Get the disciplines due on the current date, in registry order
+ * @returns {Array<Object>} Scheduled disciplines
+ */
+function getScheduledDisciplines() {
+    return getDisciplines().filter(discipline => isDisciplineScheduled(discipline, currentDate));
+}
+
 function loadDisciplines() {
+    if (viewMode !== 'day') {
+        loadOverview();
+        return;
+    }
+    
     const activeContainer = document.getElementById('disciplinesList');
     const completedContainer = document.getElementById('completedDisciplinesList');
     const completedSection = document.getElementById('completedDisciplinesSection');
@@ -1339,55 +2170,64 @@ function loadDisciplines() {
     activeContainer.innerHTML = '';
     completedContainer.innerHTML = '';
 
-    const dateKey = getDateKey();
-    const dateEntry = getDateEntry(dateKey);
+    const readOnly = isViewingArchivedDate() || isBoardReadOnly();
+    const dateEntry = getViewedDateEntry();
+    if (!dateEntry) {
+        // Archive still loading - loadArchiveMonth re-renders when it arrives
+        activeContainer.innerHTML = '<p class="empty-state">Loading archive...</p>';
+        completedSection.style.display = 'none';
+        return;
+    }
     const savedDisciplines = dateEntry.disciplines || {};
 
     // Separate active and completed disciplines
     const activeDisciplines = [];
     const completedDisciplines = [];
 
-    FIXED_DISCIPLINES.forEach((discipline, index) => {
-        const isCompleted = savedDisciplines[index] || false;
+    getScheduledDisciplines().forEach((discipline) => {
+        const isCompleted = savedDisciplines[discipline.id] || false;
         if (isCompleted) {
-            completedDisciplines.push({ discipline, index, isCompleted });
+            completedDisciplines.push({ discipline, isCompleted });
         } else {
-            activeDisciplines.push({ discipline, index, isCompleted });
+            activeDisciplines.push({ discipline, isCompleted });
         }
     });
 
     // Render active disciplines
-    activeDisciplines.forEach(({ discipline, index, isCompleted }) => {
-        const disciplineElement = createDisciplineElement(discipline, index, isCompleted);
+    activeDisciplines.forEach(({ discipline, isCompleted }) => {
+        const disciplineElement = createDisciplineElement(discipline, isCompleted, readOnly);
         activeContainer.appendChild(disciplineElement);
     });
 
     // Render completed disciplines
-    completedDisciplines.forEach(({ discipline, index, isCompleted }) => {
-        const disciplineElement = createDisciplineElement(discipline, index, isCompleted);
+    completedDisciplines.forEach(({ discipline, isCompleted }) => {
+        const disciplineElement = createDisciplineElement(discipline, isCompleted, readOnly);
         completedContainer.appendChild(disciplineElement);
     });
 
     // Show/hide completed section
     completedSection.style.display = completedDisciplines.length > 0 ? 'block' : 'none';
     
+    // Keep the manager and history in sync when they are open
+    if (isDisciplineManagerOpen) {
+        loadDisciplineManager();
+    }
+    if (isDisciplineHeatmapOpen) {
+        loadDisciplineHeatmap();
+    }
+    
     // Reorder sections based on discipline completion status
     reorderSections();
 }
 
 // Check if all daily disciplines are completed
 function areAllDisciplinesCompleted() {
-    const dateKey = getDateKey();
-    const dateEntry = getDateEntry(dateKey);
+    const dateEntry = getViewedDateEntry();
+    if (!dateEntry) return false;
     const savedDisciplines = dateEntry.disciplines || {};
     
-    // Check if all disciplines are marked as completed
-    for (let i = 0; i < FIXED_DISCIPLINES.length; i++) {
-        if (!savedDisciplines[i]) {
-            return false;
-        }
-    }
-    return true;
+    // Check if all disciplines scheduled for today are marked as completed
+    return getScheduledDisciplines().every(discipline => savedDisciplines[discipline.id]);
 }
 
 // Track current section order to avoid unnecessary DOM manipulation
@@ -1427,9 +2267,10 @@ function reorderSections() {
     currentSectionOrder = desiredOrder;
 }
 
-function createDisciplineElement(name, index, isCompleted) {
+function createDisciplineElement(discipline, isCompleted, readOnly = false) {
     const div = document.createElement('div');
     div.className = 'discipline-item';
+    div.dataset.disciplineId = discipline.id;
 
     const leftDiv = document.createElement('div');
     leftDiv.className = 'item-left';
@@ -1438,15 +2279,25 @@ function createDisciplineElement(name, index, isCompleted) {
     checkbox.type = 'checkbox';
     checkbox.className = 'checkbox';
     checkbox.checked = isCompleted;
-    checkbox.addEventListener('change', () => toggleDiscipline(index, checkbox.checked));
+    checkbox.disabled = readOnly;
+    checkbox.addEventListener('change', () => toggleDiscipline(discipline.id, checkbox.checked));
 
     const label = document.createElement('span');
     label.className = 'item-label' + (isCompleted ? ' completed' : '');
-    label.textContent = name;
+    label.textContent = discipline.name;
 
     leftDiv.appendChild(checkbox);
     leftDiv.appendChild(label);
     
+    const streaks = computeDisciplineStreaks(discipline);
+    if (streaks.current > 0 || streaks.longest > 0) {
+        const streakBadge = document.createElement('span');
+        streakBadge.className = 'streak-badge' + (streaks.current > 0 ? ' active' : '');
+        streakBadge.textContent = `🔥 ${streaks.current} · best ${streaks.longest}`;
+        streakBadge.title = `Current streak: ${streaks.current} scheduled day(s), longest: ${streaks.longest}`;
+        leftDiv.appendChild(streakBadge);
+    }
+    
     // Add action buttons for disciplines
     const rightDiv = document.createElement('div');
     rightDiv.className = 'task-actions';
@@ -1456,47 +2307,353 @@ function createDisciplineElement(name, index, isCompleted) {
     priorityBtn.innerHTML = '<span aria-hidden="true">🔴</span>';
     priorityBtn.setAttribute('aria-label', 'Mark for focus');
     priorityBtn.title = 'Click to mark this discipline for focus';
-    priorityBtn.addEventListener('click', () => toggleDisciplinePriority(index));
+    priorityBtn.addEventListener('click', () => toggleDisciplinePriority(discipline.id));
 
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'delete-btn';
     deleteBtn.innerHTML = '×';
     deleteBtn.setAttribute('aria-label', 'Delete discipline');
     deleteBtn.title = 'Remove discipline for today';
-    deleteBtn.addEventListener('click', () => deleteDiscipline(index));
+    deleteBtn.addEventListener('click', () => deleteDiscipline(discipline.id));
 
     rightDiv.appendChild(priorityBtn);
     rightDiv.appendChild(deleteBtn);
     div.appendChild(leftDiv);
-    div.appendChild(rightDiv);
+    if (!readOnly) {
+        div.appendChild(rightDiv);
+    }
 
     return div;
 }
 
-function toggleDiscipline(index, isCompleted) {
-    const dateKey = getDateKey();
+function toggleDiscipline(disciplineId, isCompleted, dateKey = getDateKey()) {
     const dateEntry = getDateEntry(dateKey);
-    dateEntry.disciplines[index] = isCompleted;
+    dateEntry.disciplines[disciplineId] = isCompleted;
     saveDateEntry(dateKey, dateEntry);
     loadDisciplines();
 }
 
-function toggleDisciplinePriority(index) {
+function toggleDisciplinePriority(disciplineId) {
     // Show an informational message about the discipline focus feature
     showMessage('🔴 Focus marker clicked! Use this to visually identify disciplines you want to prioritize today.', 'success');
 }
 
-function deleteDiscipline(index) {
+function deleteDiscipline(disciplineId) {
     const dateKey = getDateKey();
     const dateEntry = getDateEntry(dateKey);
     // Remove the discipline completion status for today
-    delete dateEntry.disciplines[index];
+    delete dateEntry.disciplines[disciplineId];
     saveDateEntry(dateKey, dateEntry);
     loadDisciplines();
 }
 
+// Discipline streaks and history
+
+/**
+ * Check whether a discipline was completed on a given day
+ * Reads appData directly so no empty entries are created for past days
+ * @param {string} disciplineId - Discipline id
+ * @param {string} dateKey - Date key
+ * @returns {boolean} True if completed
+ */
+function isDisciplineCompletedOn(disciplineId, dateKey) {
+    const entry = appData.dateEntries[dateKey];
+    return Boolean(entry && entry.disciplines && entry.disciplines[disciplineId]);
+}
+
+/**
+ * Get the earliest date key with any data, or today if there is none
+ * @returns {string} Date key
+ */
+function getEarliestDateKey() {
+    const keys = Object.keys(appData.dateEntries).sort();
+    const todayKey = formatDateKey(new Date());
+    return keys.length > 0 && keys[0] < todayKey ? keys[0] : todayKey;
+}
+
+/**
+ * Compute current and longest streaks of a discipline
+ * Only days the discipline is scheduled count; unscheduled days neither
+ * extend nor break a streak. Today doesn't break the current streak until
+ * it's over, so an unchecked discipline this morning keeps yesterday's streak.
+ * @param {Object} discipline - Discipline from the registry
+ * @returns {{current: number, longest: number}} Streak lengths in scheduled days
+ */
+function computeDisciplineStreaks(discipline) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todayKey = formatDateKey(today);
+    const startKey = getEarliestDateKey();
+    const activeDiscipline = { ...discipline, archived: false };
+    
+    let longest = 0;
+    let run = 0;
+    for (let date = parseDateKey(startKey); formatDateKey(date) <= todayKey; date = addDays(date, 1)) {
+        if (!isDisciplineScheduled(activeDiscipline, date)) continue;
+        if (isDisciplineCompletedOn(discipline.id, formatDateKey(date))) {
+            run++;
+            longest = Math.max(longest, run);
+        } else if (formatDateKey(date) !== todayKey) {
+            run = 0;
+        }
+    }
+    
+    // `run` now holds the streak ending today (or yesterday if today isn't done yet)
+    return { current: run, longest };
+}
+
+let isDisciplineHeatmapOpen = false;
+
+function toggleDisciplineHeatmap() {
+    isDisciplineHeatmapOpen = !isDisciplineHeatmapOpen;
+    document.getElementById('disciplineHeatmap').style.display = isDisciplineHeatmapOpen ? 'block' : 'none';
+    document.getElementById('disciplineHistoryBtn').textContent = isDisciplineHeatmapOpen ? '✓ Done' : '📅 History';
+    if (isDisciplineHeatmapOpen) {
+        loadDisciplineHeatmap();
+    }
+}
+
+/**
+ * Render the completion heatmap: one column per week, one row per weekday
+ * Cell shade is the share of scheduled disciplines completed that day
+ * (or done/not done when a single discipline is selected)
+ */
+function loadDisciplineHeatmap() {
+    const select = document.getElementById('heatmapDisciplineSelect');
+    const weeks = parseInt(document.getElementById('heatmapRangeSelect').value, 10);
+    const grid = document.getElementById('heatmapGrid');
+    const disciplines = getDisciplines();
+    
+    // Refresh the discipline options, keeping the current selection
+    const selectedId = select.value;
+    select.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All disciplines';
+    select.appendChild(allOption);
+    disciplines.forEach(discipline => {
+        const option = document.createElement('option');
+        option.value = discipline.id;
+        option.textContent = discipline.name + (discipline.archived ? ' (archived)' : '');
+        select.appendChild(option);
+    });
+    select.value = disciplines.some(d => d.id === selectedId) ? selectedId : '';
+    
+    const tracked = select.value
+        ? disciplines.filter(d => d.id === select.value).map(d => ({ ...d, archived: false }))
+        : disciplines.filter(d => !d.archived);
+    
+    grid.innerHTML = '';
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todayKey = formatDateKey(today);
+    // Start on the Sunday of the first week shown
+    const start = addDays(today, -(weeks - 1) * 7 - today.getDay());
+    
+    for (let week = 0; week < weeks; week++) {
+        const column = document.createElement('div');
+        column.className = 'heatmap-week';
+        
+        for (let day = 0; day < 7; day++) {
+            const date = addDays(start, week * 7 + day);
+            const dateKey = formatDateKey(date);
+            const cell = document.createElement('div');
+            cell.className = 'heatmap-cell';
+            
+            if (dateKey > todayKey) {
+                cell.classList.add('future');
+            } else {
+                const scheduled = tracked.filter(d => isDisciplineScheduled(d, date));
+                const done = scheduled.filter(d => isDisciplineCompletedOn(d.id, dateKey)).length;
+                if (scheduled.length === 0) {
+                    cell.classList.add('unscheduled');
+                    cell.title = `${dateKey}: nothing scheduled`;
+                } else {
+                    const level = Math.ceil((done / scheduled.length) * 4);
+                    cell.classList.add(`level-${level}`);
+                    cell.title = `${dateKey}: ${done}/${scheduled.length} completed`;
+                }
+                cell.addEventListener('click', () => goToDate(parseDateKey(dateKey)));
+            }
+            column.appendChild(cell);
+        }
+        grid.appendChild(column);
+    }
+}
+
+// Discipline registry management (add/rename/archive/reorder/schedule)
+let isDisciplineManagerOpen = false;
+
+function toggleDisciplineManager() {
+    isDisciplineManagerOpen = !isDisciplineManagerOpen;
+    const manager = document.getElementById('disciplineManager');
+    const button = document.getElementById('manageDisciplinesBtn');
+    manager.style.display = isDisciplineManagerOpen ? 'block' : 'none';
+    button.textContent = isDisciplineManagerOpen ? '✓ Done' : '⚙️ Manage';
+    if (isDisciplineManagerOpen) {
+        loadDisciplineManager();
+    }
+}
+
+function loadDisciplineManager() {
+    const container = document.getElementById('disciplineManagerList');
+    container.innerHTML = '';
+    
+    const disciplines = getDisciplines();
+    disciplines.forEach((discipline, index) => {
+        container.appendChild(createDisciplineManagerRow(discipline, index, disciplines.length));
+    });
+}
+
+function createDisciplineManagerRow(discipline, index, count) {
+    const row = document.createElement('div');
+    row.className = 'discipline-manager-row' + (discipline.archived ? ' archived' : '');
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'tab-name-input discipline-name-input';
+    nameInput.value = discipline.name;
+    nameInput.setAttribute('aria-label', 'Discipline name');
+    nameInput.addEventListener('change', () => renameDiscipline(discipline.id, nameInput.value));
+    nameInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') nameInput.blur();
+    });
+    
+    const weekdays = document.createElement('div');
+    weekdays.className = 'weekday-toggles';
+    WEEKDAY_LABELS.forEach((dayLabel, day) => {
+        const dayBtn = document.createElement('button');
+        const isOn = !Array.isArray(discipline.schedule) || discipline.schedule.includes(day);
+        dayBtn.className = 'weekday-btn' + (isOn ? ' active' : '');
+        dayBtn.textContent = dayLabel.charAt(0);
+        dayBtn.title = dayLabel;
+        dayBtn.setAttribute('aria-label', `${dayLabel}: ${isOn ? 'scheduled' : 'not scheduled'}`);
+        dayBtn.addEventListener('click', () => toggleDisciplineWeekday(discipline.id, day));
+        weekdays.appendChild(dayBtn);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'task-actions';
+    
+    const upBtn = document.createElement('button');
+    upBtn.className = 'date-shift-btn';
+    upBtn.innerHTML = '↑';
+    upBtn.setAttribute('aria-label', 'Move discipline up');
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveDiscipline(discipline.id, -1));
+    
+    const downBtn = document.createElement('button');
+    downBtn.className = 'date-shift-btn';
+    downBtn.innerHTML = '↓';
+    downBtn.setAttribute('aria-label', 'Move discipline down');
+    downBtn.disabled = index === count - 1;
+    downBtn.addEventListener('click', () => moveDiscipline(discipline.id, 1));
+    
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'date-shift-btn';
+    archiveBtn.textContent = discipline.archived ? 'Restore' : 'Archive';
+    archiveBtn.title = discipline.archived
+        ? 'Show this discipline again'
+        : 'Hide this discipline; its history is kept';
+    archiveBtn.addEventListener('click', () => toggleDisciplineArchived(discipline.id));
+    
+    actions.appendChild(upBtn);
+    actions.appendChild(downBtn);
+    actions.appendChild(archiveBtn);
+    
+    row.appendChild(nameInput);
+    row.appendChild(weekdays);
+    row.appendChild(actions);
+    return row;
+}
+
+function addDiscipline() {
+    const input = document.getElementById('newDisciplineInput');
+    const name = input.value.trim();
+    if (!name) return;
+    
+    const disciplines = getDisciplines();
+    disciplines.push({
+        id: generateId('disc'),
+        name,
+        archived: false,
+        schedule: null
+    });
+    saveDisciplines(disciplines, 'Add discipline');
+    
+    input.value = '';
+    loadDisciplines();
+}
+
+function renameDiscipline(disciplineId, newName) {
+    const name = newName.trim();
+    const disciplines = getDisciplines();
+    const discipline = disciplines.find(d => d.id === disciplineId);
+    if (!discipline || !name || name === discipline.name) {
+        loadDisciplineManager();
+        return;
+    }
+    
+    // Completion history is keyed by id, so renaming keeps it intact
+    discipline.name = name;
+    saveDisciplines(disciplines, 'Rename discipline');
+    loadDisciplines();
+}
+
+function toggleDisciplineArchived(disciplineId) {
+    const disciplines = getDisciplines();
+    const discipline = disciplines.find(d => d.id === disciplineId);
+    if (!discipline) return;
+    
+    discipline.archived = !discipline.archived;
+    saveDisciplines(disciplines, discipline.archived ? 'Archive discipline' : 'Restore discipline');
+    loadDisciplines();
+}
+
+function moveDiscipline(disciplineId, direction) {
+    const disciplines = getDisciplines();
+    const index = disciplines.findIndex(d => d.id === disciplineId);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= disciplines.length) return;
+    
+    const [discipline] = disciplines.splice(index, 1);
+    disciplines.splice(targetIndex, 0, discipline);
+    saveDisciplines(disciplines, 'Reorder disciplines');
+    loadDisciplines();
+}
+
+function toggleDisciplineWeekday(disciplineId, day) {
+    const disciplines = getDisciplines();
+    const discipline = disciplines.find(d => d.id === disciplineId);
+    if (!discipline) return;
+    
+    // A null schedule means every day
+    const schedule = Array.isArray(discipline.schedule) ? discipline.schedule.slice() : [0, 1, 2, 3, 4, 5, 6];
+    const position = schedule.indexOf(day);
+    if (position === -1) {
+        schedule.push(day);
+    } else if (schedule.length > 1) {
+        schedule.splice(position, 1);
+    } else {
+        showError('A discipline needs at least one day. Archive it instead to hide it.');
+        return;
+    }
+    schedule.sort((a, b) => a - b);
+    
+    discipline.schedule = schedule.length === 7 ? null : schedule;
+    saveDisciplines(disciplines, 'Update discipline schedule');
+    loadDisciplines();
+}
+
 // Tasks management
+const MAX_PRIORITY_TASKS = 3; // Focus tasks per day
+
 function loadTasks() {
+    if (viewMode !== 'day') {
+        loadOverview();
+        return;
+    }
+    
     const activeContainer = document.getElementById('tasksList');
     const completedContainer = document.getElementById('completedTasksList');
     const completedSection = document.getElementById('completedTasksSection');
@@ -1504,36 +2661,56 @@ function loadTasks() {
     activeContainer.innerHTML = '';
     completedContainer.innerHTML = '';
 
-    const dateKey = getDateKey();
-    const dateEntry = getDateEntry(dateKey);
+    const showAgenda = taskViewMode === 'agenda';
+    const agenda = document.getElementById('agendaTimeline');
+    agenda.innerHTML = '';
+    agenda.hidden = !showAgenda;
+    document.getElementById('taskViewBtn').textContent = showAgenda ? '☰ List' : '🕐 Agenda';
+    
+    const readOnly = isViewingArchivedDate() || isBoardReadOnly();
+    document.querySelector('.add-task-container').style.display = readOnly ? 'none' : '';
+    
+    const dateEntry = getViewedDateEntry();
+    if (!dateEntry) {
+        // Archive still loading - loadArchiveMonth re-renders when it arrives
+        activeContainer.innerHTML = '<p class="empty-state">Loading archive...</p>';
+        completedSection.style.display = 'none';
+        return;
+    }
     let tasks = dateEntry.tasks || [];
     
+    // The agenda shows timed tasks on its timeline, done or not
+    if (showAgenda) {
+        renderAgenda(tasks.filter(task => task.time), readOnly);
+        tasks = tasks.filter(task => !task.time);
+    }
+    
     // Separate active and completed tasks
     const activeTasks = [];
     const completedTasks = [];
     
-    tasks.forEach((task, index) => {
+    tasks.forEach((task) => {
         if (task.completed) {
-            completedTasks.push({ task, index });
+            completedTasks.push(task);
         } else {
-            activeTasks.push({ task, index });
+            activeTasks.push(task);
         }
     });
     
     // Sort active tasks by priority (priority tasks first)
     activeTasks.sort((a, b) => {
-        return (b.task.priority ? 1 : 0) - (a.task.priority ? 1 : 0);
+        return (b.priority ? 1 : 0) - (a.priority ? 1 : 0);
     });
     
     // Render active tasks
-    activeTasks.forEach(({ task, index }) => {
-        const taskElement = createTaskElement(task, index);
+    activeTasks.forEach((task) => {
+        const taskElement = createTaskElement(task, readOnly);
         activeContainer.appendChild(taskElement);
     });
     
     // Render completed tasks
-    completedTasks.forEach(({ task, index }) => {
-        const taskElement = createTaskElement(task, index);
+    completedTasks.forEach((task) => {
+        const taskElement = createTaskElement(task, readOnly);
         completedContainer.appendChild(taskElement);
     });
     
@@ -1541,11 +2718,15 @@ function loadTasks() {
     completedSection.style.display = completedTasks.length > 0 ? 'block' : 'none';
 }
 
-function createTaskElement(task, index) {
+function createTaskElement(task, readOnly = false, dateKey = getDateKey()) {
     const div = document.createElement('div');
-    div.className = 'task-item' + (task.priority ? ' priority-task' : '');
-    div.draggable = true;
-    div.dataset.taskIndex = index;
+    const expanded = expandedTaskIds.has(task.id);
+    div.className = 'task-item' + (task.priority ? ' priority-task' : '') + (readOnly ? ' read-only' : '')
+        + (expanded ? ' expanded' : '');
+    // An open detail panel has inputs and text to select, so the task is dragged when closed
+    div.draggable = !readOnly && !expanded;
+    div.dataset.taskId = task.id;
+    div.dataset.dateKey = dateKey;
 
     const leftDiv = document.createElement('div');
     leftDiv.className = 'item-left';
@@ -1554,15 +2735,70 @@ function createTaskElement(task, index) {
     checkbox.type = 'checkbox';
     checkbox.className = 'checkbox';
     checkbox.checked = task.completed;
-    checkbox.addEventListener('change', () => toggleTask(index, checkbox.checked));
+    checkbox.disabled = readOnly;
+    checkbox.addEventListener('change', () => toggleTask(task.id, checkbox.checked, dateKey));
 
     const label = document.createElement('span');
     label.className = 'item-label' + (task.completed ? ' completed' : '');
-    label.textContent = task.name;
+    appendLinkifiedText(label, task.name);
+    if (!readOnly) {
+        label.title = 'Double-click to rename';
+        label.addEventListener('dblclick', () => startTaskRename(label, task, dateKey));
+    }
 
     leftDiv.appendChild(checkbox);
     leftDiv.appendChild(label);
     
+    if (task.recurrenceId) {
+        const recurringTask = getRecurringTasks().find(r => r.id === task.recurrenceId);
+        const recurrenceBadge = document.createElement('span');
+        recurrenceBadge.className = 'recurrence-badge';
+        recurrenceBadge.textContent = '🔁';
+        recurrenceBadge.title = recurringTask
+            ? describeRecurrenceRule(recurringTask.rule, recurringTask.startDate)
+            : 'Recurring task (series ended)';
+        leftDiv.appendChild(recurrenceBadge);
+    }
+    
+    if (task.time) {
+        const timeBadge = document.createElement('span');
+        timeBadge.className = 'time-badge';
+        timeBadge.textContent = `🕐 ${formatTaskTime(task)}`;
+        leftDiv.appendChild(timeBadge);
+    }
+    
+    if (task.source) {
+        const sourceTab = getTabs().find(t => t.id === task.source.tabId);
+        if (sourceTab) {
+            const sourceBadge = document.createElement('button');
+            sourceBadge.className = 'source-badge';
+            sourceBadge.textContent = `📋 ${sourceTab.name}`;
+            sourceBadge.title = `From the "${sourceTab.name}" list - click to show`;
+            sourceBadge.addEventListener('click', () => showListItem(task.source.tabId, task.source.itemId));
+            leftDiv.appendChild(sourceBadge);
+        }
+    }
+    
+    const progress = getSubtaskProgress(task);
+    if (task.notes || progress.total > 0) {
+        const detailsBadge = document.createElement('button');
+        detailsBadge.className = 'details-badge' + (progress.total > 0 && progress.done === progress.total ? ' complete' : '');
+        detailsBadge.textContent = progress.total > 0 ? `☑ ${progress.done}/${progress.total}` : '📝';
+        detailsBadge.title = (progress.total > 0 ? `${progress.done} of ${progress.total} steps done` : 'Has notes')
+            + (expanded ? ' - click to hide details' : ' - click to show details');
+        detailsBadge.setAttribute('aria-expanded', String(expanded));
+        detailsBadge.addEventListener('click', () => toggleTaskDetails(task.id));
+        leftDiv.appendChild(detailsBadge);
+    }
+    
+    if (task.carriedOver) {
+        const carryBadge = document.createElement('span');
+        carryBadge.className = 'carryover-badge';
+        carryBadge.textContent = `↻ ${task.carriedOver}`;
+        carryBadge.title = `Carried over ${task.carriedOver} time(s), originally planned for ${task.originalDate}`;
+        leftDiv.appendChild(carryBadge);
+    }
+    
     const rightDiv = document.createElement('div');
     rightDiv.className = 'task-actions';
     
@@ -1571,35 +2807,71 @@ function createTaskElement(task, index) {
     backBtn.innerHTML = '&lt;';
     backBtn.setAttribute('aria-label', 'Move task to previous day');
     backBtn.title = 'Move to previous day';
-    backBtn.addEventListener('click', () => shiftTaskDate(index, -1));
+    backBtn.addEventListener('click', () => shiftTaskDate(task.id, -1, dateKey));
 
     const forwardBtn = document.createElement('button');
     forwardBtn.className = 'date-shift-btn';
     forwardBtn.innerHTML = '&gt;';
     forwardBtn.setAttribute('aria-label', 'Move task to next day');
     forwardBtn.title = 'Move to next day';
-    forwardBtn.addEventListener('click', () => shiftTaskDate(index, 1));
+    forwardBtn.addEventListener('click', () => shiftTaskDate(task.id, 1, dateKey));
+    
+    const timeBtn = document.createElement('button');
+    timeBtn.className = 'priority-btn' + (task.time ? ' active' : '');
+    timeBtn.innerHTML = '<span aria-hidden="true">🕐</span>';
+    timeBtn.setAttribute('aria-label', 'Set task time');
+    timeBtn.title = task.time ? `At ${formatTaskTime(task)} - click to change` : 'Set a time';
+    timeBtn.addEventListener('click', () => editTaskTime(task.id, dateKey));
+    
+    const detailsBtn = document.createElement('button');
+    detailsBtn.className = 'priority-btn' + (expanded ? ' active' : '');
+    detailsBtn.innerHTML = '<span aria-hidden="true">📝</span>';
+    detailsBtn.setAttribute('aria-label', expanded ? 'Hide notes and steps' : 'Show notes and steps');
+    detailsBtn.setAttribute('aria-expanded', String(expanded));
+    detailsBtn.title = expanded ? 'Hide notes and steps' : 'Notes and steps';
+    detailsBtn.addEventListener('click', () => toggleTaskDetails(task.id));
     
     const priorityBtn = document.createElement('button');
     priorityBtn.className = 'priority-btn' + (task.priority ? ' active' : '');
     priorityBtn.innerHTML = '<span aria-hidden="true">🔴</span>';
     priorityBtn.setAttribute('aria-label', task.priority ? 'Remove from focus' : 'Mark for focus');
     priorityBtn.title = task.priority ? 'Remove from focus' : 'Mark for focus';
-    priorityBtn.addEventListener('click', () => toggleTaskPriority(index));
+    priorityBtn.addEventListener('click', () => toggleTaskPriority(task.id, dateKey));
 
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'delete-btn';
     deleteBtn.innerHTML = '×';
     deleteBtn.setAttribute('aria-label', 'Delete task');
     deleteBtn.title = 'Delete task';
-    deleteBtn.addEventListener('click', () => deleteTask(index));
+    deleteBtn.addEventListener('click', () => deleteTask(task.id, dateKey));
 
     rightDiv.appendChild(backBtn);
     rightDiv.appendChild(forwardBtn);
+    rightDiv.appendChild(timeBtn);
+    rightDiv.appendChild(detailsBtn);
     rightDiv.appendChild(priorityBtn);
+    if (!task.completed) {
+        const toListBtn = document.createElement('button');
+        toListBtn.className = 'priority-btn';
+        toListBtn.innerHTML = '<span aria-hidden="true">📋</span>';
+        toListBtn.setAttribute('aria-label', 'Send task to a list');
+        toListBtn.title = 'Send back to a list';
+        toListBtn.addEventListener('click', () => sendTaskToList(task.id, dateKey));
+        rightDiv.appendChild(toListBtn);
+    }
     rightDiv.appendChild(deleteBtn);
     div.appendChild(leftDiv);
-    div.appendChild(rightDiv);
+    
+    // Archived days are shown read-only
+    if (!readOnly) {
+        div.appendChild(rightDiv);
+    }
+    if (expanded) {
+        div.appendChild(createTaskDetailsElement(task, readOnly, dateKey));
+    }
+    if (readOnly) {
+        return div;
+    }
     
     // Drag and drop event listeners
     div.addEventListener('dragstart', handleDragStart);
@@ -1610,429 +2882,3676 @@ function createTaskElement(task, index) {
     return div;
 }
 
-function addTask() {
-    const input = document.getElementById('newTaskInput');
-    const taskName = input.value.trim();
-
-    if (!taskName) return;
-
-    const dateKey = getDateKey();
-    const dateEntry = getDateEntry(dateKey);
-    dateEntry.tasks.push({ name: taskName, completed: false });
-    saveDateEntry(dateKey, dateEntry);
+/**
+ * Create a new task object with a stable id and timestamps
+ * @param {string} name - Task name
+ * @returns {Object} The task
+ */
+function createTask(name) {
+    const now = new Date().toISOString();
+    return {
+        id: generateId('task'),
+        name,
+        completed: false,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null
+    };
+}
+
+/**
+ * Find a task in a date entry by id
+ * @param {Object} dateEntry - Date entry holding the tasks
+ * @param {string} taskId - Task id
+ * @returns {Object|undefined} The task
+ */
+function findTask(dateEntry, taskId) {
+    return dateEntry.tasks.find(task => task.id === taskId);
+}
+
+/**
+ * Mark a task as modified
+ * @param {Object} task - Task to update
+ */
+function touchTask(task) {
+    task.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Add the task typed into the new task input
+ * Scheduling hints in the text (see parseQuickAdd()) pick its day, time, focus, list and repeat
+ */
+function addTask() {
+    const input = document.getElementById('newTaskInput');
+    const text = input.value.trim();
+
+    if (!text) return;
+
+    const quickAdd = parseQuickAdd(text, getDateKey());
+    const dateKey = quickAdd.dateKey || getDateKey();
+    if (quickAdd.dateKey && isArchivedDate(dateKey)) {
+        const { startDateKey } = getRetentionDateRange();
+        showError(`Days before ${startDateKey} are archived and read-only.`);
+        return;
+    }
+    const rule = quickAdd.rule || getSelectedRepeatRule();
+    if (rule === undefined) return;
+    
+    const fields = {};
+    if (quickAdd.time) {
+        fields.time = quickAdd.time;
+    }
+    if (quickAdd.duration) {
+        fields.duration = quickAdd.duration;
+    }
+    // Same limit as toggleTaskPriority(): the task is still added, just without focus
+    const focusFull = quickAdd.priority && countPriorityTasks(dateKey) >= MAX_PRIORITY_TASKS;
+    if (quickAdd.priority && !focusFull) {
+        fields.priority = true;
+    }
+    
+    if (rule) {
+        // Instances show on matching days and are stored once edited (see peekDateEntry)
+        addRecurringTask(quickAdd.name, rule, dateKey, fields);
+        updateData('Add recurring task');
+        document.getElementById('taskRepeatSelect').value = 'none';
+    } else {
+        const task = { ...createTask(quickAdd.name), ...fields };
+        getDateEntry(dateKey).tasks.push(task);
+        if (quickAdd.tabId) {
+            // Linked like a list item sent to a day, so completing the task ticks the item
+            const item = { ...createListItem(quickAdd.name), taskId: task.id };
+            getListItems(quickAdd.tabId).push(item);
+            task.source = { tabId: quickAdd.tabId, itemId: item.id, onComplete: 'done' };
+            if (quickAdd.tabId === currentTabId) {
+                loadCurrentTab();
+            }
+        }
+        updateData('Add task');
+    }
 
     input.value = '';
+    renderQuickAddPreview();
     loadTasks();
+    
+    if (focusFull) {
+        showError(`"${quickAdd.name}" was added without focus: you can only have ${MAX_PRIORITY_TASKS} priority tasks at a time.`);
+    } else if (dateKey !== getDateKey()) {
+        const dayLabel = parseDateKey(dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        showMessage(`📅 "${quickAdd.name}" added to ${dayLabel}.`, 'success', 3000);
+    }
 }
 
-function toggleTask(index, isCompleted) {
-    const dateKey = getDateKey();
+/**
+ * Number of focus tasks on a day, without creating its date entry
+ * @param {string} dateKey - Day
+ * @returns {number}
+ */
+function countPriorityTasks(dateKey) {
+    return peekDateEntry(dateKey).tasks.filter(t => t.priority).length;
+}
+
+/**
+ * Replace a task label with an input to rename the task in place
+ * @param {HTMLElement} label - The task's label element
+ * @param {Object} task - The task
+ * @param {string} dateKey - Day the task is on
+ */
+function startTaskRename(label, task, dateKey) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'task-rename-input';
+    input.value = task.name;
+    
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save) {
+            renameTask(task.id, input.value, dateKey);
+        } else {
+            loadTasks();
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    label.closest('.task-item').draggable = false;
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+async function renameTask(taskId, newName, dateKey = getDateKey()) {
+    const name = newName.trim();
+    const dateEntry = getDateEntry(dateKey);
+    const task = findTask(dateEntry, taskId);
+    if (!task || !name || name === task.name) {
+        loadTasks();
+        return;
+    }
+    
+    if (task.recurrenceId) {
+        const scope = await showChoiceDialog('Edit recurring task', `Rename "${task.name}" to "${name}" for:`, [
+            { value: 'instance', label: 'This occurrence' },
+            { value: 'series', label: 'This and following' }
+        ]);
+        if (!scope) {
+            loadTasks();
+            return;
+        }
+        if (scope === 'series') {
+            renameRecurringSeries(task.recurrenceId, dateKey, name);
+            updateData('Rename recurring task');
+            loadTasks();
+            return;
+        }
+        // Keep this occurrence's own name when the series is renamed later
+        task.recurrenceException = true;
+    }
+    
+    task.name = name;
+    touchTask(task);
+    saveDateEntry(dateKey, dateEntry);
+    loadTasks();
+}
+
+function toggleTask(taskId, isCompleted, dateKey = getDateKey()) {
     const dateEntry = getDateEntry(dateKey);
-    if (dateEntry.tasks[index]) {
-        dateEntry.tasks[index].completed = isCompleted;
+    const task = findTask(dateEntry, taskId);
+    if (task) {
+        task.completed = isCompleted;
+        task.completedAt = isCompleted ? new Date().toISOString() : null;
+        touchTask(task);
+        const listChanged = applyTaskCompletionToSource(task);
         saveDateEntry(dateKey, dateEntry);
         loadTasks();
+        if (listChanged) {
+            loadCurrentTab();
+        }
     }
 }
 
-function deleteTask(index) {
-    const dateKey = getDateKey();
+async function deleteTask(taskId, dateKey = getDateKey()) {
     const dateEntry = getDateEntry(dateKey);
+    const task = findTask(dateEntry, taskId);
+    if (!task) return;
+    
+    if (task.recurrenceId) {
+        const scope = await showChoiceDialog('Delete recurring task', `"${task.name}" is part of a recurring series.`, [
+            { value: 'skip', label: 'Skip this occurrence' },
+            { value: 'series', label: 'Delete this and following' }
+        ]);
+        if (!scope) return;
+        if (scope === 'series') {
+            stopRecurringSeries(task.recurrenceId, dateKey);
+            updateData('Delete recurring task');
+            loadTasks();
+            showUndoMessage(`Deleted "${task.name}" and following occurrences`);
+            return;
+        }
+        // Skipping just removes the instance; dateEntry.recurrences keeps it from coming back
+    }
+    
+    const index = dateEntry.tasks.findIndex(t => t.id === taskId);
+    if (index === -1) return;
     dateEntry.tasks.splice(index, 1);
-    saveDateEntry(dateKey, dateEntry);
+    saveDateEntry(dateKey, dateEntry, `Delete task "${task.name}"`);
     loadTasks();
+    showUndoMessage(`Deleted "${task.name}"`);
 }
 
-function toggleTaskPriority(index) {
-    const dateKey = getDateKey();
+function toggleTaskPriority(taskId, dateKey = getDateKey()) {
     const dateEntry = getDateEntry(dateKey);
-    const task = dateEntry.tasks[index];
+    const task = findTask(dateEntry, taskId);
     
     if (!task) return;
     
-    // If trying to mark as priority, check if we already have 3 priority tasks
+    // If trying to mark as priority, check if we already have the maximum of priority tasks
     if (!task.priority) {
         const priorityCount = dateEntry.tasks.filter(t => t.priority).length;
-        if (priorityCount >= 3) {
-            showError('You can only have 3 priority tasks at a time. Remove one first.');
+        if (priorityCount >= MAX_PRIORITY_TASKS) {
+            showError(`You can only have ${MAX_PRIORITY_TASKS} priority tasks at a time. Remove one first.`);
             return;
         }
     }
     
     // Toggle priority
     task.priority = !task.priority;
+    touchTask(task);
     saveDateEntry(dateKey, dateEntry);
     loadTasks();
 }
 
-function shiftTaskDate(index, direction) {
-    const sourceDateKey = getDateKey();
-    const sourceDateEntry = getDateEntry(sourceDateKey);
-    const task = sourceDateEntry.tasks[index];
+function shiftTaskDate(taskId, direction, sourceDateKey = getDateKey()) {
+    const targetDateKey = formatDateKey(addDays(parseDateKey(sourceDateKey), direction));
+    moveTaskToDate(taskId, sourceDateKey, targetDateKey);
     
-    if (!task) return;
+    // Reload tasks for current view
+    loadTasks();
+}
+
+/**
+ * Move a task to another day, keeping its id
+ * @param {string} taskId - Task id
+ * @param {string} sourceDateKey - Day the task is on
+ * @param {string} targetDateKey - Day to move it to
+ * @param {string|null} beforeTaskId - Insert before this task on the target day (default: append)
+ * @returns {boolean} True if the task was moved
+ */
+function moveTaskToDate(taskId, sourceDateKey, targetDateKey, beforeTaskId = null) {
+    if (isArchivedDate(targetDateKey)) {
+        showError('That day is archived and read-only. Adjust the window under ⚙️ Sync Configuration.');
+        return false;
+    }
     
-    // Calculate target date - create a proper copy to avoid mutations
-    const targetDate = new Date(currentDate.getTime());
-    targetDate.setDate(targetDate.getDate() + direction);
-    const targetDateKey = targetDate.toISOString().split('T')[0];
+    const sourceDateEntry = getDateEntry(sourceDateKey);
+    const index = sourceDateEntry.tasks.findIndex(task => task.id === taskId);
+    if (index === -1) return false;
+    const task = sourceDateEntry.tasks[index];
     
     // Get or create target date entry
     const targetDateEntry = getDateEntry(targetDateKey);
     
-    // Move task to target date and remove from source date
-    targetDateEntry.tasks.push({ ...task });
+    // Move task to target date (keeping its id) and remove from source date
+    const movedTask = { ...task };
+    touchTask(movedTask);
+    const beforeIndex = beforeTaskId ? targetDateEntry.tasks.findIndex(t => t.id === beforeTaskId) : -1;
+    if (beforeIndex === -1) {
+        targetDateEntry.tasks.push(movedTask);
+    } else {
+        targetDateEntry.tasks.splice(beforeIndex, 0, movedTask);
+    }
     sourceDateEntry.tasks.splice(index, 1);
     
-    // Update both date entries in appData
-    appData.dateEntries[targetDateKey] = targetDateEntry;
-    appData.dateEntries[sourceDateKey] = sourceDateEntry;
-    
     // Save to remote storage once with both changes
     updateData('Move task between dates');
-    
-    // Reload tasks for current view
-    loadTasks();
+    return true;
 }
 
-// Tabs/Lists management
-function loadTabs() {
-    const container = document.getElementById('tabsContainer');
-    container.innerHTML = '';
+// Quick Add
+// The new task input reads scheduling hints typed along with the name, e.g.
+// "Call Harvest Right tomorrow @ 12:30 ! #Admin" or "Water plants every monday".
+// Hints are taken out of the name and shown as chips below the input before adding.
+// A word written with a leading backslash (\sun) is always kept in the name as it is.
+
+const QUICK_ADD_WEEKDAY = '(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?)';
+// Weekday dates: full names anywhere, abbreviations only after "on" or "next" - or at the end
+// for the ones that aren't also words ("in the sun", "sat down" and "get wed" stay names)
+const QUICK_ADD_WEEKDAY_NAME = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const QUICK_ADD_WEEKDAY_ABBREVIATION = '(sun|mon|tues?|wed|thur?s?|fri|sat)';
+const QUICK_ADD_WEEKDAY_AT_END = '(tues?|thur?s?|fri)';
+const QUICK_ADD_MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const QUICK_ADD_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
 
-    let tabs = getTabs();
+/**
+ * Day of the week for a weekday name or abbreviation
+ * @param {string} name - e.g. 'fri' or 'Friday'
+ * @returns {number} Index like Date.getDay()
+ */
+function parseWeekdayName(name) {
+    return WEEKDAY_LABELS.findIndex(label => label.slice(0, 3).toLowerCase() === name.slice(0, 3).toLowerCase());
+}
 
-    // Set current tab if not set
-    if (!currentTabId && tabs.length > 0) {
-        currentTabId = tabs[0].id;
+/**
+ * Next date with a day and month, today included
+ * @param {number} day - Day of the month
+ * @param {string} monthName - Month name or abbreviation
+ * @param {Date} today - Local midnight today
+ * @returns {Date|null} The date, or null if the day doesn't exist in that month
+ */
+function getNextDayOfMonth(day, monthName, today) {
+    const month = QUICK_ADD_MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+    let date = new Date(today.getFullYear(), month, day);
+    if (date < today) {
+        date = new Date(today.getFullYear() + 1, month, day);
     }
+    return date.getMonth() === month ? date : null;
+}
 
-    tabs.forEach((tab) => {
-        const tabElement = createTabElement(tab);
-        container.appendChild(tabElement);
-    });
+/**
+ * Find a list tab by a #hashtag, ignoring case, spaces and punctuation
+ * @param {string} tag - Tag without the #
+ * @returns {Object|undefined} The tab
+ */
+function findTabByTag(tag) {
+    const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    return getTabs().find(tab => normalize(tab.name) === normalize(tag));
 }
 
-function createTabElement(tab) {
-    const button = document.createElement('button');
-    button.className = 'tab' + (tab.id === currentTabId ? ' active' : '');
-    button.draggable = true;
-    button.dataset.tabId = tab.id;
+/**
+ * Split quick-add text into a task name and scheduling hints
+ * - Dates: today, tomorrow, friday, on fri, next fri, in 3 days, 3 Feb, Feb 3 (ranges like "3-6 Feb" stay in the name)
+ * - Time: @ 12:30, @9, @ 3pm, optionally with a duration: @ 9:30 for 45m, @ 14 for 1.5h
+ * - Focus: a separate !
+ * - List: #Admin adds the task to the Admin list too (not for repeating tasks)
+ * - Repeat: every day, every 2 weeks, every weekday, every mon and thu
+ * - \word keeps the word in the name without reading it as a hint
+ * @param {string} text - Text typed into the new task input
+ * @param {string} defaultDateKey - Day used when no date is given (start of a repeat)
+ * @param {Date} now - Current time, relative dates are based on its day
+ * @returns {{name: string, dateKey: string|null, time: string|null, duration: number|null, priority: boolean, tabId: string|null, rule: Object|null}}
+ *          dateKey is null when the text names no date
+ */
+function parseQuickAdd(text, defaultDateKey, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    
+    // Backslashed words are swapped for private-use characters no hint pattern matches,
+    // and put back without the backslash at the end
+    const literals = [];
+    const restoreLiterals = (value) => value.replace(/[\uE000-\uF8FF]/g, (match) => literals[match.charCodeAt(0) - 0xE000] ?? match);
+    const protectedText = text.replace(/\\(\S+)/g, (match, word) => String.fromCharCode(0xE000 + literals.push(word) - 1));
+    
+    const result = { name: restoreLiterals(protectedText).trim(), dateKey: null, time: null, duration: null, priority: false, tabId: null, rule: null };
+    let rest = ` ${protectedText} `;
+    
+    // Run a pattern on the remaining text; the match is removed unless handle() returns false
+    const take = (pattern, handle) => {
+        const match = rest.match(new RegExp(pattern, 'iu'));
+        if (!match || handle(match) === false) return false;
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+        return true;
+    };
+    // Try [pattern, handle] pairs in order until one matches
+    const takeFirst = (matchers) => matchers.some(([pattern, handle]) => take(pattern, handle));
+    
+    let repeat = null;
+    takeFirst([
+        ['\\bevery\\s+weekday\\b', () => {
+            repeat = { freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] };
+        }],
+        [`\\bevery\\s+(${QUICK_ADD_WEEKDAY}(?:\\s*(?:,|and)\\s*${QUICK_ADD_WEEKDAY})*)\\b`, match => {
+            const weekdays = match[1].split(/\s*(?:,|and)\s*/i).map(parseWeekdayName);
+            repeat = { freq: 'weekly', interval: 1, byWeekday: Array.from(new Set(weekdays)).sort() };
+        }],
+        ['\\bevery\\s+(?:(\\d+)\\s+|other\\s+)?(day|week|month|year)s?\\b', match => {
+            const interval = match[0].toLowerCase().includes('other') ? 2 : Number(match[1] || 1);
+            if (interval < 1) return false;
+            repeat = { freq: { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' }[match[2].toLowerCase()], interval };
+        }]
+    ]);
+    
+    take('(?:^|\\s)@\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?(?=\\s)', match => {
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const meridiem = (match[3] || '').toLowerCase();
+        if (meridiem && (hours < 1 || hours > 12)) return false;
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+        if (hours > 23 || minutes > 59) return false;
+        result.time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    });
     
-    const nameSpan = document.createElement('span');
-    nameSpan.textContent = tab.name;
-    nameSpan.className = 'tab-name';
-    button.appendChild(nameSpan);
-
-    // Add edit button
-    const editBtn = document.createElement('span');
-    editBtn.className = 'tab-edit-btn';
-    editBtn.textContent = '✎';
-    editBtn.setAttribute('aria-label', 'Edit ' + tab.name);
-    editBtn.setAttribute('role', 'button');
-    editBtn.setAttribute('tabindex', '0');
-    editBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        editTabName(tab.id, button);
+    if (result.time) {
+        take('\\bfor\\s+(\\d+(?:\\.\\d+)?)\\s*(h|hrs?|hours?|m|mins?|minutes?)\\b', match => {
+            const minutes = Math.round(Number(match[1]) * (match[2].toLowerCase().startsWith('h') ? 60 : 1));
+            if (minutes < 1) return false;
+            result.duration = minutes;
+        });
+    }
+    
+    take('(?:^|\\s)!(?=\\s)', () => {
+        result.priority = true;
     });
-    button.appendChild(editBtn);
+    
+    // The coming weekday (today included), or with "next" that weekday in the following week
+    // Weeks start on Sunday like the week view, so on a Monday "next tue" is eight days away
+    const getNextWeekday = (name, next) => {
+        const weekday = parseWeekdayName(name);
+        return next
+            ? addDays(today, 7 - today.getDay() + weekday)
+            : addDays(today, (weekday - today.getDay() + 7) % 7);
+    };
+    let date = null;
+    takeFirst([
+        ['(?:\\bon\\s+)?\\b(today|tomorrow|tmrw?)\\b', match => {
+            date = addDays(today, match[1].toLowerCase() === 'today' ? 0 : 1);
+        }],
+        ['\\bin\\s+(\\d+)\\s+(day|week)s?\\b', match => {
+            date = addDays(today, Number(match[1]) * (match[2].toLowerCase() === 'week' ? 7 : 1));
+        }],
+        [`(?:\\bon\\s+)?\\b(next\\s+)?${QUICK_ADD_WEEKDAY_NAME}\\b`, match => {
+            date = getNextWeekday(match[2], Boolean(match[1]));
+        }],
+        [`\\b(?:on|(next))\\s+${QUICK_ADD_WEEKDAY_ABBREVIATION}\\b`, match => {
+            date = getNextWeekday(match[2], Boolean(match[1]));
+        }],
+        [`\\b${QUICK_ADD_WEEKDAY_AT_END}\\s*$`, match => {
+            date = getNextWeekday(match[1], false);
+        }],
+        [`(?:\\bon\\s+)?(?<![\\d/-])\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${QUICK_ADD_MONTH}\\b(?!\\s*-)`, match => {
+            date = getNextDayOfMonth(Number(match[1]), match[2], today);
+            if (!date) return false;
+        }],
+        [`(?:\\bon\\s+)?\\b${QUICK_ADD_MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?![-/]?\\d)`, match => {
+            date = getNextDayOfMonth(Number(match[2]), match[1], today);
+            if (!date) return false;
+        }]
+    ]);
+    
+    // A repeating task has no single list item to link to, so its #tag stays in the name
+    if (!repeat) {
+        take('(?:^|\\s)#([\\p{L}\\p{N}_-]+)', match => {
+            const tab = findTabByTag(match[1]);
+            if (!tab) return false;
+            result.tabId = tab.id;
+        });
+    }
+    
+    const name = restoreLiterals(rest.replace(/\s+/g, ' ').trim());
+    // Text that is nothing but hints is taken literally
+    if (!name) {
+        return { name: result.name, dateKey: null, time: null, duration: null, priority: false, tabId: null, rule: null };
+    }
+    result.name = name;
+    result.dateKey = date ? formatDateKey(date) : null;
+    
+    if (repeat) {
+        const start = parseDateKey(result.dateKey || defaultDateKey);
+        if (repeat.freq === 'weekly' && !repeat.byWeekday) {
+            repeat.byWeekday = [start.getDay()];
+        } else if (repeat.freq === 'monthly') {
+            repeat.byMonthDay = start.getDate();
+        }
+        result.rule = repeat;
+    }
+    return result;
+}
 
-    const deleteBtn = document.createElement('span');
-    deleteBtn.className = 'tab-delete-btn';
-    deleteBtn.textContent = '×';
-    deleteBtn.setAttribute('aria-label', 'Delete ' + tab.name);
-    deleteBtn.setAttribute('role', 'button');
-    deleteBtn.setAttribute('tabindex', '0');
-    deleteBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        deleteTab(tab.id);
+/**
+ * Describe the hints found by parseQuickAdd() as preview chips
+ * @param {Object} quickAdd - Result of parseQuickAdd()
+ * @param {string} defaultDateKey - Day the task goes to without a date hint
+ * @returns {Array<{text: string, warning: boolean}>} Chips, empty if there are no hints
+ */
+function describeQuickAdd(quickAdd, defaultDateKey) {
+    const chips = [];
+    if (quickAdd.dateKey) {
+        const label = parseDateKey(quickAdd.dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        if (!isArchivedDate(quickAdd.dateKey)) {
+            chips.push({ text: `📅 ${label}`, warning: false });
+        } else {
+            chips.push({ text: `📅 ${label} is archived`, warning: true });
+        }
+    }
+    if (quickAdd.time) {
+        chips.push({ text: `🕐 ${formatTaskTime(quickAdd)}`, warning: false });
+    }
+    if (quickAdd.priority) {
+        const focusFull = countPriorityTasks(quickAdd.dateKey || defaultDateKey) >= MAX_PRIORITY_TASKS;
+        chips.push(focusFull
+            ? { text: `🔴 Focus is full (${MAX_PRIORITY_TASKS} tasks) - added without`, warning: true }
+            : { text: '🔴 Focus', warning: false });
+    }
+    if (quickAdd.tabId) {
+        const tab = getTabs().find(t => t.id === quickAdd.tabId);
+        chips.push({ text: `📋 ${tab.name}`, warning: false });
+    }
+    if (quickAdd.rule) {
+        chips.push({ text: `🔁 ${describeRecurrenceRule(quickAdd.rule, quickAdd.dateKey || defaultDateKey)}`, warning: false });
+    }
+    if (chips.length > 0) {
+        chips.unshift({ text: quickAdd.name, warning: false });
+    }
+    return chips;
+}
+
+/**
+ * Show what the new task input will add, updated while typing
+ */
+function renderQuickAddPreview() {
+    const preview = document.getElementById('quickAddPreview');
+    const text = document.getElementById('newTaskInput').value.trim();
+    const chips = text ? describeQuickAdd(parseQuickAdd(text, getDateKey()), getDateKey()) : [];
+    
+    preview.innerHTML = '';
+    preview.hidden = chips.length === 0;
+    chips.forEach((chip, index) => {
+        const span = document.createElement('span');
+        span.className = 'quick-add-chip' + (index === 0 ? ' quick-add-name' : '') + (chip.warning ? ' warning' : '');
+        span.textContent = chip.text;
+        preview.appendChild(span);
     });
+}
 
-    button.appendChild(deleteBtn);
-    button.addEventListener('click', () => switchTab(tab.id));
-    
-    // Add drag and drop event listeners
-    button.addEventListener('dragstart', handleTabDragStart);
-    button.addEventListener('dragover', handleTabDragOver);
-    button.addEventListener('drop', handleTabDrop);
-    button.addEventListener('dragend', handleTabDragEnd);
+// Task Times and Agenda
+// Tasks can have a start time (task.time, 'HH:MM') and a duration in minutes (task.duration).
+// The agenda view of the tasks section places timed tasks on a timeline of the day;
+// tasks without a time stay in the list above it.
 
-    return button;
+const AGENDA_HOUR_HEIGHT = 48; // px per hour on the timeline
+const AGENDA_DEFAULT_HOURS = [8, 18]; // Shown even when tasks fall within a shorter span
+const AGENDA_MIN_BLOCK_MINUTES = 30; // Short and open-ended tasks still get room for their controls
+let taskViewMode = localStorage.getItem('dailyBoard_taskView') === 'agenda' ? 'agenda' : 'list';
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
 }
 
-function addTab() {
-    const tabs = getTabs();
-    const tabNumber = tabs.length + 1;
-    const newTab = {
-        id: 'tab_' + Date.now(),
-        name: `List ${tabNumber}`
-    };
+/**
+ * Format minutes since midnight as 'HH:MM' (wrapping past midnight)
+ * @param {number} minutes - Minutes
+ * @returns {string} Time of day
+ */
+function minutesToTime(minutes) {
+    const wrapped = ((minutes % 1440) + 1440) % 1440;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
 
-    tabs.push(newTab);
-    saveTabs(tabs);
+/**
+ * Describe when a task takes place
+ * @param {{time: string, duration?: number}} task - Task with a time
+ * @returns {string} e.g. '12:30' or '12:30–13:15'
+ */
+function formatTaskTime(task) {
+    return task.duration ? `${task.time}–${minutesToTime(timeToMinutes(task.time) + task.duration)}` : task.time;
+}
 
-    currentTabId = newTab.id;
-    loadTabs();
-    loadCurrentTab();
+function setTaskViewMode(mode) {
+    taskViewMode = mode;
+    localStorage.setItem('dailyBoard_taskView', taskViewMode);
+    loadTasks();
 }
 
-function editTabName(tabId, buttonElement) {
-    const tabs = getTabs();
-    const tab = tabs.find(t => t.id === tabId);
-    
-    if (!tab) return;
-    
-    const nameSpan = buttonElement.querySelector('.tab-name');
-    const currentName = tab.name;
+/**
+ * Place timed tasks on the agenda timeline
+ * Overlapping tasks share the width side by side
+ * @param {Array<Object>} tasks - Tasks with a time
+ * @param {boolean} readOnly - Render without editing controls
+ */
+function renderAgenda(tasks, readOnly) {
+    const agenda = document.getElementById('agendaTimeline');
+    agenda.innerHTML = '';
+    
+    const spans = tasks
+        .map(task => {
+            const start = timeToMinutes(task.time);
+            return { task, start, end: start + Math.max(task.duration || 0, AGENDA_MIN_BLOCK_MINUTES) };
+        })
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+    
+    const firstHour = Math.min(AGENDA_DEFAULT_HOURS[0], ...spans.map(span => Math.floor(span.start / 60)));
+    const lastHour = Math.min(24, Math.max(AGENDA_DEFAULT_HOURS[1], ...spans.map(span => Math.ceil(span.end / 60))));
+    const toPixels = (minutes) => (minutes - firstHour * 60) / 60 * AGENDA_HOUR_HEIGHT;
+    agenda.style.height = `${(lastHour - firstHour) * AGENDA_HOUR_HEIGHT}px`;
+    
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        const line = document.createElement('div');
+        line.className = 'agenda-hour';
+        line.style.top = `${toPixels(hour * 60)}px`;
+        line.textContent = minutesToTime(hour * 60);
+        agenda.appendChild(line);
+    }
     
-    // Create input element
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.value = currentName;
-    input.className = 'tab-name-input';
+    if (getDateKey() === formatDateKey(new Date())) {
+        const now = new Date();
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        if (minutes >= firstHour * 60 && minutes <= lastHour * 60) {
+            const nowLine = document.createElement('div');
+            nowLine.className = 'agenda-now';
+            nowLine.style.top = `${toPixels(minutes)}px`;
+            agenda.appendChild(nowLine);
+        }
+    }
     
-    // Replace span with input
-    nameSpan.replaceWith(input);
-    input.focus();
-    input.select();
+    // Split the tasks into groups of overlapping tasks and give each a lane within its group
+    let group = [];
+    let groupEnd = -1;
+    const placeGroup = () => {
+        const laneCount = Math.max(0, ...group.map(span => span.lane)) + 1;
+        group.forEach(span => {
+            const block = document.createElement('div');
+            const expanded = expandedTaskIds.has(span.task.id);
+            block.className = 'agenda-block' + (span.task.completed ? ' completed' : '') + (expanded ? ' expanded' : '');
+            block.style.top = `${toPixels(span.start)}px`;
+            // A task with its details open grows out of its block
+            block.style[expanded ? 'minHeight' : 'height'] = `${toPixels(span.end) - toPixels(span.start)}px`;
+            block.style.left = `calc(var(--agenda-gutter) + (100% - var(--agenda-gutter)) * ${span.lane / laneCount})`;
+            block.style.width = `calc((100% - var(--agenda-gutter)) / ${laneCount})`;
+            block.appendChild(createTaskElement(span.task, readOnly));
+            agenda.appendChild(block);
+        });
+        group = [];
+    };
+    spans.forEach(span => {
+        if (span.start >= groupEnd) {
+            placeGroup();
+        }
+        const laneEnds = group.reduce((ends, other) => {
+            ends[other.lane] = Math.max(ends[other.lane] || 0, other.end);
+            return ends;
+        }, []);
+        const freeLane = laneEnds.findIndex(end => end <= span.start);
+        span.lane = freeLane === -1 ? laneEnds.length : freeLane;
+        group.push(span);
+        groupEnd = Math.max(groupEnd, span.end);
+    });
+    placeGroup();
+}
+
+/**
+ * Ask for a task's start time and duration
+ * @param {Object} task - The task
+ * @returns {Promise<{time: string|null, duration: number|null}|null>} New values, or null if cancelled
+ */
+function showTaskTimeDialog(task) {
+    const dialog = document.getElementById('taskTimeDialog');
+    
+    // Without <dialog> support only the start time can be changed
+    if (!dialog || typeof dialog.showModal !== 'function') {
+        const value = prompt(`Start time of "${task.name}" (HH:MM, empty for none):`, task.time || '');
+        if (value === null) return Promise.resolve(null);
+        const time = value.trim();
+        if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) return Promise.resolve(null);
+        return Promise.resolve({ time: time || null, duration: time ? task.duration || null : null });
+    }
     
-    let isCancelled = false;
+    const timeInput = document.getElementById('taskTimeInput');
+    const durationInput = document.getElementById('taskDurationInput');
+    timeInput.value = task.time || '';
+    durationInput.value = task.duration || '';
+    document.getElementById('taskTimeTaskName').textContent = task.name;
     
-    // Save on blur or enter
-    const saveEdit = () => {
-        if (isCancelled) return;
+    return new Promise((resolve) => {
+        const saveBtn = document.getElementById('taskTimeSaveBtn');
+        const clearBtn = document.getElementById('taskTimeClearBtn');
+        const cancelBtn = document.getElementById('taskTimeCancelBtn');
         
-        const newName = input.value.trim();
-        if (newName && newName !== currentName) {
-            tab.name = newName;
-            saveTabs(tabs);
+        const finish = (result) => {
+            saveBtn.removeEventListener('click', save);
+            clearBtn.removeEventListener('click', clear);
+            cancelBtn.removeEventListener('click', cancel);
+            dialog.removeEventListener('cancel', cancel);
+            dialog.close();
+            resolve(result);
+        };
+        const save = () => {
+            const duration = parseInt(durationInput.value, 10);
+            if (!timeInput.value) {
+                showError('Pick a start time, or choose "No time".');
+                return;
+            }
+            finish({ time: timeInput.value, duration: duration > 0 ? duration : null });
+        };
+        const clear = () => finish({ time: null, duration: null });
+        const cancel = () => finish(null);
+        
+        saveBtn.addEventListener('click', save);
+        clearBtn.addEventListener('click', clear);
+        cancelBtn.addEventListener('click', cancel);
+        dialog.addEventListener('cancel', cancel);
+        dialog.showModal();
+    });
+}
+
+async function editTaskTime(taskId, dateKey = getDateKey()) {
+    const task = findTask(getDateEntry(dateKey), taskId);
+    if (!task) return;
+    
+    const choice = await showTaskTimeDialog(task);
+    if (!choice) return;
+    
+    // Look the task up again - a sync may have replaced the day while the dialog was open
+    const dateEntry = getDateEntry(dateKey);
+    const current = findTask(dateEntry, taskId);
+    if (!current) return;
+    
+    ['time', 'duration'].forEach(field => {
+        if (choice[field]) {
+            current[field] = choice[field];
+        } else {
+            delete current[field];
         }
-        loadTabs();
+    });
+    touchTask(current);
+    saveDateEntry(dateKey, dateEntry, choice.time ? 'Set task time' : 'Clear task time');
+    loadTasks();
+}
+
+// Reminders
+// A notification for each unfinished timed task of today, a number of minutes before it starts.
+// The lead time is a setting of this device, like the notification permission it needs.
+// Reminders are checked by the open page - also in a background tab - and shown through the
+// service worker, so clicking one brings the app to the task.
+
+const REMINDER_LEAD_KEY = 'dailyBoard_reminderLead';
+const NOTIFIED_REMINDERS_KEY = 'dailyBoard_notifiedReminders';
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+// Reminders missed by more than this (the page was closed) are skipped instead of shown late
+const REMINDER_GRACE_MS = 15 * 60 * 1000;
+let reminderInterval = null;
+
+/**
+ * Minutes before a task's start time to remind
+ * @returns {number|null} Lead time, or null if reminders are off
+ */
+function getReminderLead() {
+    const value = parseInt(localStorage.getItem(REMINDER_LEAD_KEY), 10);
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+async function saveReminderLead() {
+    const select = document.getElementById('reminderLeadSelect');
+    if (select.value === 'off') {
+        localStorage.removeItem(REMINDER_LEAD_KEY);
+        return;
+    }
+    
+    if (typeof Notification === 'undefined') {
+        showError('This browser does not support notifications.');
+        select.value = 'off';
+        return;
+    }
+    const permission = Notification.permission === 'granted' ? 'granted' : await Notification.requestPermission();
+    if (permission !== 'granted') {
+        showError('Notifications are blocked for this site. Allow them in the browser settings to get reminders.');
+        select.value = 'off';
+        localStorage.removeItem(REMINDER_LEAD_KEY);
+        return;
+    }
+    
+    localStorage.setItem(REMINDER_LEAD_KEY, select.value);
+    showMessage('🔔 Reminders turned on for this device', 'success', 3000);
+    checkReminders();
+}
+
+function updateReminderSelect() {
+    const lead = getReminderLead();
+    document.getElementById('reminderLeadSelect').value = lead === null ? 'off' : String(lead);
+}
+
+/**
+ * Find timed tasks whose reminder is due and was not shown yet
+ * Looks at today and tomorrow, so early tasks are reminded of before midnight
+ * @param {Date} now - Current time
+ * @param {number} lead - Minutes before the start time
+ * @param {Object} notified - Keys of reminders already shown
+ * @returns {Array<{key: string, dateKey: string, task: Object}>} Due reminders
+ */
+function getDueReminders(now, lead, notified) {
+    const due = [];
+    [0, 1].forEach(offset => {
+        const dateKey = formatDateKey(addDays(now, offset));
+        peekDateEntry(dateKey).tasks.forEach(task => {
+            if (!task.time || task.completed) return;
+            
+            const key = `${dateKey}|${task.id}|${task.time}`;
+            const remindAt = parseDateKey(dateKey).getTime() + (timeToMinutes(task.time) - lead) * 60 * 1000;
+            if (!notified[key] && remindAt <= now.getTime() && now.getTime() - remindAt < REMINDER_GRACE_MS) {
+                due.push({ key, dateKey, task });
+            }
+        });
+    });
+    return due;
+}
+
+/**
+ * Show a notification for a task, through the service worker when there is one
+ * @param {Object} task - Timed task
+ * @param {string} dateKey - Day of the task
+ * @param {number} lead - Minutes before the start time
+ */
+async function showReminder(task, dateKey, lead) {
+    const title = `🕐 ${formatTaskTime(task)} ${task.name}`;
+    const options = {
+        body: lead > 0 ? `Starts in ${lead} minutes` : 'Starts now',
+        tag: `reminder-${dateKey}-${task.id}`,
+        data: { dateKey, taskId: task.id }
     };
     
-    input.addEventListener('blur', saveEdit);
-    input.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            input.blur(); // This will trigger saveEdit via blur event
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+        await registration.showNotification(title, options);
+    } else {
+        new Notification(title, options);
+    }
+}
+
+async function checkReminders() {
+    const lead = getReminderLead();
+    if (lead === null || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+        return;
+    }
+    
+    const now = new Date();
+    let notified = {};
+    try {
+        notified = JSON.parse(localStorage.getItem(NOTIFIED_REMINDERS_KEY)) || {};
+    } catch (error) {
+        notified = {};
+    }
+    
+    const due = getDueReminders(now, lead, notified);
+    if (due.length === 0) return;
+    
+    // Mark them first: other open tabs check the same reminders
+    due.forEach(reminder => {
+        notified[reminder.key] = now.getTime();
+    });
+    Object.keys(notified).forEach(key => {
+        if (now.getTime() - notified[key] > 2 * 24 * 60 * 60 * 1000) {
+            delete notified[key];
+        }
+    });
+    localStorage.setItem(NOTIFIED_REMINDERS_KEY, JSON.stringify(notified));
+    
+    for (const reminder of due) {
+        try {
+            await showReminder(reminder.task, reminder.dateKey, lead);
+            console.log(`[Reminders] Reminded of "${reminder.task.name}" at ${reminder.task.time}`);
+        } catch (error) {
+            logError('showReminder', error, { dateKey: reminder.dateKey });
+        }
+    }
+}
+
+/**
+ * Show a task after its reminder was clicked (see sw.js)
+ * @param {string} dateKey - Day of the task
+ * @param {string} taskId - Task id
+ */
+function showReminderTask(dateKey, taskId) {
+    if (viewMode !== 'day') {
+        setViewMode('day');
+    }
+    goToDate(parseDateKey(dateKey));
+    
+    const element = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+    if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('highlighted');
+        setTimeout(() => element.classList.remove('highlighted'), 2000);
+    }
+}
+
+function startReminders() {
+    clearInterval(reminderInterval);
+    reminderInterval = setInterval(checkReminders, REMINDER_CHECK_INTERVAL_MS);
+    checkReminders();
+    
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'SHOW_TASK') {
+                showReminderTask(event.data.dateKey, event.data.taskId);
+            }
+        });
+    }
+}
+
+// Task Details
+// A task can carry Markdown notes (task.notes) and a checklist of steps
+// (task.subtasks, an array of { id, text, done }). Both are edited in a panel that
+// opens below the task; links in task names, steps and notes are clickable.
+
+// Tasks whose detail panel is open; kept across re-renders but not saved
+const expandedTaskIds = new Set();
+
+// Bare web addresses that are turned into links; trailing punctuation stays outside
+const URL_PATTERN = '(?:https?:\\/\\/|www\\.)[^\\s<]*[^\\s<.,;:!?)\\]\'"]';
+
+/**
+ * Create a link that opens in a new tab
+ * Only web and mail addresses become links, so notes cannot run scripts
+ * @param {string} url - Address as written (www. addresses get https://)
+ * @param {string} text - Link text
+ * @returns {HTMLElement} The link, or a text span for other addresses
+ */
+function createLinkElement(url, text) {
+    const href = /^www\./i.test(url) ? `https://${url}` : url;
+    if (!/^(https?:|mailto:)/i.test(href)) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span;
+    }
+    
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    // Following a link must not also start editing or toggle what it sits in
+    link.addEventListener('click', (e) => e.stopPropagation());
+    link.addEventListener('dblclick', (e) => e.stopPropagation());
+    return link;
+}
+
+/**
+ * Append text to an element with web addresses turned into links
+ * @param {HTMLElement} parent - Element to append to
+ * @param {string} text - Plain text
+ */
+function appendLinkifiedText(parent, text) {
+    const pattern = new RegExp(URL_PATTERN, 'gi');
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+        parent.appendChild(createLinkElement(match[0], match[0]));
+        last = match.index + match[0].length;
+    }
+    parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Append one line of Markdown inline formatting: `code`, **bold**, *italic*,
+ * [text](url) and bare web addresses
+ * @param {HTMLElement} parent - Element to append to
+ * @param {string} text - Markdown text
+ */
+function appendInlineMarkdown(parent, text) {
+    const pattern = new RegExp([
+        '`([^`]+)`',
+        '\\*\\*(.+?)\\*\\*(?!\\*)',
+        '\\*(\\S(?:.*?\\S)?)\\*',
+        '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+        `(${URL_PATTERN})`
+    ].join('|'), 'gi');
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const [, code, bold, italic, linkText, linkUrl, url] = match;
+        if (code !== undefined) {
+            const element = document.createElement('code');
+            element.textContent = code;
+            parent.appendChild(element);
+        } else if (bold !== undefined || italic !== undefined) {
+            const element = document.createElement(bold !== undefined ? 'strong' : 'em');
+            appendInlineMarkdown(element, bold !== undefined ? bold : italic);
+            parent.appendChild(element);
+        } else if (linkText !== undefined) {
+            parent.appendChild(createLinkElement(linkUrl, linkText));
+        } else {
+            parent.appendChild(createLinkElement(url, url));
+        }
+        last = match.index + match[0].length;
+    }
+    parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Render Markdown notes as DOM elements
+ * Supports headings, paragraphs, bulleted, numbered and [ ] check lists, quotes and
+ * ``` code blocks. Text is never parsed as HTML.
+ * @param {string} markdown - Notes
+ * @returns {DocumentFragment} Rendered notes
+ */
+function renderMarkdown(markdown) {
+    const fragment = document.createDocumentFragment();
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = null;
+    let list = null;
+    let code = null;
+    
+    const closeBlocks = () => {
+        paragraph = null;
+        list = null;
+    };
+    
+    lines.forEach(line => {
+        if (code) {
+            if (/^\s*```/.test(line)) {
+                code = null;
+            } else {
+                code.textContent += (code.textContent ? '\n' : '') + line;
+            }
+            return;
+        }
+        if (/^\s*```/.test(line)) {
+            closeBlocks();
+            const pre = document.createElement('pre');
+            code = document.createElement('code');
+            pre.appendChild(code);
+            fragment.appendChild(pre);
+            return;
+        }
+        if (!line.trim()) {
+            closeBlocks();
+            return;
+        }
+        
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            closeBlocks();
+            const element = document.createElement(`h${heading[1].length + 3}`);
+            appendInlineMarkdown(element, heading[2]);
+            fragment.appendChild(element);
+            return;
+        }
+        
+        const quote = line.match(/^>\s?(.*)$/);
+        if (quote) {
+            closeBlocks();
+            const element = document.createElement('blockquote');
+            appendInlineMarkdown(element, quote[1]);
+            fragment.appendChild(element);
+            return;
         }
+        
+        const listItem = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+        if (listItem) {
+            const tag = listItem[1] ? 'ul' : 'ol';
+            if (!list || list.tagName.toLowerCase() !== tag) {
+                paragraph = null;
+                list = document.createElement(tag);
+                fragment.appendChild(list);
+            }
+            const li = document.createElement('li');
+            let text = listItem[2];
+            const check = text.match(/^\[([ xX])\]\s+(.*)$/);
+            if (check) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = check[1] !== ' ';
+                checkbox.disabled = true;
+                li.className = 'markdown-check';
+                li.appendChild(checkbox);
+                text = check[2];
+            }
+            appendInlineMarkdown(li, text);
+            list.appendChild(li);
+            return;
+        }
+        
+        // Consecutive lines form one paragraph, keeping their line breaks
+        list = null;
+        if (paragraph) {
+            paragraph.appendChild(document.createElement('br'));
+        } else {
+            paragraph = document.createElement('p');
+            fragment.appendChild(paragraph);
+        }
+        appendInlineMarkdown(paragraph, line.trim());
     });
+    
+    return fragment;
+}
+
+/**
+ * Count a task's finished steps
+ * @param {Object} task - The task
+ * @returns {{done: number, total: number}} Finished and total number of subtasks
+ */
+function getSubtaskProgress(task) {
+    const subtasks = task.subtasks || [];
+    return { done: subtasks.filter(s => s.done).length, total: subtasks.length };
+}
+
+/**
+ * Write a task's notes and steps as Markdown, e.g. for the notes of a list item
+ * @param {Object} task - The task
+ * @returns {string} Notes followed by the steps as a - [ ] check list
+ */
+function formatTaskDetails(task) {
+    const steps = (task.subtasks || []).map(s => `- [${s.done ? 'x' : ' '}] ${s.text}`).join('\n');
+    return [task.notes || '', steps].filter(part => part.trim()).join('\n\n');
+}
+
+function toggleTaskDetails(taskId) {
+    if (expandedTaskIds.has(taskId)) {
+        expandedTaskIds.delete(taskId);
+    } else {
+        expandedTaskIds.add(taskId);
+    }
+    loadTasks();
+}
+
+/**
+ * Change a task's notes or steps and save the day
+ * @param {string} taskId - Task id
+ * @param {string} dateKey - Day of the task
+ * @param {Function} change - Called with the task; returns false to cancel
+ * @param {string} message - Description for undo and the commit message
+ */
+function updateTaskDetails(taskId, dateKey, change, message) {
+    const dateEntry = getDateEntry(dateKey);
+    const task = findTask(dateEntry, taskId);
+    if (!task || change(task) === false) {
+        loadTasks();
+        return;
+    }
+    
+    if (task.notes === '') {
+        delete task.notes;
+    }
+    if (task.subtasks && task.subtasks.length === 0) {
+        delete task.subtasks;
+    }
+    touchTask(task);
+    saveDateEntry(dateKey, dateEntry, message);
+    loadTasks();
+}
+
+function addSubtask(taskId, dateKey, text) {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    
+    updateTaskDetails(taskId, dateKey, (task) => {
+        task.subtasks = task.subtasks || [];
+        if (task.subtasks.length >= DATA_LIMITS.maxSubtasksPerTask) {
+            showError(`A task can have at most ${DATA_LIMITS.maxSubtasksPerTask} steps.`);
+            return false;
+        }
+        task.subtasks.push({ id: generateId('subtask'), text: trimmed, done: false });
+    }, 'Add subtask');
+}
+
+/**
+ * Change one step of a task
+ * @param {string} taskId - Task id
+ * @param {string} dateKey - Day of the task
+ * @param {string} subtaskId - Subtask id
+ * @param {Object|null} changes - Fields to update (text, done), or null to delete the step
+ */
+function updateSubtask(taskId, dateKey, subtaskId, changes) {
+    const message = !changes ? 'Delete subtask'
+        : 'done' in changes ? (changes.done ? 'Complete subtask' : 'Uncomplete subtask')
+        : 'Rename subtask';
+    updateTaskDetails(taskId, dateKey, (task) => {
+        const index = (task.subtasks || []).findIndex(s => s.id === subtaskId);
+        if (index === -1) return false;
+        if (changes) {
+            Object.assign(task.subtasks[index], changes);
+        } else {
+            task.subtasks.splice(index, 1);
+        }
+    }, message);
+}
+
+function startSubtaskRename(label, taskId, dateKey, subtask) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'task-rename-input';
+    input.value = subtask.text;
+    input.maxLength = DATA_LIMITS.maxTextLength;
+    
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        const text = input.value.trim();
+        if (save && text && text !== subtask.text) {
+            updateSubtask(taskId, dateKey, subtask.id, { text });
+        } else {
+            loadTasks();
+        }
+    };
     input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    label.replaceWith(input);
+    input.focus();
+}
+
+function startTaskNotesEdit(notesElement, taskId, dateKey, task) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'list-item-notes-input';
+    textarea.value = task.notes || '';
+    textarea.placeholder = 'Notes (Markdown: **bold**, *italic*, - lists, [links](https://...))';
+    textarea.rows = Math.min(12, Math.max(4, textarea.value.split('\n').length + 1));
+    textarea.maxLength = DATA_LIMITS.maxNotesLength;
+    
+    let finished = false;
+    textarea.addEventListener('blur', () => {
+        if (finished) return;
+        finished = true;
+        if (textarea.value !== (task.notes || '')) {
+            updateTaskDetails(taskId, dateKey, (current) => {
+                current.notes = textarea.value;
+            }, 'Edit task notes');
+        } else {
+            loadTasks();
+        }
+    });
+    textarea.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
-            isCancelled = true;
-            loadTabs(); // Cancel editing and restore original
+            finished = true;
+            loadTasks();
+        }
+    });
+    
+    notesElement.replaceWith(textarea);
+    textarea.focus();
+}
+
+/**
+ * Build the detail panel of a task: progress, steps and notes
+ * @param {Object} task - The task
+ * @param {boolean} readOnly - Whether the task can be changed
+ * @param {string} dateKey - Day of the task
+ * @returns {HTMLElement} The panel
+ */
+function createTaskDetailsElement(task, readOnly, dateKey) {
+    const panel = document.createElement('div');
+    panel.className = 'task-details';
+    
+    const progress = getSubtaskProgress(task);
+    if (progress.total > 0) {
+        const bar = document.createElement('div');
+        bar.className = 'subtask-progress';
+        bar.title = `${progress.done} of ${progress.total} steps done`;
+        const fill = document.createElement('div');
+        fill.className = 'subtask-progress-bar';
+        fill.style.width = `${Math.round(progress.done / progress.total * 100)}%`;
+        bar.appendChild(fill);
+        panel.appendChild(bar);
+    }
+    
+    const list = document.createElement('ul');
+    list.className = 'subtask-list';
+    (task.subtasks || []).forEach(subtask => {
+        const li = document.createElement('li');
+        li.className = 'subtask-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !!subtask.done;
+        checkbox.disabled = readOnly;
+        checkbox.setAttribute('aria-label', `Step: ${subtask.text}`);
+        checkbox.addEventListener('change', () => updateSubtask(task.id, dateKey, subtask.id, { done: checkbox.checked }));
+        
+        const label = document.createElement('span');
+        label.className = 'subtask-label' + (subtask.done ? ' completed' : '');
+        appendLinkifiedText(label, subtask.text);
+        
+        li.appendChild(checkbox);
+        li.appendChild(label);
+        if (!readOnly) {
+            label.title = 'Double-click to rename';
+            label.addEventListener('dblclick', () => startSubtaskRename(label, task.id, dateKey, subtask));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-btn';
+            deleteBtn.innerHTML = '×';
+            deleteBtn.setAttribute('aria-label', 'Delete step');
+            deleteBtn.title = 'Delete step';
+            deleteBtn.addEventListener('click', () => updateSubtask(task.id, dateKey, subtask.id, null));
+            li.appendChild(deleteBtn);
+        }
+        list.appendChild(li);
+    });
+    panel.appendChild(list);
+    
+    if (!readOnly) {
+        const addInput = document.createElement('input');
+        addInput.type = 'text';
+        addInput.className = 'subtask-add-input';
+        addInput.placeholder = '+ Add a step and press Enter';
+        addInput.maxLength = DATA_LIMITS.maxTextLength;
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                addSubtask(task.id, dateKey, addInput.value);
+                // loadTasks() rebuilt the panel; keep typing steps in the new one
+                const next = document.querySelector(`.task-item[data-task-id="${task.id}"] .subtask-add-input`);
+                if (next) next.focus();
+            }
+        });
+        panel.appendChild(addInput);
+    }
+    
+    const notes = document.createElement('div');
+    notes.className = 'task-notes' + (task.notes ? '' : ' empty');
+    if (task.notes) {
+        notes.appendChild(renderMarkdown(task.notes));
+    } else {
+        notes.textContent = readOnly ? 'No notes' : 'Add notes...';
+    }
+    if (!readOnly) {
+        notes.title = 'Click to edit notes (Markdown)';
+        notes.addEventListener('click', () => startTaskNotesEdit(notes, task.id, dateKey, task));
+    }
+    panel.appendChild(notes);
+    
+    return panel;
+}
+
+// Recurring Tasks
+// Templates live in appData.recurringTasks with an RRULE-style rule:
+// { freq: 'daily'|'weekly'|'monthly'|'yearly', interval, byWeekday, byMonthDay, bySetPos }
+// Instances are materialized into a day's tasks the first time the day is opened;
+// dateEntry.recurrences remembers which templates were materialized so skipped or
+// moved occurrences do not come back
+
+function getRecurringTasks() {
+    return appData.recurringTasks || [];
+}
+
+/**
+ * Whole days from one date key to another
+ * @param {string} fromKey - Start date key
+ * @param {string} toKey - End date key
+ * @returns {number} Number of days (negative if toKey is earlier)
+ */
+function daysBetween(fromKey, toKey) {
+    return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+}
+
+/**
+ * Check a monthly rule's day selection against a date
+ * Either the nth weekday (bySetPos, -1 = last) or a day of the month (-1 = last);
+ * months without that day are skipped, as in RRULE
+ */
+function matchesMonthDay(rule, date, start) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    
+    if (rule.bySetPos && rule.byWeekday && rule.byWeekday.length > 0) {
+        if (!rule.byWeekday.includes(date.getDay())) return false;
+        if (rule.bySetPos === -1) {
+            return date.getDate() + 7 > daysInMonth;
+        }
+        return Math.ceil(date.getDate() / 7) === rule.bySetPos;
+    }
+    
+    const monthDay = rule.byMonthDay || start.getDate();
+    return monthDay === -1 ? date.getDate() === daysInMonth : date.getDate() === monthDay;
+}
+
+/**
+ * Check whether a recurring task has an occurrence on a day
+ * @param {Object} recurringTask - Recurring task template
+ * @param {string} dateKey - Date key to check
+ * @returns {boolean} True if an instance belongs on that day
+ */
+function occursOn(recurringTask, dateKey) {
+    const rule = recurringTask.rule || {};
+    const interval = rule.interval || 1;
+    
+    if (dateKey < recurringTask.startDate) return false;
+    if (recurringTask.until && dateKey > recurringTask.until) return false;
+    
+    const date = parseDateKey(dateKey);
+    const start = parseDateKey(recurringTask.startDate);
+    
+    switch (rule.freq) {
+        case 'daily':
+            return daysBetween(recurringTask.startDate, dateKey) % interval === 0;
+        case 'weekly': {
+            const weekdays = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [start.getDay()];
+            if (!weekdays.includes(date.getDay())) return false;
+            // Count weeks between the Sundays that start each week
+            const weeks = daysBetween(formatDateKey(addDays(start, -start.getDay())),
+                formatDateKey(addDays(date, -date.getDay()))) / 7;
+            return weeks % interval === 0;
+        }
+        case 'monthly': {
+            const months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+            return months % interval === 0 && matchesMonthDay(rule, date, start);
+        }
+        case 'yearly':
+            return (date.getFullYear() - start.getFullYear()) % interval === 0 &&
+                date.getMonth() === start.getMonth() && date.getDate() === start.getDate();
+        default:
+            return false;
+    }
+}
+
+/**
+ * Build the task instance of a recurring task for a day
+ * Id and timestamps are deterministic so devices materializing the same day agree
+ * @param {Object} recurringTask - Recurring task template
+ * @param {string} dateKey - Day of the occurrence
+ * @returns {Object} The task
+ */
+function createRecurrenceInstance(recurringTask, dateKey) {
+    const task = {
+        id: `${recurringTask.id}_${dateKey}`,
+        name: recurringTask.name,
+        completed: false,
+        createdAt: recurringTask.updatedAt,
+        updatedAt: recurringTask.updatedAt,
+        completedAt: null,
+        recurrenceId: recurringTask.id
+    };
+    if (recurringTask.priority) {
+        task.priority = true;
+    }
+    if (recurringTask.time) {
+        task.time = recurringTask.time;
+    }
+    if (recurringTask.duration) {
+        task.duration = recurringTask.duration;
+    }
+    return task;
+}
+
+/**
+ * Add instances of recurring tasks that occur on a day and were not materialized yet
+ * Only inside the retention window: later days get theirs once daysForward reaches them
+ * @param {string} dateKey - Day being edited or shown
+ * @param {Object} dateEntry - Its date entry (or a preview copy)
+ */
+function materializeRecurringTasks(dateKey, dateEntry) {
+    const recurringTasks = getRecurringTasks();
+    if (recurringTasks.length === 0 || !isWithinRetentionWindow(dateKey)) return;
+    
+    recurringTasks.forEach(recurringTask => {
+        if (dateEntry.recurrences && dateEntry.recurrences[recurringTask.id]) return;
+        if (!occursOn(recurringTask, dateKey)) return;
+        
+        dateEntry.recurrences = dateEntry.recurrences || {};
+        dateEntry.recurrences[recurringTask.id] = true;
+        if (!findTask(dateEntry, `${recurringTask.id}_${dateKey}`)) {
+            dateEntry.tasks.push(createRecurrenceInstance(recurringTask, dateKey));
+        }
+    });
+}
+
+/**
+ * Ordinal label for an nth weekday of the month
+ * @param {number} position - 1-4, or -1 for last
+ * @returns {string} 'first' .. 'fourth' or 'last'
+ */
+function formatSetPos(position) {
+    return position === -1 ? 'last' : ['first', 'second', 'third', 'fourth'][position - 1];
+}
+
+/**
+ * Describe a recurrence rule in words
+ * @param {Object} rule - Recurrence rule
+ * @param {string} startDate - Date key of the first occurrence
+ * @returns {string} e.g. 'Every 2 weeks on Monday, Thursday'
+ */
+function describeRecurrenceRule(rule, startDate) {
+    const interval = rule.interval || 1;
+    const start = parseDateKey(startDate);
+    const every = (unit) => interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    
+    switch (rule.freq) {
+        case 'daily':
+            return every('day');
+        case 'weekly': {
+            const weekdays = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [start.getDay()];
+            if (interval === 1 && weekdays.join() === '1,2,3,4,5') {
+                return 'Every weekday';
+            }
+            return `${every('week')} on ${weekdays.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+        }
+        case 'monthly':
+            if (rule.bySetPos && rule.byWeekday && rule.byWeekday.length > 0) {
+                return `${every('month')} on the ${formatSetPos(rule.bySetPos)} ${WEEKDAY_LABELS[rule.byWeekday[0]]}`;
+            }
+            if (rule.byMonthDay === -1) {
+                return `${every('month')} on the last day`;
+            }
+            return `${every('month')} on day ${rule.byMonthDay || start.getDate()}`;
+        case 'yearly':
+            return `${every('year')} on ${start.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`;
+        default:
+            return 'Custom schedule';
+    }
+}
+
+/**
+ * Repeat options offered next to the add-task input for the viewed day
+ * @param {Date} date - Viewed day
+ * @returns {Array<{value: string, label: string, rule: Object|null}>} Presets
+ */
+function getRepeatPresets(date) {
+    const weekday = date.getDay();
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    const nth = date.getDate() + 7 > daysInMonth ? -1 : Math.ceil(date.getDate() / 7);
+    
+    return [
+        { value: 'none', label: 'Does not repeat', rule: null },
+        { value: 'daily', label: 'Every day', rule: { freq: 'daily', interval: 1 } },
+        { value: 'weekdays', label: 'Every weekday (Mon–Fri)', rule: { freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] } },
+        { value: 'weekly', label: `Every week on ${WEEKDAY_LABELS[weekday]}`, rule: { freq: 'weekly', interval: 1, byWeekday: [weekday] } },
+        { value: 'everyNDays', label: 'Every N days…', rule: { freq: 'daily', interval: null } },
+        { value: 'monthlyDay', label: `Monthly on day ${date.getDate()}`, rule: { freq: 'monthly', interval: 1, byMonthDay: date.getDate() } },
+        { value: 'monthlyNth', label: `Monthly on the ${formatSetPos(nth)} ${WEEKDAY_LABELS[weekday]}`, rule: { freq: 'monthly', interval: 1, byWeekday: [weekday], bySetPos: nth } },
+        { value: 'yearly', label: `Every year on ${date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`, rule: { freq: 'yearly', interval: 1 } }
+    ];
+}
+
+function updateRepeatOptions() {
+    const select = document.getElementById('taskRepeatSelect');
+    const selected = select.value || 'none';
+    select.innerHTML = '';
+    
+    getRepeatPresets(currentDate).forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.value;
+        option.textContent = preset.label;
+        select.appendChild(option);
+    });
+    select.value = selected;
+}
+
+/**
+ * Resolve the repeat select into a rule, asking for the interval if needed
+ * @returns {Object|null|undefined} Rule, null for one-off tasks, undefined if cancelled
+ */
+function getSelectedRepeatRule() {
+    const value = document.getElementById('taskRepeatSelect').value;
+    const preset = getRepeatPresets(currentDate).find(p => p.value === value);
+    if (!preset || !preset.rule) return null;
+    
+    const rule = { ...preset.rule };
+    if (rule.interval === null) {
+        const interval = parseInt(prompt('Repeat every how many days?', '2'), 10);
+        if (!Number.isInteger(interval) || interval < 1) {
+            return undefined;
+        }
+        rule.interval = interval;
+    }
+    return rule;
+}
+
+/**
+ * Create a recurring task starting on a day and materialize that day's instance
+ * @param {string} name - Task name
+ * @param {Object} rule - Recurrence rule
+ * @param {string} startDate - Date key of the first occurrence
+ * @param {Object} fields - Fields every instance gets, e.g. { time, priority }
+ * @returns {Object} The recurring task template
+ */
+function addRecurringTask(name, rule, startDate, fields = {}) {
+    const now = new Date().toISOString();
+    const recurringTask = {
+        id: generateId('rec'),
+        name,
+        rule,
+        startDate,
+        until: null,
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+    };
+    
+    appData.recurringTasks = getRecurringTasks();
+    appData.recurringTasks.push(recurringTask);
+    return recurringTask;
+}
+
+/**
+ * End a recurring series before a day and remove its open instances from that day on
+ * @param {string} recurrenceId - Recurring task id
+ * @param {string} fromDateKey - First day without occurrences
+ */
+function stopRecurringSeries(recurrenceId, fromDateKey) {
+    const recurringTask = getRecurringTasks().find(r => r.id === recurrenceId);
+    if (recurringTask) {
+        recurringTask.until = formatDateKey(addDays(parseDateKey(fromDateKey), -1));
+        recurringTask.updatedAt = new Date().toISOString();
+        if (recurringTask.until < recurringTask.startDate) {
+            appData.recurringTasks = getRecurringTasks().filter(r => r.id !== recurrenceId);
+        }
+    }
+    
+    Object.keys(appData.dateEntries).forEach(dateKey => {
+        if (dateKey < fromDateKey) return;
+        const entry = appData.dateEntries[dateKey];
+        entry.tasks = (entry.tasks || []).filter(task => task.recurrenceId !== recurrenceId || task.completed);
+    });
+}
+
+/**
+ * Rename every open instance of a series from a day on, and the template itself
+ * Instances that were edited on their own keep their name
+ * @param {string} recurrenceId - Recurring task id
+ * @param {string} fromDateKey - First day to update
+ * @param {string} name - New name
+ */
+function renameRecurringSeries(recurrenceId, fromDateKey, name) {
+    const recurringTask = getRecurringTasks().find(r => r.id === recurrenceId);
+    if (recurringTask) {
+        recurringTask.name = name;
+        recurringTask.updatedAt = new Date().toISOString();
+    }
+    
+    Object.keys(appData.dateEntries).forEach(dateKey => {
+        if (dateKey < fromDateKey) return;
+        (appData.dateEntries[dateKey].tasks || []).forEach(task => {
+            if (task.recurrenceId === recurrenceId && !task.completed && !task.recurrenceException) {
+                task.name = name;
+                touchTask(task);
+            }
+        });
+    });
+}
+
+/**
+ * Ask the user to pick one of several actions
+ * @param {string} title - Dialog title
+ * @param {string} message - Explanation
+ * @param {Array<{value: string, label: string}>} choices - Available actions
+ * @returns {Promise<string|null>} Chosen value, or null if cancelled
+ */
+function showChoiceDialog(title, message, choices) {
+    const dialog = document.getElementById('choiceDialog');
+    
+    // Fall back to confirm() for the first choice where <dialog> isn't supported
+    if (!dialog || typeof dialog.showModal !== 'function') {
+        return Promise.resolve(confirm(`${title}\n\n${message}\n\nOK: ${choices[0].label}`) ? choices[0].value : null);
+    }
+    
+    document.getElementById('choiceDialogTitle').textContent = title;
+    document.getElementById('choiceDialogMessage').textContent = message;
+    const buttons = document.getElementById('choiceDialogButtons');
+    buttons.innerHTML = '';
+    
+    return new Promise((resolve) => {
+        const finish = (value) => {
+            dialog.removeEventListener('cancel', cancel);
+            dialog.close();
+            resolve(value);
+        };
+        const cancel = () => finish(null);
+        
+        choices.concat({ value: null, label: 'Cancel' }).forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'config-btn';
+            button.textContent = choice.label;
+            if (choice.value === null) {
+                button.style.background = '#999';
+            }
+            button.addEventListener('click', () => finish(choice.value));
+            buttons.appendChild(button);
+        });
+        
+        dialog.addEventListener('cancel', cancel);
+        dialog.showModal();
+    });
+}
+
+// Task Rollover
+// appData.settings.rollover: 'off' (default), 'auto' (move silently) or 'review' (ask each day)
+
+const ROLLOVER_MODES = ['off', 'auto', 'review'];
+const LAST_ROLLOVER_KEY = 'dailyBoard_lastRollover';
+let isRolloverRunning = false;
+
+function getRolloverMode() {
+    const mode = appData.settings && appData.settings.rollover;
+    return ROLLOVER_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * Collect incomplete tasks on days before today that are still in appData
+ * @param {string} todayKey - Today's date key
+ * @returns {Array<{dateKey: string, task: Object}>} Unfinished tasks, oldest day first
+ */
+function getUnfinishedPastTasks(todayKey) {
+    const unfinished = [];
+    Object.keys(appData.dateEntries).sort().forEach(dateKey => {
+        if (dateKey >= todayKey) return;
+        const entry = appData.dateEntries[dateKey];
+        (entry.tasks || []).forEach(task => {
+            // Recurring tasks get a fresh instance today instead
+            if (!task.completed && !task.recurrenceId) {
+                unfinished.push({ dateKey, task });
+            }
+        });
+    });
+    return unfinished;
+}
+
+/**
+ * Move a task from a past day to today, counting how often it was carried over
+ * @param {string} sourceDateKey - Day the task is on
+ * @param {string} taskId - Task id
+ * @param {string} todayKey - Today's date key
+ */
+function carryOverTask(sourceDateKey, taskId, todayKey) {
+    const sourceDateEntry = getDateEntry(sourceDateKey);
+    const index = sourceDateEntry.tasks.findIndex(task => task.id === taskId);
+    if (index === -1) return;
+    
+    const movedTask = { ...sourceDateEntry.tasks[index] };
+    movedTask.carriedOver = (movedTask.carriedOver || 0) + 1;
+    movedTask.originalDate = movedTask.originalDate || sourceDateKey;
+    touchTask(movedTask);
+    
+    getDateEntry(todayKey).tasks.push(movedTask);
+    sourceDateEntry.tasks.splice(index, 1);
+}
+
+/**
+ * Carry over or triage unfinished tasks on the first run of each day
+ * Runs at most once per device and day; the result syncs to other devices,
+ * which then find nothing left to carry over
+ * @param {boolean} force - Review now regardless of mode and last run
+ */
+async function runDailyRollover(force = false) {
+    const mode = force ? 'review' : getRolloverMode();
+    const todayKey = formatDateKey(new Date());
+    
+    if (mode === 'off' || isRolloverRunning || isBoardReadOnly()) return;
+    if (!force && localStorage.getItem(LAST_ROLLOVER_KEY) === todayKey) return;
+    
+    isRolloverRunning = true;
+    try {
+        localStorage.setItem(LAST_ROLLOVER_KEY, todayKey);
+        const unfinished = getUnfinishedPastTasks(todayKey);
+        
+        if (unfinished.length === 0) {
+            if (force) {
+                showMessage('No unfinished tasks on previous days.', 'success', 3000);
+            }
+            return;
+        }
+        
+        const choices = mode === 'auto'
+            ? unfinished.map(() => 'carry')
+            : await showRolloverDialog(unfinished);
+        
+        const counts = { carry: 0, done: 0, delete: 0 };
+        unfinished.forEach(({ dateKey, task }, index) => {
+            const choice = choices[index];
+            const dateEntry = getDateEntry(dateKey);
+            
+            if (choice === 'carry') {
+                carryOverTask(dateKey, task.id, todayKey);
+            } else if (choice === 'done') {
+                const current = findTask(dateEntry, task.id);
+                if (!current) return;
+                current.completed = true;
+                current.completedAt = new Date().toISOString();
+                touchTask(current);
+                applyTaskCompletionToSource(current);
+            } else if (choice === 'delete') {
+                dateEntry.tasks = dateEntry.tasks.filter(t => t.id !== task.id);
+            } else {
+                return;
+            }
+            counts[choice]++;
+        });
+        
+        if (counts.carry + counts.done + counts.delete === 0) return;
+        
+        console.log(`[Rollover] Carried over ${counts.carry}, completed ${counts.done}, deleted ${counts.delete} task(s)`);
+        await updateData(`Roll over unfinished tasks to ${todayKey}`);
+        refreshBoard();
+        
+        if (counts.carry > 0) {
+            showMessage(`↻ Carried over ${counts.carry} unfinished task(s) to today.`, 'success', 5000);
+        }
+    } finally {
+        isRolloverRunning = false;
+    }
+}
+
+/**
+ * Format a past date key relative to today for the review dialog
+ * @param {string} dateKey - Date key
+ * @returns {string} 'Yesterday' or a short date
+ */
+function formatPastDateLabel(dateKey) {
+    if (dateKey === formatDateKey(addDays(new Date(), -1))) {
+        return 'Yesterday';
+    }
+    return parseDateKey(dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Let the user triage unfinished tasks from previous days
+ * @param {Array<{dateKey: string, task: Object}>} unfinished - Tasks to review
+ * @returns {Promise<Array<string>>} 'carry', 'done', 'keep' or 'delete' per task
+ */
+function showRolloverDialog(unfinished) {
+    const dialog = document.getElementById('rolloverDialog');
+    
+    // Without <dialog> support everything is carried over
+    if (!dialog || typeof dialog.showModal !== 'function') {
+        return Promise.resolve(unfinished.map(() => 'carry'));
+    }
+    
+    const list = document.getElementById('rolloverList');
+    list.innerHTML = '';
+    
+    const options = [
+        ['carry', 'Move to today'],
+        ['done', 'Mark done'],
+        ['keep', 'Leave'],
+        ['delete', 'Delete']
+    ];
+    let lastDateKey = null;
+    
+    unfinished.forEach(({ dateKey, task }, index) => {
+        if (dateKey !== lastDateKey) {
+            const heading = document.createElement('div');
+            heading.className = 'rollover-date';
+            heading.textContent = formatPastDateLabel(dateKey);
+            list.appendChild(heading);
+            lastDateKey = dateKey;
+        }
+        
+        const item = document.createElement('div');
+        item.className = 'rollover-item';
+        
+        const name = document.createElement('span');
+        name.className = 'rollover-name';
+        name.textContent = task.name;
+        
+        const select = document.createElement('select');
+        select.className = 'rollover-select';
+        select.dataset.index = index;
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        
+        item.appendChild(name);
+        item.appendChild(select);
+        list.appendChild(item);
+    });
+    
+    return new Promise((resolve) => {
+        const applyBtn = document.getElementById('rolloverApplyBtn');
+        const carryAllBtn = document.getElementById('rolloverCarryAllBtn');
+        
+        const finish = (choices) => {
+            applyBtn.removeEventListener('click', apply);
+            carryAllBtn.removeEventListener('click', carryAll);
+            dialog.removeEventListener('cancel', leaveAll);
+            dialog.close();
+            resolve(choices);
+        };
+        const apply = () => finish(unfinished.map((_, index) =>
+            list.querySelector(`select[data-index="${index}"]`).value));
+        const carryAll = () => finish(unfinished.map(() => 'carry'));
+        // Escape leaves everything where it is
+        const leaveAll = () => finish(unfinished.map(() => 'keep'));
+        
+        applyBtn.addEventListener('click', apply);
+        carryAllBtn.addEventListener('click', carryAll);
+        dialog.addEventListener('cancel', leaveAll);
+        dialog.showModal();
+    });
+}
+
+function updateRolloverSelect() {
+    document.getElementById('rolloverModeSelect').value = getRolloverMode();
+}
+
+async function saveRolloverMode() {
+    appData.settings.rollover = document.getElementById('rolloverModeSelect').value;
+    await updateData('Update rollover settings');
+    
+    // Apply the new mode today, even if the daily check already ran
+    localStorage.removeItem(LAST_ROLLOVER_KEY);
+    runDailyRollover();
+}
+
+// Tabs/Lists management
+function loadTabs() {
+    const container = document.getElementById('tabsContainer');
+    container.innerHTML = '';
+
+    let tabs = getTabs();
+
+    // Set current tab if not set
+    if (!currentTabId && tabs.length > 0) {
+        currentTabId = tabs[0].id;
+    }
+
+    tabs.forEach((tab) => {
+        const tabElement = createTabElement(tab);
+        container.appendChild(tabElement);
+    });
+}
+
+function createTabElement(tab) {
+    const button = document.createElement('button');
+    button.className = 'tab' + (tab.id === currentTabId ? ' active' : '');
+    button.draggable = true;
+    button.dataset.tabId = tab.id;
+    
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = tab.name;
+    nameSpan.className = 'tab-name';
+    button.appendChild(nameSpan);
+
+    // Add edit button
+    const editBtn = document.createElement('span');
+    editBtn.className = 'tab-edit-btn';
+    editBtn.textContent = '✎';
+    editBtn.setAttribute('aria-label', 'Edit ' + tab.name);
+    editBtn.setAttribute('role', 'button');
+    editBtn.setAttribute('tabindex', '0');
+    editBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        editTabName(tab.id, button);
+    });
+    button.appendChild(editBtn);
+
+    const deleteBtn = document.createElement('span');
+    deleteBtn.className = 'tab-delete-btn';
+    deleteBtn.textContent = '×';
+    deleteBtn.setAttribute('aria-label', 'Delete ' + tab.name);
+    deleteBtn.setAttribute('role', 'button');
+    deleteBtn.setAttribute('tabindex', '0');
+    deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteTab(tab.id);
+    });
+
+    button.appendChild(deleteBtn);
+    button.addEventListener('click', () => switchTab(tab.id));
+    
+    // Add drag and drop event listeners
+    button.addEventListener('dragstart', handleTabDragStart);
+    button.addEventListener('dragover', handleTabDragOver);
+    button.addEventListener('drop', handleTabDrop);
+    button.addEventListener('dragend', handleTabDragEnd);
+
+    return button;
+}
+
+function addTab() {
+    const tabs = getTabs();
+    const tabNumber = tabs.length + 1;
+    const newTab = {
+        id: 'tab_' + Date.now(),
+        name: `List ${tabNumber}`
+    };
+
+    tabs.push(newTab);
+    saveTabs(tabs);
+
+    currentTabId = newTab.id;
+    loadTabs();
+    loadCurrentTab();
+}
+
+function editTabName(tabId, buttonElement) {
+    const tabs = getTabs();
+    const tab = tabs.find(t => t.id === tabId);
+    
+    if (!tab) return;
+    
+    const nameSpan = buttonElement.querySelector('.tab-name');
+    const currentName = tab.name;
+    
+    // Create input element
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = currentName;
+    input.className = 'tab-name-input';
+    
+    // Replace span with input
+    nameSpan.replaceWith(input);
+    input.focus();
+    input.select();
+    
+    let isCancelled = false;
+    
+    // Save on blur or enter
+    const saveEdit = () => {
+        if (isCancelled) return;
+        
+        const newName = input.value.trim();
+        if (newName && newName !== currentName) {
+            tab.name = newName;
+            saveTabs(tabs);
+        }
+        loadTabs();
+    };
+    
+    input.addEventListener('blur', saveEdit);
+    input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            input.blur(); // This will trigger saveEdit via blur event
+        }
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            isCancelled = true;
+            loadTabs(); // Cancel editing and restore original
+        }
+    });
+    
+    // Stop propagation to prevent tab switching
+    input.addEventListener('click', (e) => e.stopPropagation());
+}
+
+function deleteTab(tabId) {
+    let tabs = getTabs();
+    
+    if (tabs.length <= 1) {
+        showError('You must have at least one list!');
+        return;
+    }
+
+    const deleted = tabs.find(tab => tab.id === tabId);
+    tabs = tabs.filter(tab => tab.id !== tabId);
+    appData.tabs = tabs;
+
+    // Clear items for this tab
+    delete appData.listItems[tabId];
+    updateData('Delete tab');
+    showUndoMessage(`Deleted list "${deleted ? deleted.name : ''}"`);
+
+    // Switch to first tab if current tab was deleted
+    if (currentTabId === tabId) {
+        currentTabId = tabs[0].id;
+    }
+
+    loadTabs();
+    loadCurrentTab();
+}
+
+function switchTab(tabId) {
+    currentTabId = tabId;
+    loadTabs();
+    loadCurrentTab();
+}
+
+function loadCurrentTab() {
+    const textarea = document.getElementById('listTextarea');
+    const isTextMode = listMode === 'text';
+    
+    document.getElementById('listItemsView').style.display = isTextMode ? 'none' : '';
+    textarea.style.display = isTextMode ? '' : 'none';
+    document.getElementById('listModeBtn').textContent = isTextMode ? '☑️ Items' : '📝 Plain text';
+    
+    if (!currentTabId) {
+        textarea.value = '';
+        renderListItems([]);
+        return;
+    }
+
+    const items = getListItems(currentTabId);
+    if (isTextMode) {
+        // Don't overwrite what the user is typing when a sync refreshes the board
+        if (document.activeElement !== textarea) {
+            textarea.value = formatListText(items);
+        }
+    } else {
+        renderListItems(items);
+    }
+}
+
+function saveListTextarea() {
+    if (!currentTabId || listMode !== 'text') return;
+    
+    const textarea = document.getElementById('listTextarea');
+    const items = getListItems(currentTabId);
+    if (textarea.value === formatListText(items)) return;
+    
+    saveListItems(currentTabId, parseListText(textarea.value, items));
+}
+
+// List Items
+// appData.listItems[tabId] is an array of { id, text, done, notes, depth };
+// depth nests an item under the closest preceding item with a smaller depth
+// The plain text format (parseListLine/formatListText) lives in schema.js, which also converts old lists
+
+let listMode = localStorage.getItem('dailyBoard_listMode') === 'text' ? 'text' : 'items';
+
+/**
+ * Create a new list item
+ * @param {string} text - Item text
+ * @param {number} depth - Nesting level (0 = top level)
+ * @returns {Object} The item
+ */
+function createListItem(text, depth = 0) {
+    return {
+        id: generateId('item'),
+        text,
+        done: false,
+        notes: '',
+        depth
+    };
+}
+
+/**
+ * Turn edited plain text back into items
+ * Lines whose text is unchanged keep their item's id and notes; the rest become new items
+ * @param {string} text - Plain text from the editor
+ * @param {Array<Object>} existingItems - Items before the edit
+ * @returns {Array<Object>} Items
+ */
+function parseListText(text, existingItems) {
+    const unused = existingItems.slice();
+    return text.split('\n').map(line => {
+        const parsed = parseListLine(line);
+        const matchIndex = unused.findIndex(item => item.text === parsed.text);
+        if (matchIndex === -1) {
+            return { ...createListItem(parsed.text, parsed.depth), done: parsed.done };
+        }
+        const [match] = unused.splice(matchIndex, 1);
+        return { ...match, done: parsed.done, depth: parsed.depth };
+    });
+}
+
+/**
+ * Index just past an item's nested children
+ * @param {Array<Object>} items - List items
+ * @param {number} index - Index of the parent item
+ * @returns {number} End of the subtree (exclusive)
+ */
+function getListSubtreeEnd(items, index) {
+    const depth = items[index].depth || 0;
+    let end = index + 1;
+    while (end < items.length && (items[end].depth || 0) > depth) {
+        end++;
+    }
+    return end;
+}
+
+function setListMode(mode) {
+    // Keep edits made in the textarea before switching away from it
+    if (listMode === 'text') {
+        clearTimeout(listTextareaSaveTimeout);
+        saveListTextarea();
+    }
+    listMode = mode;
+    localStorage.setItem('dailyBoard_listMode', listMode);
+    loadCurrentTab();
+}
+
+function renderListItems(items) {
+    const container = document.getElementById('listItemsContainer');
+    container.innerHTML = '';
+    
+    if (items.length === 0) {
+        container.innerHTML = '<p class="empty-state">No items yet. Add one above.</p>';
+        return;
+    }
+    
+    items.forEach(item => {
+        container.appendChild(createListItemElement(item));
+    });
+}
+
+function createListItemElement(item) {
+    const div = document.createElement('div');
+    div.className = 'list-item';
+    div.draggable = true;
+    div.dataset.itemId = item.id;
+    div.style.marginLeft = `${(item.depth || 0) * 28}px`;
+    
+    const leftDiv = document.createElement('div');
+    leftDiv.className = 'item-left';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'checkbox';
+    checkbox.checked = item.done;
+    checkbox.addEventListener('change', () => updateListItem(item.id, { done: checkbox.checked }));
+    
+    const body = document.createElement('div');
+    body.className = 'list-item-body';
+    
+    const label = document.createElement('span');
+    label.className = 'item-label' + (item.done ? ' completed' : '');
+    label.textContent = item.text || ' ';
+    label.title = 'Click to edit';
+    label.addEventListener('click', () => startListItemEdit(label, item));
+    body.appendChild(label);
+    
+    if (item.notes) {
+        const notes = document.createElement('div');
+        notes.className = 'list-item-notes markdown';
+        notes.appendChild(renderMarkdown(item.notes));
+        notes.title = 'Click to edit notes';
+        notes.addEventListener('click', () => startListItemNotesEdit(div, item));
+        body.appendChild(notes);
+    }
+    
+    leftDiv.appendChild(checkbox);
+    leftDiv.appendChild(body);
+    
+    const linked = item.taskId ? findTaskById(item.taskId) : null;
+    if (linked && !linked.task.completed) {
+        const dayBadge = document.createElement('button');
+        dayBadge.className = 'source-badge';
+        dayBadge.textContent = `📅 ${parseDateKey(linked.dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}`;
+        dayBadge.title = 'Scheduled as a task - click to open the day';
+        dayBadge.addEventListener('click', () => goToDate(parseDateKey(linked.dateKey)));
+        leftDiv.appendChild(dayBadge);
+    }
+    
+    const rightDiv = document.createElement('div');
+    rightDiv.className = 'task-actions';
+    
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'priority-btn';
+    sendBtn.innerHTML = '<span aria-hidden="true">📅</span>';
+    sendBtn.setAttribute('aria-label', 'Add as a task on a day');
+    sendBtn.title = 'Add as a task on a day';
+    sendBtn.addEventListener('click', () => sendListItemToDay(item.id));
+    
+    const outdentBtn = document.createElement('button');
+    outdentBtn.className = 'date-shift-btn';
+    outdentBtn.innerHTML = '&lt;';
+    outdentBtn.setAttribute('aria-label', 'Outdent item');
+    outdentBtn.title = 'Outdent (Shift+Tab while editing)';
+    outdentBtn.disabled = !item.depth;
+    outdentBtn.addEventListener('click', () => changeListItemDepth(item.id, -1));
+    
+    const indentBtn = document.createElement('button');
+    indentBtn.className = 'date-shift-btn';
+    indentBtn.innerHTML = '&gt;';
+    indentBtn.setAttribute('aria-label', 'Indent item');
+    indentBtn.title = 'Indent (Tab while editing)';
+    indentBtn.addEventListener('click', () => changeListItemDepth(item.id, 1));
+    
+    const notesBtn = document.createElement('button');
+    notesBtn.className = 'priority-btn' + (item.notes ? ' active' : '');
+    notesBtn.innerHTML = '<span aria-hidden="true">📝</span>';
+    notesBtn.setAttribute('aria-label', 'Edit notes');
+    notesBtn.title = 'Notes';
+    notesBtn.addEventListener('click', () => startListItemNotesEdit(div, item));
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.innerHTML = '×';
+    deleteBtn.setAttribute('aria-label', 'Delete item');
+    deleteBtn.title = 'Delete item';
+    deleteBtn.addEventListener('click', () => deleteListItem(item.id));
+    
+    rightDiv.appendChild(sendBtn);
+    rightDiv.appendChild(outdentBtn);
+    rightDiv.appendChild(indentBtn);
+    rightDiv.appendChild(notesBtn);
+    rightDiv.appendChild(deleteBtn);
+    div.appendChild(leftDiv);
+    div.appendChild(rightDiv);
+    
+    div.addEventListener('dragstart', handleListItemDragStart);
+    div.addEventListener('dragover', handleListItemDragOver);
+    div.addEventListener('drop', handleListItemDrop);
+    div.addEventListener('dragend', handleListItemDragEnd);
+    
+    return div;
+}
+
+function addListItem() {
+    const input = document.getElementById('newListItemInput');
+    const text = input.value.trim();
+    if (!text || !currentTabId) return;
+    
+    const items = getListItems(currentTabId);
+    items.push(createListItem(text));
+    saveListItems(currentTabId, items);
+    
+    input.value = '';
+    loadCurrentTab();
+}
+
+/**
+ * Apply changes to a list item of the current tab
+ * @param {string} itemId - Item id
+ * @param {Object} changes - Fields to update (text, done, notes)
+ */
+function updateListItem(itemId, changes) {
+    const items = getListItems(currentTabId);
+    const item = items.find(i => i.id === itemId);
+    if (!item) return;
+    
+    Object.assign(item, changes);
+    saveListItems(currentTabId, items);
+    loadCurrentTab();
+}
+
+/**
+ * Indent or outdent an item together with its children
+ * An item can be nested at most one level deeper than the item above it
+ * @param {string} itemId - Item id
+ * @param {number} delta - 1 to indent, -1 to outdent
+ */
+function changeListItemDepth(itemId, delta) {
+    const items = getListItems(currentTabId);
+    const index = items.findIndex(i => i.id === itemId);
+    if (index === -1) return;
+    
+    const depth = items[index].depth || 0;
+    const maxDepth = index > 0 ? (items[index - 1].depth || 0) + 1 : 0;
+    const newDepth = Math.max(0, Math.min(maxDepth, depth + delta));
+    if (newDepth === depth) return;
+    
+    const end = getListSubtreeEnd(items, index);
+    for (let i = index; i < end; i++) {
+        items[i].depth = (items[i].depth || 0) + newDepth - depth;
+    }
+    saveListItems(currentTabId, items);
+    loadCurrentTab();
+}
+
+function deleteListItem(itemId) {
+    const items = getListItems(currentTabId);
+    const index = items.findIndex(i => i.id === itemId);
+    if (index === -1) return;
+    
+    const end = getListSubtreeEnd(items, index);
+    if (end - index > 1 && !confirm(`Delete "${items[index].text}" and its ${end - index - 1} nested item(s)?`)) {
+        return;
+    }
+    
+    const [removed] = items.splice(index, end - index);
+    saveListItems(currentTabId, items, 'Delete list item');
+    loadCurrentTab();
+    showUndoMessage(`Deleted "${removed.text}"`);
+}
+
+/**
+ * Replace an item's label with an input for inline editing
+ * Enter saves, Escape cancels, Tab/Shift+Tab save and change the nesting
+ */
+function startListItemEdit(label, item) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'task-rename-input';
+    input.value = item.text;
+    
+    let finished = false;
+    const finish = (save, depthDelta = 0) => {
+        if (finished) return;
+        finished = true;
+        const text = input.value.trim();
+        if (save && text && text !== item.text) {
+            const items = getListItems(currentTabId);
+            const current = items.find(i => i.id === item.id);
+            if (current) {
+                current.text = text;
+                saveListItems(currentTabId, items);
+            }
+        }
+        if (depthDelta) {
+            changeListItemDepth(item.id, depthDelta);
+        }
+        loadCurrentTab();
+    };
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            finish(true, e.shiftKey ? -1 : 1);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    label.closest('.list-item').draggable = false;
+    label.replaceWith(input);
+    input.focus();
+}
+
+function startListItemNotesEdit(itemElement, item) {
+    if (itemElement.querySelector('.list-item-notes-input')) return;
+    
+    const textarea = document.createElement('textarea');
+    textarea.className = 'list-item-notes-input';
+    textarea.value = item.notes || '';
+    textarea.placeholder = 'Notes...';
+    textarea.rows = 3;
+    textarea.addEventListener('blur', () => {
+        if (textarea.value !== (item.notes || '')) {
+            updateListItem(item.id, { notes: textarea.value });
+        } else {
+            loadCurrentTab();
+        }
+    });
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') loadCurrentTab();
+    });
+    
+    const existingNotes = itemElement.querySelector('.list-item-notes');
+    if (existingNotes) {
+        existingNotes.replaceWith(textarea);
+    } else {
+        itemElement.querySelector('.list-item-body').appendChild(textarea);
+    }
+    itemElement.draggable = false;
+    textarea.focus();
+}
+
+// Drag and Drop functionality for list items (an item moves with its children)
+let draggedListItemId = null;
+
+function handleListItemDragStart(e) {
+    draggedListItemId = e.currentTarget.dataset.itemId;
+    e.currentTarget.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedListItemId);
+}
+
+function handleListItemDragOver(e) {
+    if (!draggedListItemId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (e.currentTarget.dataset.itemId !== draggedListItemId) {
+        e.currentTarget.classList.add('drag-over');
+    }
+}
+
+function handleListItemDrop(e) {
+    e.stopPropagation();
+    e.preventDefault();
+    
+    const targetItemId = e.currentTarget.dataset.itemId;
+    e.currentTarget.classList.remove('drag-over');
+    if (!draggedListItemId || targetItemId === draggedListItemId) return;
+    
+    // Look up positions at drop time - a sync during the drag may have changed them
+    const items = getListItems(currentTabId);
+    const draggedIndex = items.findIndex(i => i.id === draggedListItemId);
+    if (draggedIndex === -1) return;
+    const end = getListSubtreeEnd(items, draggedIndex);
+    
+    // Dropping an item into its own children does nothing
+    if (items.slice(draggedIndex, end).some(i => i.id === targetItemId)) return;
+    
+    const moved = items.splice(draggedIndex, end - draggedIndex);
+    const targetIndex = items.findIndex(i => i.id === targetItemId);
+    if (targetIndex === -1) return;
+    
+    // Take over the target's nesting level so the list stays well-formed
+    const depthDelta = (items[targetIndex].depth || 0) - (moved[0].depth || 0);
+    moved.forEach(item => {
+        item.depth = (item.depth || 0) + depthDelta;
+    });
+    items.splice(targetIndex, 0, ...moved);
+    
+    saveListItems(currentTabId, items, 'Reorder list items');
+    loadCurrentTab();
+}
+
+function handleListItemDragEnd(e) {
+    e.currentTarget.classList.remove('dragging');
+    document.querySelectorAll('.list-item').forEach(item => {
+        item.classList.remove('drag-over');
+    });
+    draggedListItemId = null;
+}
+
+
+// List Item ↔ Task Links
+// A task sent from a list keeps task.source = { tabId, itemId, onComplete } and the
+// list item keeps item.taskId, so completing the task can update the list line
+
+/**
+ * Find a task by id across all days still in appData
+ * @param {string} taskId - Task id
+ * @returns {{dateKey: string, task: Object}|null} The task and its day
+ */
+function findTaskById(taskId) {
+    for (const dateKey of Object.keys(appData.dateEntries)) {
+        const task = (appData.dateEntries[dateKey].tasks || []).find(t => t.id === taskId);
+        if (task) {
+            return { dateKey, task };
+        }
+    }
+    return null;
+}
+
+/**
+ * Ask which day to send a list item to and what completing the task should do
+ * @param {Object} item - The list item
+ * @returns {Promise<{dateKey: string, onComplete: string}|null>} Choice, or null if cancelled
+ */
+function showSendToDayDialog(item) {
+    const dialog = document.getElementById('sendToDayDialog');
+    const { startDateKey } = getRetentionDateRange();
+    const defaultDateKey = isArchivedDate(getDateKey()) ? formatDateKey(new Date()) : getDateKey();
+    
+    // Without <dialog> support the item goes to the default day and is marked done on completion
+    if (!dialog || typeof dialog.showModal !== 'function') {
+        return Promise.resolve(confirm(`Add "${item.text}" as a task on ${defaultDateKey}?`)
+            ? { dateKey: defaultDateKey, onComplete: 'done' }
+            : null);
+    }
+    
+    const dateInput = document.getElementById('sendToDayDateInput');
+    dateInput.min = startDateKey;
+    dateInput.value = defaultDateKey;
+    document.getElementById('sendToDayItemText').textContent = item.text;
+    
+    return new Promise((resolve) => {
+        const sendBtn = document.getElementById('sendToDaySendBtn');
+        const cancelBtn = document.getElementById('sendToDayCancelBtn');
+        
+        const finish = (result) => {
+            sendBtn.removeEventListener('click', send);
+            cancelBtn.removeEventListener('click', cancel);
+            dialog.removeEventListener('cancel', cancel);
+            dialog.close();
+            resolve(result);
+        };
+        const send = () => {
+            if (!dateInput.value || isArchivedDate(dateInput.value)) {
+                showError(`Pick a day from ${startDateKey} on.`);
+                return;
+            }
+            finish({ dateKey: dateInput.value, onComplete: document.getElementById('sendToDayCompleteSelect').value });
+        };
+        const cancel = () => finish(null);
+        
+        sendBtn.addEventListener('click', send);
+        cancelBtn.addEventListener('click', cancel);
+        dialog.addEventListener('cancel', cancel);
+        dialog.showModal();
+    });
+}
+
+async function sendListItemToDay(itemId) {
+    const tabId = currentTabId;
+    const item = getListItems(tabId).find(i => i.id === itemId);
+    if (!item) return;
+    
+    const choice = await showSendToDayDialog(item);
+    if (!choice) return;
+    
+    // Look the item up again - a sync may have replaced the list while the dialog was open
+    const items = getListItems(tabId);
+    const current = items.find(i => i.id === itemId);
+    if (!current) return;
+    
+    const task = createTask(current.text);
+    task.source = { tabId, itemId, onComplete: choice.onComplete };
+    if (current.notes) {
+        task.notes = current.notes;
+    }
+    getDateEntry(choice.dateKey).tasks.push(task);
+    current.taskId = task.id;
+    
+    updateData('Send list item to day');
+    loadTasks();
+    loadCurrentTab();
+    
+    const tab = getTabs().find(t => t.id === tabId);
+    const dayLabel = parseDateKey(choice.dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    showMessage(`📅 "${current.text}" from ${tab ? tab.name : 'the list'} added to the tasks of ${dayLabel}.`, 'success', 3000);
+}
+
+/**
+ * Update the source list item of a task that was completed or reopened
+ * 'done' mirrors the task's completion onto the item; 'remove' deletes the item
+ * once the task is completed, lifting its nested items one level
+ * @param {Object} task - Task whose completion changed
+ * @returns {boolean} True if a list was changed
+ */
+function applyTaskCompletionToSource(task) {
+    if (!task.source || !task.source.onComplete || task.source.onComplete === 'none') return false;
+    
+    const items = appData.listItems[task.source.tabId];
+    if (!Array.isArray(items)) return false;
+    const index = items.findIndex(i => i.id === task.source.itemId);
+    if (index === -1) return false;
+    
+    if (task.source.onComplete === 'done') {
+        items[index].done = task.completed;
+        return true;
+    }
+    if (task.source.onComplete === 'remove' && task.completed) {
+        const end = getListSubtreeEnd(items, index);
+        for (let i = index + 1; i < end; i++) {
+            items[i].depth = Math.max(0, (items[i].depth || 0) - 1);
+        }
+        items.splice(index, 1);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Move an unfinished task back into a list tab
+ * If it goes back to the list it came from and its item still exists, that item is reused
+ * @param {string} taskId - Task id
+ * @param {string} dateKey - Day the task is on
+ */
+async function sendTaskToList(taskId, dateKey = getDateKey()) {
+    const task = findTask(getDateEntry(dateKey), taskId);
+    const tabs = getTabs();
+    if (!task || tabs.length === 0) return;
+    
+    const sourceTabId = task.source && tabs.some(t => t.id === task.source.tabId) ? task.source.tabId : null;
+    const orderedTabs = sourceTabId
+        ? [tabs.find(t => t.id === sourceTabId)].concat(tabs.filter(t => t.id !== sourceTabId))
+        : tabs;
+    const tabId = await showChoiceDialog('Send task to a list', `Move "${task.name}" from ${dateKey} to:`,
+        orderedTabs.map(tab => ({ value: tab.id, label: `📋 ${tab.name}` })));
+    if (!tabId) return;
+    
+    const dateEntry = getDateEntry(dateKey);
+    const index = dateEntry.tasks.findIndex(t => t.id === taskId);
+    if (index === -1) return;
+    const [removedTask] = dateEntry.tasks.splice(index, 1);
+    
+    const items = getListItems(tabId);
+    const original = removedTask.source && removedTask.source.tabId === tabId
+        ? items.find(i => i.id === removedTask.source.itemId)
+        : null;
+    const item = original || createListItem(removedTask.name);
+    if (original) {
+        original.text = removedTask.name;
+        original.done = false;
+        delete original.taskId;
+    } else {
+        items.push(item);
+    }
+    // Notes and steps are kept as the item's notes, the steps as a - [ ] check list
+    const details = formatTaskDetails(removedTask);
+    if (details) {
+        item.notes = details;
+    }
+    
+    updateData('Send task to list');
+    currentTabId = tabId;
+    loadTasks();
+    loadTabs();
+    loadCurrentTab();
+}
+
+/**
+ * Show a list tab and highlight one of its items
+ * @param {string} tabId - Tab id
+ * @param {string} itemId - Item to highlight
+ */
+function showListItem(tabId, itemId) {
+    if (!getTabs().some(t => t.id === tabId)) return;
+    
+    if (listMode !== 'items') {
+        setListMode('items');
+    }
+    switchTab(tabId);
+    
+    const element = document.querySelector(`.list-item[data-item-id="${itemId}"]`);
+    const target = element || document.querySelector('.lists-section');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    if (element) {
+        element.classList.add('highlighted');
+        setTimeout(() => element.classList.remove('highlighted'), 2000);
+    }
+}
+
+// Sync data to data.json
+async function syncData() {
+    try {
+        // Check sync mode - only local-only mode doesn't support manual sync
+        if (syncMode === 'local-only') {
+            showError('No sync configured. Please configure a GitHub token or a server to enable sync. Click "⚙️ Sync Configuration" above to get started.');
+            return;
+        }
+        
+        // Trigger sync to remote storage (saves to data.json via the active provider)
+        await updateData('Manual sync: Save data to data.json');
+        
+        // Show success message
+        showMessage(`✓ Data synced successfully to ${getActiveSyncProvider().label}!`, 'success', 3000);
+    } catch (error) {
+        console.error('Error syncing data:', error);
+        logError('syncData', error);
+        showError('Failed to sync data. Please check your connection and try again.');
+    }
+}
+
+// Download data as JSON file
+function downloadData() {
+    try {
+        // Create a formatted JSON string of all app data
+        const dataStr = JSON.stringify(appData, null, 2);
+        
+        // Create a blob from the JSON string
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        
+        // Create a temporary download link
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        
+        // Use current date for filename
+        const now = new Date();
+        const timestamp = now.toISOString().replace(/[-:]/g, '').split('.')[0];
+        link.download = `daily-board-export-${timestamp}.json`;
+        
+        // Trigger download
+        document.body.appendChild(link);
+        link.click();
+        
+        // Cleanup
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        showMessage('Data exported successfully!', 'success');
+    } catch (error) {
+        console.error('Error downloading data:', error);
+        showError('Failed to download data. Please try again.');
+    }
+}
+
+// GitHub Token Configuration Functions
+function updateTokenStatus() {
+    // Update GitHub status
+    const statusText = document.getElementById('tokenStatusText');
+    const tokenInput = document.getElementById('githubTokenInput');
+    
+    if (GITHUB_CONFIG.token) {
+        statusText.textContent = '✓ Configured';
+        statusText.style.color = '#51cf66';
+        tokenInput.placeholder = 'Token is configured (enter new token to update)';
+    } else {
+        statusText.textContent = '✗ Not configured';
+        statusText.style.color = '#ff6b6b';
+        tokenInput.placeholder = 'Enter your GitHub Personal Access Token';
+    }
+}
+
+// GitHub token management function
+function saveGitHubToken() {
+    const tokenInput = document.getElementById('githubTokenInput');
+    const token = tokenInput.value.trim();
+    
+    if (!token) {
+        showError('Please enter a valid GitHub token');
+        return;
+    }
+    
+    // Save to localStorage
+    localStorage.setItem('githubToken', token);
+    
+    // Update the config
+    GITHUB_CONFIG.token = token;
+    
+    // Clear the input
+    tokenInput.value = '';
+    
+    // Update status
+    updateTokenStatus();
+    
+    // Re-determine sync mode (token added, so may switch to GitHub mode)
+    restartSync().then(() => {
+        // Show success message
+        showMessage(syncMode === 'github'
+            ? 'GitHub token saved successfully! The app will now sync with GitHub.'
+            : `GitHub token saved. Switch the sync mode to GitHub to use it.`, 'success');
+        
+        // Close the config section
+        const configDetails = document.getElementById('configDetails');
+        if (configDetails) {
+            configDetails.removeAttribute('open');
+        }
+    });
+}
+
+function clearGitHubToken() {
+    if (!confirm('Are you sure you want to clear the GitHub token? The app will switch to local-only mode.')) {
+        return;
+    }
+    
+    // Remove from localStorage
+    localStorage.removeItem('githubToken');
+    
+    // Update the config
+    GITHUB_CONFIG.token = '';
+    
+    // Update status
+    updateTokenStatus();
+    
+    // Re-determine sync mode (token removed, so will switch to local-only)
+    restartSync().then(() => {
+        // Show message based on new sync mode
+        showMessage(syncMode === 'local-only'
+            ? 'GitHub token cleared. The app will now only save data locally.'
+            : `GitHub token cleared. Syncing with ${getActiveSyncProvider().label}.`, 'info');
+    });
+}
+
+// Server Configuration Functions
+function updateServerStatus() {
+    const statusText = document.getElementById('serverStatusText');
+    const urlInput = document.getElementById('serverUrlInput');
+    const signedIn = Boolean(SERVER_CONFIG.url && SERVER_CONFIG.token);
+    
+    document.getElementById('serverSignInForm').style.display = SERVER_CONFIG.url && !signedIn ? '' : 'none';
+    document.getElementById('serverSignOutBtn').style.display = signedIn ? '' : 'none';
+    
+    if (signedIn) {
+        statusText.textContent = `✓ ${SERVER_CONFIG.url} (signed in as ${SERVER_CONFIG.username})`;
+        statusText.style.color = '#51cf66';
+        urlInput.placeholder = 'Server is configured (enter a new URL to change it)';
+    } else if (SERVER_CONFIG.url) {
+        statusText.textContent = `${SERVER_CONFIG.url} - not signed in`;
+        statusText.style.color = '#ffa94d';
+        urlInput.placeholder = 'Server is configured (enter a new URL to change it)';
+    } else {
+        statusText.textContent = '✗ Not configured';
+        statusText.style.color = '#ff6b6b';
+        urlInput.placeholder = `Server URL, e.g. ${window.location.protocol === 'http:' ? window.location.origin : 'http://localhost:3000'}`;
+    }
+    document.getElementById('syncModeSelect').value = syncModePreference;
+}
+
+function saveServerUrl() {
+    const urlInput = document.getElementById('serverUrlInput');
+    let url;
+    try {
+        url = new URL(urlInput.value.trim());
+    } catch (error) {
+        showError('Please enter a valid server URL, e.g. http://localhost:3000');
+        return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        showError('The server URL must start with http:// or https://');
+        return;
+    }
+    
+    const serverUrl = url.origin + url.pathname.replace(/\/+$/, '');
+    if (serverUrl !== SERVER_CONFIG.url) {
+        // Sessions and boards belong to the server that issued them
+        setServerSession('', '');
+        setServerBoard('');
+    }
+    SERVER_CONFIG.url = serverUrl;
+    localStorage.setItem('serverUrl', SERVER_CONFIG.url);
+    urlInput.value = '';
+    
+    updateServerStatus();
+    if (SERVER_CONFIG.token) {
+        showMessage(`Server saved: ${SERVER_CONFIG.url}`, 'success');
+    } else {
+        showMessage('Server saved! Sign in or create an account to start syncing.', 'info');
+        document.getElementById('serverUsernameInput').focus();
+    }
+}
+
+/**
+ * Remember (or forget, with empty values) the server session
+ */
+function setServerSession(token, username) {
+    SERVER_CONFIG.token = token;
+    SERVER_CONFIG.username = username;
+    if (token) {
+        localStorage.setItem('serverToken', token);
+        localStorage.setItem('serverUsername', username);
+    } else {
+        localStorage.removeItem('serverToken');
+        localStorage.removeItem('serverUsername');
+    }
+}
+
+/**
+ * Sign in to the server (or create an account) and start syncing with it
+ * @param {boolean} createAccount - Register a new account instead of signing in
+ */
+async function signInToServer(createAccount) {
+    const usernameInput = document.getElementById('serverUsernameInput');
+    const passwordInput = document.getElementById('serverPasswordInput');
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+    
+    if (!username || !password) {
+        showError('Please enter a username and password');
+        return;
+    }
+    
+    try {
+        const result = await getSyncProvider('server').signIn(username, password, createAccount);
+        setServerSession(result.token, result.user.username);
+    } catch (error) {
+        logError('signInToServer', error, { status: error.status });
+        showError(error.message);
+        return;
+    }
+    
+    passwordInput.value = '';
+    
+    // Signing in means we want to use the server
+    setSyncModePreference('server');
+    updateServerStatus();
+    await restartSync();
+    showMessage(`Signed in as ${SERVER_CONFIG.username}. The app will now sync with ${SERVER_CONFIG.url}.`, 'success');
+}
+
+async function signOutOfServer() {
+    try {
+        await getSyncProvider('server').signOut();
+    } catch (error) {
+        // Forget the session locally even if the server is unreachable
+        logError('signOutOfServer', error, { status: error.status });
+    }
+    
+    setServerSession('', '');
+    setServerBoard('');
+    updateServerStatus();
+    await restartSync();
+    showMessage(`Signed out of the server. Syncing with ${getActiveSyncProvider().label}.`, 'info');
+}
+
+function clearServerUrl() {
+    if (!confirm('Are you sure you want to remove the server? The app will stop syncing with it.')) {
+        return;
+    }
+    
+    SERVER_CONFIG.url = '';
+    localStorage.removeItem('serverUrl');
+    setServerSession('', '');
+    setServerBoard('');
+    if (syncModePreference === 'server') {
+        setSyncModePreference('auto');
+    }
+    updateServerStatus();
+    restartSync().then(() => {
+        showMessage(`Server removed. Syncing with ${getActiveSyncProvider().label}.`, 'info');
+    });
+}
+
+// Boards
+// In server mode a user can have several boards (personal, household, team...),
+// each with its own data. Members are owners, editors or viewers (see server.js).
+
+let serverBoards = []; // Boards the signed in user is a member of
+let currentBoard = null; // Summary of the open board: { id, name, personal, role, members }
+
+/**
+ * Whether the open board can only be viewed
+ * @returns {boolean} True for viewers of a shared board
+ */
+function isBoardReadOnly() {
+    return syncMode === 'server' && Boolean(currentBoard) && currentBoard.role === 'viewer';
+}
+
+function setServerBoard(boardId) {
+    SERVER_CONFIG.boardId = boardId;
+    if (boardId) {
+        localStorage.setItem('serverBoardId', boardId);
+    } else {
+        localStorage.removeItem('serverBoardId');
+    }
+}
+
+/**
+ * Load the user's boards and work out which one is open
+ * Hides the board switcher outside server mode
+ */
+async function loadBoards() {
+    if (syncMode !== 'server') {
+        serverBoards = [];
+        currentBoard = null;
+        renderBoardSwitcher();
+        applyBoardRole();
+        return;
+    }
+    
+    try {
+        serverBoards = await getSyncProvider('server').listBoards();
+    } catch (error) {
+        logError('loadBoards', error, { status: error.status });
+        return;
+    }
+    
+    currentBoard = serverBoards.find(board => board.id === SERVER_CONFIG.boardId) || null;
+    if (!currentBoard) {
+        const personal = serverBoards.find(board => board.personal) || serverBoards[0];
+        if (SERVER_CONFIG.boardId && personal) {
+            // Removed from the board since the last visit
+            showError(`You no longer have access to that board. Switched to "${personal.name}".`);
+            await switchBoard(personal.id);
+            return;
+        }
+        currentBoard = personal || null;
+        if (personal) {
+            setServerBoard(personal.id);
+        }
+    }
+    
+    renderBoardSwitcher();
+    applyBoardRole();
+}
+
+/**
+ * Open another board
+ * @param {string} boardId - Board to open
+ */
+async function switchBoard(boardId) {
+    if (boardId === SERVER_CONFIG.boardId && currentBoard) return;
+    
+    // Unsynced edits belong to the board they were made on
+    if (currentBoard && syncBase && JSON.stringify(appData) !== JSON.stringify(syncBase)) {
+        await updateData('Save before switching boards');
+    }
+    
+    // Load the new board before leaving this one: if it can't be fetched (e.g. offline)
+    // the open board stays, instead of an empty one that a save would write over the real one
+    const previousBoardId = SERVER_CONFIG.boardId;
+    setServerBoard(boardId);
+    let remote;
+    try {
+        remote = await getSyncProvider('server').fetch();
+    } catch (error) {
+        setServerBoard(previousBoardId);
+        renderBoardSwitcher();
+        logError('switchBoard', error, { status: error.status });
+        showError(`Could not open the board (${error.message}). Your current board stays open.`);
+        return;
+    }
+    
+    // Boards don't share data: start from the new board instead of merging into it
+    appData = loadCheckedData(remote.data, 'the server').data;
+    setSyncBase(appData);
+    saveToLocalStorage();
+    Object.keys(archiveCache).forEach(month => delete archiveCache[month]);
+    updateBoardPresence([]);
+    
+    await restartSync();
+    if (currentBoard) {
+        showMessage(`Switched to "${currentBoard.name}"`, 'success', 3000);
+    }
+}
+
+function renderBoardSwitcher() {
+    const switcher = document.getElementById('boardSwitcher');
+    const select = document.getElementById('boardSelect');
+    switcher.style.display = syncMode === 'server' && serverBoards.length > 0 ? '' : 'none';
+    select.innerHTML = '';
+    
+    serverBoards.forEach(board => {
+        const option = document.createElement('option');
+        option.value = board.id;
+        option.textContent = board.role === 'owner' ? board.name : `${board.name} (${board.role})`;
+        select.appendChild(option);
+    });
+    
+    const newOption = document.createElement('option');
+    newOption.value = '__new__';
+    newOption.textContent = '➕ New board...';
+    select.appendChild(newOption);
+    
+    if (currentBoard) {
+        select.value = currentBoard.id;
+    }
+}
+
+/**
+ * Show or hide editing controls for the open board's role
+ */
+function applyBoardRole() {
+    const readOnly = isBoardReadOnly();
+    document.body.classList.toggle('board-read-only', readOnly);
+    document.getElementById('listTextarea').readOnly = readOnly;
+}
+
+/**
+ * Show who else has the open board on screen
+ * @param {Array<{userId: string, username: string, devices: number}>} users - Everyone viewing the board
+ */
+function updateBoardPresence(users) {
+    const container = document.getElementById('boardPresence');
+    container.innerHTML = '';
+    
+    users.filter(user => user.username !== SERVER_CONFIG.username).forEach(user => {
+        const chip = document.createElement('span');
+        chip.className = 'presence-chip';
+        chip.textContent = user.username.charAt(0).toUpperCase();
+        chip.title = `${user.username} is viewing this board` + (user.devices > 1 ? ` on ${user.devices} devices` : '');
+        container.appendChild(chip);
+    });
+}
+
+/**
+ * Apply a name, role or membership change pushed by the server
+ * @param {Object} board - Updated board summary
+ */
+function handleBoardUpdate(board) {
+    serverBoards = serverBoards.map(b => b.id === board.id ? board : b);
+    if (currentBoard && currentBoard.id === board.id) {
+        const roleChanged = currentBoard.role !== board.role;
+        currentBoard = board;
+        applyBoardRole();
+        if (roleChanged) {
+            refreshBoard();
+            showMessage(`You are now ${board.role === 'viewer' ? 'a viewer' : `an ${board.role}`} of "${board.name}"`, 'info');
+        }
+    }
+    renderBoardSwitcher();
+    if (document.getElementById('boardDialog').open) {
+        renderBoardMembers();
+    }
+}
+
+/**
+ * Leave a board we lost access to and go back to the personal board
+ * @param {string} boardId - Board we were removed from
+ */
+function handleBoardRemoved(boardId) {
+    const board = serverBoards.find(b => b.id === boardId);
+    serverBoards = serverBoards.filter(b => b.id !== boardId);
+    if (boardId !== SERVER_CONFIG.boardId) {
+        renderBoardSwitcher();
+        return;
+    }
+    
+    const personal = serverBoards.find(b => b.personal);
+    showError(`You no longer have access to "${board ? board.name : 'this board'}".`);
+    document.getElementById('boardDialog').close();
+    currentBoard = null;
+    switchBoard(personal ? personal.id : '');
+}
+
+async function handleBoardSelect() {
+    const select = document.getElementById('boardSelect');
+    if (select.value !== '__new__') {
+        await switchBoard(select.value);
+        return;
+    }
+    
+    // Keep showing the open board until the new one exists
+    select.value = currentBoard ? currentBoard.id : '';
+    const name = prompt('Name of the new board:', '');
+    if (!name || !name.trim()) return;
+    
+    try {
+        const board = await getSyncProvider('server').createBoard(name.trim());
+        serverBoards.push(board);
+        await switchBoard(board.id);
+    } catch (error) {
+        logError('createBoard', error, { status: error.status });
+        showError(`Failed to create the board: ${error.message}`);
+    }
+}
+
+// Board Members Dialog
+
+function showBoardDialog() {
+    if (!currentBoard) return;
+    renderBoardMembers();
+    document.getElementById('boardDialog').showModal();
+}
+
+function renderBoardMembers() {
+    const isOwner = currentBoard.role === 'owner';
+    document.getElementById('boardDialogTitle').textContent = currentBoard.name;
+    document.getElementById('boardDialogRole').textContent = isOwner
+        ? 'You own this board. Editors can change it, viewers can only look.'
+        : `You are ${currentBoard.role === 'viewer' ? 'a viewer' : 'an editor'} of this board.`;
+    document.getElementById('renameBoardBtn').style.display = isOwner ? '' : 'none';
+    document.getElementById('boardAddMember').style.display = isOwner ? '' : 'none';
+    document.getElementById('leaveBoardBtn').style.display = isOwner ? 'none' : '';
+    
+    const list = document.getElementById('boardMembersList');
+    list.innerHTML = '';
+    currentBoard.members.forEach(member => {
+        const row = document.createElement('div');
+        row.className = 'board-member';
+        
+        const name = document.createElement('span');
+        name.className = 'board-member-name';
+        name.textContent = member.username + (member.username === SERVER_CONFIG.username ? ' (you)' : '');
+        row.appendChild(name);
+        
+        if (isOwner && member.role !== 'owner') {
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'repeat-select';
+            ['editor', 'viewer'].forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = member.role;
+            roleSelect.addEventListener('change', () => setBoardMemberRole(member.username, roleSelect.value));
+            row.appendChild(roleSelect);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'delete-btn';
+            removeBtn.textContent = '×';
+            removeBtn.title = `Remove ${member.username}`;
+            removeBtn.addEventListener('click', () => removeBoardMember(member));
+            row.appendChild(removeBtn);
+        } else {
+            const role = document.createElement('span');
+            role.className = 'board-member-role';
+            role.textContent = member.role;
+            row.appendChild(role);
         }
+        list.appendChild(row);
     });
-    
-    // Stop propagation to prevent tab switching
-    input.addEventListener('click', (e) => e.stopPropagation());
 }
 
-function deleteTab(tabId) {
-    let tabs = getTabs();
-    
-    if (tabs.length <= 1) {
-        showError('You must have at least one list!');
-        return;
+/**
+ * Add a member to the open board or change their role
+ * @param {string} username - Account name
+ * @param {string} role - 'editor' or 'viewer'
+ */
+async function setBoardMemberRole(username, role) {
+    try {
+        handleBoardUpdate(await getSyncProvider('server').setBoardMember(currentBoard.id, username, role));
+        return true;
+    } catch (error) {
+        logError('setBoardMemberRole', error, { status: error.status });
+        showError(error.message);
+        renderBoardMembers();
+        return false;
     }
+}
 
-    tabs = tabs.filter(tab => tab.id !== tabId);
-    saveTabs(tabs);
+async function addBoardMember() {
+    const input = document.getElementById('boardMemberInput');
+    const username = input.value.trim();
+    if (!username) return;
+    
+    if (await setBoardMemberRole(username, document.getElementById('boardMemberRoleSelect').value)) {
+        input.value = '';
+        showMessage(`Shared "${currentBoard.name}" with ${username}`, 'success', 3000);
+    }
+}
 
-    // Clear items for this tab
-    delete appData.listItems[tabId];
-    updateData('Delete tab');
+async function removeBoardMember(member) {
+    if (!confirm(`Remove ${member.username} from "${currentBoard.name}"?`)) {
+        return;
+    }
+    try {
+        await getSyncProvider('server').removeBoardMember(currentBoard.id, member.userId);
+        handleBoardUpdate({
+            ...currentBoard,
+            members: currentBoard.members.filter(m => m.userId !== member.userId)
+        });
+    } catch (error) {
+        logError('removeBoardMember', error, { status: error.status });
+        showError(error.message);
+    }
+}
 
-    // Switch to first tab if current tab was deleted
-    if (currentTabId === tabId) {
-        currentTabId = tabs[0].id;
+async function leaveCurrentBoard() {
+    if (!confirm(`Leave "${currentBoard.name}"? You will need to be added again to see it.`)) {
+        return;
     }
+    const me = currentBoard.members.find(m => m.username === SERVER_CONFIG.username);
+    try {
+        await getSyncProvider('server').removeBoardMember(currentBoard.id, me.userId);
+        handleBoardRemoved(currentBoard.id);
+    } catch (error) {
+        logError('leaveCurrentBoard', error, { status: error.status });
+        showError(error.message);
+    }
+}
 
-    loadTabs();
-    loadCurrentTab();
+async function renameCurrentBoard() {
+    const name = prompt('New name for this board:', currentBoard.name);
+    if (!name || !name.trim() || name.trim() === currentBoard.name) return;
+    try {
+        handleBoardUpdate(await getSyncProvider('server').renameBoard(currentBoard.id, name.trim()));
+    } catch (error) {
+        logError('renameCurrentBoard', error, { status: error.status });
+        showError(error.message);
+    }
 }
 
-function switchTab(tabId) {
-    currentTabId = tabId;
-    loadTabs();
-    loadCurrentTab();
+function setSyncModePreference(mode) {
+    syncModePreference = mode;
+    localStorage.setItem('syncModePreference', mode);
 }
 
-function loadCurrentTab() {
-    const textarea = document.getElementById('listTextarea');
-    
-    if (!currentTabId) {
-        textarea.value = '';
+function saveSyncModePreference() {
+    const mode = document.getElementById('syncModeSelect').value;
+    if (mode === 'server' && !(SERVER_CONFIG.url && SERVER_CONFIG.token)) {
+        showError('Enter a server URL below and sign in first.');
+        updateServerStatus();
+        return;
+    }
+    if (mode === 'github' && !GITHUB_CONFIG.token) {
+        showError('Enter a GitHub token below first.');
+        updateServerStatus();
         return;
     }
+    
+    setSyncModePreference(mode);
+    restartSync().then(() => {
+        showMessage(`Sync mode: ${getActiveSyncProvider().label}`, 'success', 3000);
+    });
+}
 
-    const items = getListItems(currentTabId);
-    textarea.value = items;
+// Backups
+// Every provider keeps snapshots of the data (see listBackups/fetchBackup in
+// sync-providers.js). The backup dialog compares one with appData and restores
+// all of it, one day or one list. Restores are normal edits, so they can be undone.
+
+// Backups of the open board, and the one being previewed ({ id, data })
+let backupList = [];
+let backupPreview = null;
+
+/**
+ * Describe when a backup was taken
+ * @param {{id: string, createdAt: string|null}} backup - Backup from listBackups()
+ * @returns {string} Local date and time, or a description for undated backups
+ */
+function formatBackupLabel(backup) {
+    if (!backup.createdAt) {
+        return 'Before the last save';
+    }
+    return new Date(backup.createdAt).toLocaleString('en-US', {
+        weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
 }
 
-function saveListTextarea() {
-    if (!currentTabId) return;
-    
-    const textarea = document.getElementById('listTextarea');
-    const content = textarea.value;
-    saveListItems(currentTabId, content);
+/**
+ * Format a day for the backup dialog
+ * @param {string} dateKey - Date key
+ * @returns {string} e.g. 'Mon, Jan 5, 2026'
+ */
+function formatBackupDay(dateKey) {
+    return parseDateKey(dateKey).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
 }
 
-// Sync data to data.json
-async function syncData() {
+async function showBackupDialog() {
+    const provider = getActiveSyncProvider();
     try {
-        // Check sync mode - only local-only mode doesn't support manual sync
-        if (syncMode === 'local-only') {
-            showError('No sync configured. Please configure GitHub token to enable sync. Click "⚙️ Sync Configuration" above to get started.');
-            return;
-        }
-        
-        // Trigger sync to remote storage (saves to data.json in GitHub)
-        await updateData('Manual sync: Save data to data.json');
-        
-        // Show success message
-        showMessage('✓ Data synced successfully to GitHub!', 'success', 3000);
+        backupList = await provider.listBackups();
     } catch (error) {
-        console.error('Error syncing data:', error);
-        logError('syncData', error);
-        showError('Failed to sync data. Please check your connection and try again.');
+        logError('listBackups', error, { syncMode, status: error.status });
+        showError(`Failed to load backups from ${provider.label}.`);
+        return;
+    }
+    
+    const select = document.getElementById('backupSelect');
+    select.innerHTML = '';
+    backupList.forEach(backup => {
+        const option = document.createElement('option');
+        option.value = backup.id;
+        option.textContent = formatBackupLabel(backup);
+        select.appendChild(option);
+    });
+    select.style.display = backupList.length > 0 ? '' : 'none';
+    
+    backupPreview = null;
+    document.getElementById('backupDialog').showModal();
+    if (backupList.length > 0) {
+        await previewBackup(backupList[0].id);
+    } else {
+        renderBackupDiff();
     }
 }
 
-// Download data as JSON file
-function downloadData() {
+/**
+ * Load a backup and show how it differs from the board
+ * @param {string} backupId - Backup id from listBackups()
+ */
+async function previewBackup(backupId) {
+    const provider = getActiveSyncProvider();
+    backupPreview = null;
+    document.getElementById('backupSummary').textContent = 'Loading backup...';
+    document.getElementById('backupDiffList').innerHTML = '';
+    
     try {
-        // Create a formatted JSON string of all app data
-        const dataStr = JSON.stringify(appData, null, 2);
-        
-        // Create a blob from the JSON string
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        
-        // Create a temporary download link
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        
-        // Use current date for filename
-        const now = new Date();
-        const timestamp = now.toISOString().replace(/[-:]/g, '').split('.')[0];
-        link.download = `daily-board-export-${timestamp}.json`;
-        
-        // Trigger download
-        document.body.appendChild(link);
-        link.click();
-        
-        // Cleanup
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        showMessage('Data exported successfully!', 'success');
+        const data = await provider.fetchBackup(backupId);
+        // Another backup may have been picked while this one was loading
+        if (document.getElementById('backupSelect').value !== backupId) return;
+        backupPreview = { id: backupId, data: loadCheckedData(data, `backup ${backupId}`).data };
     } catch (error) {
-        console.error('Error downloading data:', error);
-        showError('Failed to download data. Please try again.');
+        logError('fetchBackup', error, { syncMode, status: error.status, backupId });
+        document.getElementById('backupSummary').textContent = `Failed to load this backup from ${provider.label}.`;
+        return;
     }
+    renderBackupDiff();
 }
 
-// GitHub Token Configuration Functions
-function updateTokenStatus() {
-    // Update GitHub status
-    const statusText = document.getElementById('tokenStatusText');
-    const tokenInput = document.getElementById('githubTokenInput');
-    
-    if (GITHUB_CONFIG.token) {
-        statusText.textContent = '✓ Configured';
-        statusText.style.color = '#51cf66';
-        tokenInput.placeholder = 'Token is configured (enter new token to update)';
-    } else {
-        statusText.textContent = '✗ Not configured';
-        statusText.style.color = '#ff6b6b';
-        tokenInput.placeholder = 'Enter your GitHub Personal Access Token';
+/**
+ * Count items that only exist on one side, or exist on both but differ
+ * @param {Array<Object>} current - Items on the board now
+ * @param {Array<Object>} backup - Items in the backup
+ * @param {string} noun - Item name for the description, e.g. 'task'
+ * @returns {Array<string>} Descriptions such as '2 tasks only in backup'
+ */
+function describeItemChanges(current, backup, noun) {
+    const currentById = new Map(current.map(item => [item.id, item]));
+    const backupIds = new Set(backup.map(item => item.id));
+    const onlyBackup = backup.filter(item => !currentById.has(item.id)).length;
+    const onlyNow = current.filter(item => !backupIds.has(item.id)).length;
+    const changed = backup.filter(item => currentById.has(item.id) &&
+        JSON.stringify(item) !== JSON.stringify(currentById.get(item.id))).length;
+    
+    const plural = (count) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    const parts = [];
+    if (onlyBackup > 0) parts.push(`${plural(onlyBackup)} only in backup`);
+    if (onlyNow > 0) parts.push(`${plural(onlyNow)} added since`);
+    if (changed > 0) parts.push(`${plural(changed)} changed`);
+    if (parts.length === 0 && JSON.stringify(current) !== JSON.stringify(backup)) {
+        parts.push('order changed');
     }
+    return parts;
 }
 
-// GitHub token management function
-function saveGitHubToken() {
-    const tokenInput = document.getElementById('githubTokenInput');
-    const token = tokenInput.value.trim();
-    
-    if (!token) {
-        showError('Please enter a valid GitHub token');
-        return;
-    }
+/**
+ * List the days, lists and other data that differ between the board and a backup
+ * Archived days are left out: the board keeps their tasks in the archive, and restoring
+ * the whole backup keeps their discipline history as it is now (see restoreWholeBackup)
+ * @param {Object} current - appData
+ * @param {Object} backup - Backed up data
+ * @returns {Array<{type: string, key: string, title: string, detail: string}>}
+ *          type is 'day', 'list' or 'other'; days and lists can be restored on their own
+ */
+function describeBackupDiff(current, backup) {
+    const differences = [];
+    const emptyDay = { disciplines: {}, tasks: [] };
+    
+    const dateKeys = new Set([...Object.keys(current.dateEntries), ...Object.keys(backup.dateEntries)]);
+    [...dateKeys].filter(dateKey => !isArchivedDate(dateKey)).sort().reverse().forEach(dateKey => {
+        const now = { ...emptyDay, ...current.dateEntries[dateKey] };
+        const then = { ...emptyDay, ...backup.dateEntries[dateKey] };
+        const parts = describeItemChanges(now.tasks, then.tasks, 'task');
+        if (JSON.stringify(now.disciplines) !== JSON.stringify(then.disciplines)) {
+            parts.push('disciplines differ');
+        }
+        if (parts.length > 0) {
+            differences.push({ type: 'day', key: dateKey, title: `📅 ${formatBackupDay(dateKey)}`, detail: parts.join(', ') });
+        }
+    });
     
-    // Save to localStorage
-    localStorage.setItem('githubToken', token);
+    const tabs = [...backup.tabs, ...current.tabs.filter(tab => !backup.tabs.some(t => t.id === tab.id))];
+    tabs.forEach(tab => {
+        const now = current.tabs.find(t => t.id === tab.id);
+        const then = backup.tabs.find(t => t.id === tab.id);
+        let parts;
+        if (!now) {
+            parts = ['only in backup'];
+        } else if (!then) {
+            parts = ['added since'];
+        } else {
+            parts = describeItemChanges(current.listItems[tab.id] || [], backup.listItems[tab.id] || [], 'item');
+            if (now.name !== then.name) {
+                parts.unshift(`named "${then.name}" in backup`);
+            }
+        }
+        if (parts.length > 0) {
+            differences.push({ type: 'list', key: tab.id, title: `📋 ${(now || then).name}`, detail: parts.join(', ') });
+        }
+    });
     
-    // Update the config
-    GITHUB_CONFIG.token = token;
+    const others = [
+        ['tabs', 'List order'],
+        ['disciplines', 'Daily disciplines'],
+        ['recurringTasks', 'Recurring tasks'],
+        ['settings', 'Settings']
+    ];
+    others.forEach(([key, title]) => {
+        if (key === 'tabs' && differences.some(difference => difference.type === 'list')) return;
+        if (JSON.stringify(current[key]) !== JSON.stringify(backup[key])) {
+            differences.push({ type: 'other', key, title: `⚙️ ${title}`, detail: 'differs, restored with everything' });
+        }
+    });
+    return differences;
+}
+
+function renderBackupDiff() {
+    const summary = document.getElementById('backupSummary');
+    const list = document.getElementById('backupDiffList');
+    const restoreAllBtn = document.getElementById('restoreBackupBtn');
+    list.innerHTML = '';
     
-    // Clear the input
-    tokenInput.value = '';
+    if (!backupPreview) {
+        summary.textContent = `No backups found in ${getActiveSyncProvider().label} yet. One is made before every save.`;
+        restoreAllBtn.style.display = 'none';
+        return;
+    }
     
-    // Update status
-    updateTokenStatus();
+    const readOnly = isBoardReadOnly();
+    const differences = describeBackupDiff(appData, backupPreview.data);
+    summary.textContent = differences.length === 0
+        ? 'This backup matches the board.'
+        : `Compared with the board now (${differences.length} difference${differences.length === 1 ? '' : 's'}):`;
+    restoreAllBtn.style.display = differences.length > 0 && !readOnly ? '' : 'none';
     
-    // Re-determine sync mode (token added, so may switch to GitHub mode)
-    syncMode = 'unknown';
-    determineSyncMode().then((mode) => {
-        syncMode = mode;
-        updateSyncModeDisplay();
+    differences.forEach(difference => {
+        const item = document.createElement('div');
+        item.className = 'conflict-item backup-diff-item';
         
-        // Show success message
-        showMessage('GitHub token saved successfully! The app will now sync with GitHub.', 'success');
+        const text = document.createElement('div');
+        text.className = 'backup-diff-text';
+        const title = document.createElement('div');
+        title.className = 'conflict-title';
+        title.textContent = difference.title;
+        const detail = document.createElement('div');
+        detail.className = 'conflict-value';
+        detail.textContent = difference.detail;
+        text.appendChild(title);
+        text.appendChild(detail);
+        item.appendChild(text);
         
-        // Close the config section
-        const configDetails = document.getElementById('configDetails');
-        if (configDetails) {
-            configDetails.removeAttribute('open');
+        if (difference.type !== 'other' && !readOnly) {
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'config-btn backup-restore-btn';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => {
+                if (difference.type === 'day') {
+                    restoreBackupDay(difference.key);
+                } else {
+                    restoreBackupList(difference.key);
+                }
+            });
+            item.appendChild(restoreBtn);
         }
-        
-        // Fetch data from GitHub with new token
-        fetchData().then(() => {
-            updateDateDisplay();
-            loadDisciplines();
-            loadTasks();
-            loadTabs();
-            loadCurrentTab();
-            
-            // Restart auto-sync with new mode
-            stopAutoSync();
-            startAutoSync();
-        });
+        list.appendChild(item);
     });
 }
 
-function clearGitHubToken() {
-    if (!confirm('Are you sure you want to clear the GitHub token? The app will switch to local-only mode.')) {
+/**
+ * Save a restore like any other edit and refresh the preview
+ * @param {string} message - Commit message
+ * @param {string} confirmation - Toast text
+ */
+function finishBackupRestore(message, confirmation) {
+    if (!appData.tabs.some(tab => tab.id === currentTabId) && appData.tabs.length > 0) {
+        currentTabId = appData.tabs[0].id;
+    }
+    refreshBoard();
+    updateData(message);
+    renderBackupDiff();
+    showUndoMessage(confirmation);
+}
+
+/**
+ * Replace one day with its state in the previewed backup
+ * @param {string} dateKey - Date key
+ */
+function restoreBackupDay(dateKey) {
+    const entry = backupPreview.data.dateEntries[dateKey];
+    if (entry) {
+        appData.dateEntries[dateKey] = JSON.parse(JSON.stringify(entry));
+    } else {
+        delete appData.dateEntries[dateKey];
+    }
+    finishBackupRestore(`Restore ${dateKey} from backup ${backupPreview.id}`, `Restored ${formatBackupDay(dateKey)} from the backup`);
+}
+
+/**
+ * Replace one list (name and items) with its state in the previewed backup
+ * A list that did not exist yet is removed, unless it is the only one
+ * @param {string} tabId - Tab id
+ */
+function restoreBackupList(tabId) {
+    const backup = backupPreview.data;
+    const tab = backup.tabs.find(t => t.id === tabId);
+    
+    if (!tab) {
+        if (appData.tabs.length <= 1) {
+            showError('You must have at least one list!');
+            return;
+        }
+        const name = appData.tabs.find(t => t.id === tabId).name;
+        appData.tabs = appData.tabs.filter(t => t.id !== tabId);
+        delete appData.listItems[tabId];
+        finishBackupRestore(`Remove list "${name}" as in backup ${backupPreview.id}`, `Removed "${name}", as in the backup`);
         return;
     }
     
-    // Remove from localStorage
-    localStorage.removeItem('githubToken');
+    const index = appData.tabs.findIndex(t => t.id === tabId);
+    if (index === -1) {
+        appData.tabs.splice(Math.min(backup.tabs.indexOf(tab), appData.tabs.length), 0, { ...tab });
+    } else {
+        appData.tabs[index] = { ...tab };
+    }
+    appData.listItems[tabId] = JSON.parse(JSON.stringify(backup.listItems[tabId] || []));
+    finishBackupRestore(`Restore list "${tab.name}" from backup ${backupPreview.id}`, `Restored "${tab.name}" from the backup`);
+}
+
+/**
+ * Replace the board with the previewed backup
+ * Archived days keep their current entries: those only hold the discipline history behind
+ * streaks, which the preview does not show and an older backup may not have
+ */
+function restoreWholeBackup() {
+    if (!backupPreview) return;
+    const label = formatBackupLabel(backupList.find(backup => backup.id === backupPreview.id) || {});
+    if (!confirm(`Replace the whole board with the backup from ${label}? You can undo this afterwards.`)) {
+        return;
+    }
     
-    // Update the config
-    GITHUB_CONFIG.token = '';
+    const restored = initializeDataStructure(JSON.parse(JSON.stringify(backupPreview.data)));
+    Object.keys(restored.dateEntries).filter(isArchivedDate).forEach(dateKey => {
+        delete restored.dateEntries[dateKey];
+    });
+    Object.keys(appData.dateEntries).filter(isArchivedDate).forEach(dateKey => {
+        restored.dateEntries[dateKey] = appData.dateEntries[dateKey];
+    });
+    appData = restored;
+    finishBackupRestore(`Restore backup ${backupPreview.id}`, `Restored the backup from ${label}`);
+}
+
+// Data retention settings
+function updateRetentionInputs() {
+    const { daysBack, daysForward } = getRetentionSettings();
+    document.getElementById('retentionDaysBackInput').value = daysBack;
+    document.getElementById('retentionDaysForwardInput').value = daysForward;
+}
+
+async function saveRetentionSettings() {
+    const daysBack = parseInt(document.getElementById('retentionDaysBackInput').value, 10);
+    const daysForward = parseInt(document.getElementById('retentionDaysForwardInput').value, 10);
     
-    // Update status
-    updateTokenStatus();
+    if (!Number.isInteger(daysBack) || !Number.isInteger(daysForward) ||
+        daysBack < 1 || daysForward < 1 || daysBack > 3650 || daysForward > 3650) {
+        showError('Please enter a number of days between 1 and 3650.');
+        updateRetentionInputs();
+        return;
+    }
     
-    // Re-determine sync mode (token removed, so will switch to local-only)
-    syncMode = 'unknown';
-    determineSyncMode().then((mode) => {
-        syncMode = mode;
-        updateSyncModeDisplay();
-        
-        // Show message based on new sync mode
-        showMessage('GitHub token cleared. The app will now only save data locally.', 'info');
-        
-        // Restart auto-sync with new mode
-        stopAutoSync();
-        startAutoSync();
-    });
+    appData.settings.retention = { daysBack, daysForward };
+    await updateData('Update retention settings');
+    
+    // Archive anything that fell out of a smaller window right away
+    const archivedCount = await archiveOldEntries();
+    if (archivedCount > 0) {
+        syncHistoryBase();
+        await updateData('Automatic cleanup: archived entries outside retention window');
+    }
+    
+    updateDateDisplay();
+    loadDisciplines();
+    loadTasks();
+    showMessage(`Retention window saved: ${daysBack} days back, ${daysForward} days forward.`, 'success');
 }
 
 // Drag and Drop functionality for tasks
 let draggedTaskElement = null;
-let draggedTaskIndex = null;
+let draggedTaskId = null;
+let draggedTaskDateKey = null;
 
 function isTaskItem(element) {
     return element.classList.contains('task-item');
@@ -2040,7 +6559,8 @@ function isTaskItem(element) {
 
 function handleDragStart(e) {
     draggedTaskElement = e.currentTarget;
-    draggedTaskIndex = parseInt(draggedTaskElement.dataset.taskIndex);
+    draggedTaskId = draggedTaskElement.dataset.taskId;
+    draggedTaskDateKey = draggedTaskElement.dataset.dateKey;
     e.currentTarget.classList.add('dragging');
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('text/html', e.currentTarget.innerHTML);
@@ -2076,24 +6596,35 @@ function handleDrop(e) {
         return false;
     }
     
-    if (draggedTaskElement !== targetElement) {
-        const targetTaskIndex = parseInt(targetElement.dataset.taskIndex);
+    const targetDateKey = targetElement.dataset.dateKey;
+    if (draggedTaskId && draggedTaskDateKey !== targetDateKey) {
+        // Dropped on a task of another day in the week/month view
+        moveTaskToDate(draggedTaskId, draggedTaskDateKey, targetDateKey, targetElement.dataset.taskId);
+        loadTasks();
+    } else if (draggedTaskElement !== targetElement) {
+        const targetTaskId = targetElement.dataset.taskId;
         
         // Reorder tasks in data
-        const dateKey = getDateKey();
+        const dateKey = targetDateKey;
         const dateEntry = getDateEntry(dateKey);
         const tasks = dateEntry.tasks;
         
-        // Remove dragged task and insert at new position
-        const draggedTask = tasks[draggedTaskIndex];
-        tasks.splice(draggedTaskIndex, 1);
+        // Look up positions at drop time - a sync during the drag may have changed them
+        const draggedIndex = tasks.findIndex(task => task.id === draggedTaskId);
+        const targetIndex = tasks.findIndex(task => task.id === targetTaskId);
         
-        // When dragging downward, we need to adjust the target index by -1
-        // because removing the dragged item shifts all subsequent indices down by 1
-        const adjustedTargetIndex = targetTaskIndex > draggedTaskIndex ? targetTaskIndex - 1 : targetTaskIndex;
-        tasks.splice(adjustedTargetIndex, 0, draggedTask);
-        
-        saveDateEntry(dateKey, dateEntry);
+        if (draggedIndex !== -1 && targetIndex !== -1) {
+            // Remove dragged task and insert at new position
+            const draggedTask = tasks[draggedIndex];
+            tasks.splice(draggedIndex, 1);
+            
+            // When dragging downward, we need to adjust the target index by -1
+            // because removing the dragged item shifts all subsequent indices down by 1
+            const adjustedTargetIndex = targetIndex > draggedIndex ? targetIndex - 1 : targetIndex;
+            tasks.splice(adjustedTargetIndex, 0, draggedTask);
+            
+            saveDateEntry(dateKey, dateEntry, 'Reorder tasks');
+        }
         loadTasks();
     }
     
@@ -2107,13 +6638,14 @@ function handleDragEnd(e) {
     e.currentTarget.classList.remove('dragging');
     
     // Remove all visual feedback
-    const allTaskItems = document.querySelectorAll('.task-item');
+    const allTaskItems = document.querySelectorAll('.task-item, .overview-day');
     allTaskItems.forEach(item => {
         item.classList.remove('drag-over');
     });
     
     draggedTaskElement = null;
-    draggedTaskIndex = null;
+    draggedTaskId = null;
+    draggedTaskDateKey = null;
 }
 
 // Drag and Drop functionality for tabs/lists
@@ -2181,7 +6713,7 @@ function handleTabDrop(e) {
             const adjustedTargetIndex = targetIndex > draggedIndex ? targetIndex - 1 : targetIndex;
             tabs.splice(adjustedTargetIndex, 0, draggedTab);
             
-            saveTabs(tabs);
+            saveTabs(tabs, 'Reorder lists');
             loadTabs();
         }
     }
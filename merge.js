@@ -0,0 +1,617 @@
+/**
+ * Three-way merge and patch operations for Daily Board data
+ * Combines local and remote edits of appData using the last synced version as base,
+ * and describes edits as small operations that can be sent instead of the whole document
+ *
+ * Merging is structural:
+ * - Plain objects (dateEntries, a day's disciplines, ...) merge key by key
+ * - Arrays of objects (tasks, tabs) merge item by item, keyed by `id` (or `name`)
+ * - Multi-line strings (list textareas) merge line by line
+ * - Anything else is a single value that one side may change
+ *
+ * Only edits where both sides changed the same value differently are reported
+ * as conflicts. Edit timestamps (updatedAt, completedAt) never conflict: the newer one is kept. Each conflict carries a `path` that resolveConflict() uses to
+ * write the chosen side into the merged result.
+ */
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a === undefined || b === undefined) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Arrays whose items are objects can be merged item by item
+ */
+function isKeyedArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+
+/**
+ * Build stable keys for the items of an array
+ * Items with an `id` use it; otherwise the name plus an occurrence counter
+ * so duplicate names (e.g. two "Call Andrea" tasks) stay distinct
+ * @param {Array} items - Array of objects
+ * @returns {Array<string>} Keys in item order
+ */
+function getItemKeys(items) {
+    const seen = {};
+    return items.map((item, index) => {
+        if (item.id !== undefined && item.id !== null) {
+            return String(item.id);
+        }
+        if (typeof item.name === 'string') {
+            seen[item.name] = (seen[item.name] || 0) + 1;
+            return seen[item.name] === 1 ? `name:${item.name}` : `name:${item.name}#${seen[item.name]}`;
+        }
+        return `index:${index}`;
+    });
+}
+
+// Timestamps that record when an edit happened rather than user data
+const TIMESTAMP_KEYS = ['updatedAt', 'completedAt'];
+
+/**
+ * Pick the later of two ISO timestamps; missing or unreadable ones count as oldest
+ */
+function getNewerTimestamp(local, remote) {
+    const localTime = Date.parse(local);
+    const remoteTime = Date.parse(remote);
+    if (Number.isNaN(remoteTime)) return local;
+    if (Number.isNaN(localTime)) return remote;
+    return remoteTime > localTime ? remote : local;
+}
+
+function indexByKey(items) {
+    const map = new Map();
+    if (!Array.isArray(items)) return map;
+    const keys = getItemKeys(items);
+    items.forEach((item, index) => map.set(keys[index], item));
+    return map;
+}
+
+// ============================================================================
+// Line Merge (diff3)
+// ============================================================================
+
+/**
+ * Compute the edits that turn `base` into `other` as hunks in base coordinates
+ * @param {Array<string>} base - Base lines
+ * @param {Array<string>} other - Changed lines
+ * @returns {Array<{start: number, end: number, lines: Array<string>}>|null}
+ *          Hunks replacing base[start..end) with lines, or null if too large to diff
+ */
+function diffLines(base, other) {
+    // Trim common prefix and suffix so only the edited region is compared
+    let prefix = 0;
+    while (prefix < base.length && prefix < other.length && base[prefix] === other[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < base.length - prefix && suffix < other.length - prefix &&
+           base[base.length - 1 - suffix] === other[other.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const a = base.slice(prefix, base.length - suffix);
+    const b = other.slice(prefix, other.length - suffix);
+    if (a.length === 0 && b.length === 0) {
+        return [];
+    }
+    if (a.length * b.length > 4000000) {
+        return null;
+    }
+
+    // Longest common subsequence table (suffix form)
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const hunks = [];
+    let current = null;
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            current = null;
+            i++;
+            j++;
+            continue;
+        }
+        if (!current) {
+            current = { start: prefix + i, end: prefix + i, lines: [] };
+            hunks.push(current);
+        }
+        if (j < b.length && (i >= a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+            current.lines.push(b[j]);
+            j++;
+        } else {
+            current.end = prefix + i + 1;
+            i++;
+        }
+    }
+    return hunks;
+}
+
+/**
+ * Merge two edited versions of a multi-line text against their common base
+ * @param {string} base - Last synced text
+ * @param {string} local - Local text
+ * @param {string} remote - Remote text
+ * @returns {{text: string, conflict: boolean, localText: string, remoteText: string,
+ *            localLines: Array<string>, remoteLines: Array<string>}}
+ *          `text` prefers local for overlapping hunks; localText/remoteText resolve
+ *          every overlap to one side, localLines/remoteLines list the contested lines
+ */
+function mergeText(base, local, remote) {
+    const baseLines = base.split('\n');
+    const localHunks = diffLines(baseLines, local.split('\n'));
+    const remoteHunks = diffLines(baseLines, remote.split('\n'));
+
+    if (!localHunks || !remoteHunks) {
+        // Too large to diff line by line - treat the whole text as one value
+        return {
+            text: local,
+            conflict: true,
+            localText: local,
+            remoteText: remote,
+            localLines: local.split('\n'),
+            remoteLines: remote.split('\n')
+        };
+    }
+
+    const tagged = localHunks.map(h => ({ ...h, side: 'local' }))
+        .concat(remoteHunks.map(h => ({ ...h, side: 'remote' })))
+        .sort((x, y) => x.start - y.start || x.end - y.end);
+
+    const localOut = [];
+    const remoteOut = [];
+    const localLines = [];
+    const remoteLines = [];
+    let conflict = false;
+    let position = 0;
+    let index = 0;
+
+    while (index < tagged.length) {
+        // Group hunks whose base ranges overlap (or touch at the same insertion point)
+        const group = [tagged[index]];
+        let groupEnd = tagged[index].end;
+        index++;
+        while (index < tagged.length &&
+               (tagged[index].start < groupEnd || tagged[index].start === group[0].start)) {
+            group.push(tagged[index]);
+            groupEnd = Math.max(groupEnd, tagged[index].end);
+            index++;
+        }
+        const groupStart = group[0].start;
+
+        const unchanged = baseLines.slice(position, groupStart);
+        localOut.push(...unchanged);
+        remoteOut.push(...unchanged);
+
+        const sides = new Set(group.map(h => h.side));
+        const applySide = (side) => {
+            // Rebuild the group's base range with only one side's hunks applied
+            const out = [];
+            let cursor = groupStart;
+            group.filter(h => h.side === side).forEach(h => {
+                out.push(...baseLines.slice(cursor, h.start), ...h.lines);
+                cursor = h.end;
+            });
+            out.push(...baseLines.slice(cursor, groupEnd));
+            return out;
+        };
+
+        if (sides.size === 1) {
+            const lines = applySide(group[0].side);
+            localOut.push(...lines);
+            remoteOut.push(...lines);
+        } else {
+            const ours = applySide('local');
+            const theirs = applySide('remote');
+            if (isEqual(ours, theirs)) {
+                localOut.push(...ours);
+                remoteOut.push(...ours);
+            } else {
+                conflict = true;
+                localOut.push(...ours);
+                remoteOut.push(...theirs);
+                localLines.push(...ours);
+                remoteLines.push(...theirs);
+            }
+        }
+        position = groupEnd;
+    }
+
+    const rest = baseLines.slice(position);
+    localOut.push(...rest);
+    remoteOut.push(...rest);
+
+    return {
+        text: localOut.join('\n'),
+        conflict,
+        localText: localOut.join('\n'),
+        remoteText: remoteOut.join('\n'),
+        localLines,
+        remoteLines
+    };
+}
+
+// ============================================================================
+// Structural Merge
+// ============================================================================
+
+/**
+ * Merge a single value three ways, recursing into objects and keyed arrays
+ * @param {*} base - Last synced value (undefined if it did not exist)
+ * @param {*} local - Local value (undefined if deleted locally)
+ * @param {*} remote - Remote value (undefined if deleted remotely)
+ * @param {Array<string>} path - Location of the value inside appData
+ * @param {Array<Object>} conflicts - Collects conflicts found while merging
+ * @returns {*} Merged value (local side wins unresolved conflicts until resolved)
+ */
+function mergeValue(base, local, remote, path, conflicts) {
+    if (isEqual(local, remote)) return clone(local);
+    if (isEqual(base, local)) return clone(remote);
+    if (isEqual(base, remote)) return clone(local);
+
+    // Both sides changed the value - try to combine the changes
+    if (TIMESTAMP_KEYS.includes(path[path.length - 1])) {
+        return clone(getNewerTimestamp(local, remote));
+    }
+
+    if (isPlainObject(local) && isPlainObject(remote)) {
+        return mergeObjects(isPlainObject(base) ? base : {}, local, remote, path, conflicts);
+    }
+
+    if ((isKeyedArray(local) || isKeyedArray(remote)) &&
+        Array.isArray(local) && Array.isArray(remote)) {
+        return mergeKeyedArrays(Array.isArray(base) ? base : [], local, remote, path, conflicts);
+    }
+
+    if (typeof local === 'string' && typeof remote === 'string' &&
+        (typeof base === 'string' || base === undefined)) {
+        const result = mergeText(base || '', local, remote);
+        if (result.conflict) {
+            conflicts.push({
+                path,
+                kind: 'text',
+                local: result.localText,
+                remote: result.remoteText,
+                localLines: result.localLines,
+                remoteLines: result.remoteLines
+            });
+        }
+        return result.text;
+    }
+
+    conflicts.push({ path, kind: 'value', local: clone(local), remote: clone(remote) });
+    return clone(local);
+}
+
+function mergeObjects(base, local, remote, path, conflicts) {
+    const merged = {};
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)]);
+    keys.forEach(key => {
+        const value = mergeValue(base[key], local[key], remote[key], path.concat(key), conflicts);
+        if (value !== undefined) {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+/**
+ * Merge arrays of objects item by item
+ * Order follows whichever side reordered relative to base (local wins ties);
+ * items added only remotely are inserted after their remote predecessor
+ */
+function mergeKeyedArrays(base, local, remote, path, conflicts) {
+    const baseMap = indexByKey(base);
+    const localMap = indexByKey(local);
+    const remoteMap = indexByKey(remote);
+    const localKeys = getItemKeys(local);
+    const remoteKeys = getItemKeys(remote);
+    const baseKeys = getItemKeys(base);
+
+    const sharedOrder = (keys) => keys.filter(key => baseMap.has(key) && localMap.has(key) && remoteMap.has(key));
+    const remoteReordered = !isEqual(sharedOrder(remoteKeys), sharedOrder(baseKeys));
+    const localReordered = !isEqual(sharedOrder(localKeys), sharedOrder(baseKeys));
+    const primaryKeys = remoteReordered && !localReordered ? remoteKeys : localKeys;
+    const secondaryKeys = primaryKeys === localKeys ? remoteKeys : localKeys;
+
+    const order = primaryKeys.slice();
+    secondaryKeys.forEach((key, index) => {
+        if (order.includes(key)) return;
+        // Insert after the nearest preceding item that is already placed
+        let insertAt = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            const at = order.indexOf(secondaryKeys[i]);
+            if (at !== -1) {
+                insertAt = at + 1;
+                break;
+            }
+        }
+        order.splice(insertAt, 0, key);
+    });
+
+    const merged = [];
+    order.forEach(key => {
+        const value = mergeValue(baseMap.get(key), localMap.get(key), remoteMap.get(key), path.concat(key), conflicts);
+        if (value !== undefined) {
+            merged.push(value);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Three-way merge of two versions of appData
+ * @param {Object|null} base - Data as of the last successful sync (null if unknown)
+ * @param {Object} local - Local appData
+ * @param {Object} remote - Remote appData
+ * @returns {{merged: Object, conflicts: Array<Object>}}
+ *          Conflicts hold { path, kind, local, remote } where undefined means deleted
+ */
+function mergeAppData(base, local, remote) {
+    const conflicts = [];
+    const merged = mergeValue(base || {}, local || {}, remote || {}, [], conflicts);
+    return { merged: merged || {}, conflicts };
+}
+
+/**
+ * Write the chosen side of a conflict into the merged data
+ * @param {Object} merged - Result of mergeAppData
+ * @param {Object} conflict - Conflict reported by mergeAppData
+ * @param {string} choice - 'local' or 'remote'
+ */
+function resolveConflict(merged, conflict, choice) {
+    const value = clone(choice === 'remote' ? conflict.remote : conflict.local);
+    let container = merged;
+
+    for (let i = 0; i < conflict.path.length - 1; i++) {
+        const key = conflict.path[i];
+        let next;
+        if (Array.isArray(container)) {
+            next = container[getItemKeys(container).indexOf(key)];
+        } else {
+            next = container[key];
+        }
+        if (next === undefined) {
+            // Parent was removed by the merge; nothing to write into
+            if (value === undefined) return;
+            next = {};
+            container[key] = next;
+        }
+        container = next;
+    }
+
+    const lastKey = conflict.path[conflict.path.length - 1];
+    if (Array.isArray(container)) {
+        const index = getItemKeys(container).indexOf(lastKey);
+        if (value === undefined) {
+            if (index !== -1) container.splice(index, 1);
+        } else if (index !== -1) {
+            container[index] = value;
+        } else {
+            container.push(value);
+        }
+    } else if (value === undefined) {
+        delete container[lastKey];
+    } else {
+        container[lastKey] = value;
+    }
+}
+
+// ============================================================================
+// Patch Operations
+// ============================================================================
+
+/**
+ * Operations use the same paths as conflicts: object keys, and item keys
+ * (see getItemKeys) for arrays of objects. Supported operations:
+ * - { op: 'set', path, value }           Add or replace a value
+ * - { op: 'remove', path }               Delete a value or array item
+ * - { op: 'insert', path, after, value } Add an array item after the item keyed `after` (null = first)
+ * - { op: 'move', path, after }          Reorder an array item
+ */
+
+// Path keys that would reach Object.prototype instead of the data
+const UNSAFE_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Check that an operation path only names data keys
+ * @param {Array} path - Operation path
+ * @returns {boolean} True if it is a non-empty list of string or number keys, none of them unsafe
+ */
+function isSafePath(path) {
+    return Array.isArray(path) && path.length > 0 && path.every(key =>
+        (typeof key === 'string' || typeof key === 'number') && !UNSAFE_PATH_KEYS.includes(String(key)));
+}
+
+/**
+ * Arrays that can be diffed item by item: objects only, each with a unique key
+ */
+function isPatchableArray(base, next) {
+    if (!Array.isArray(base) || !Array.isArray(next)) return false;
+    if (!isKeyedArray(base) && !isKeyedArray(next)) return false;
+    return [base, next].every(items => {
+        const keys = getItemKeys(items);
+        return items.every(isPlainObject) && new Set(keys).size === keys.length;
+    });
+}
+
+function diffValue(base, next, path, ops) {
+    if (isEqual(base, next)) return;
+
+    if (next === undefined) {
+        ops.push({ op: 'remove', path });
+    } else if (isPlainObject(base) && isPlainObject(next)) {
+        const keys = new Set([...Object.keys(base), ...Object.keys(next)]);
+        keys.forEach(key => diffValue(base[key], next[key], path.concat(key), ops));
+    } else if (isPatchableArray(base, next)) {
+        diffKeyedArray(base, next, path, ops);
+    } else {
+        ops.push({ op: 'set', path, value: clone(next) });
+    }
+}
+
+/**
+ * Diff arrays of objects into removes, inserts, moves and item edits
+ * Moves are only emitted for items whose predecessor differs once the earlier
+ * operations are applied, so appending or editing one item stays one operation
+ */
+function diffKeyedArray(base, next, path, ops) {
+    const baseMap = indexByKey(base);
+    const nextMap = indexByKey(next);
+    const nextKeys = getItemKeys(next);
+
+    const order = getItemKeys(base).filter(key => {
+        if (nextMap.has(key)) return true;
+        ops.push({ op: 'remove', path: path.concat(key) });
+        return false;
+    });
+    const placeAfter = (key, after) => {
+        order.splice(after === null ? 0 : order.indexOf(after) + 1, 0, key);
+    };
+
+    nextKeys.forEach((key, index) => {
+        const after = index > 0 ? nextKeys[index - 1] : null;
+        const position = order.indexOf(key);
+        if (position === -1) {
+            ops.push({ op: 'insert', path: path.concat(key), after, value: clone(next[index]) });
+            placeAfter(key, after);
+            return;
+        }
+        if ((position > 0 ? order[position - 1] : null) !== after) {
+            ops.push({ op: 'move', path: path.concat(key), after });
+            order.splice(position, 1);
+            placeAfter(key, after);
+        }
+        diffValue(baseMap.get(key), next[index], path.concat(key), ops);
+    });
+}
+
+/**
+ * Describe the changes from one version of appData to another as operations
+ * @param {Object} base - Earlier data (e.g. as of the last sync)
+ * @param {Object} next - Current data
+ * @returns {Array<Object>} Operations that turn `base` into `next` (empty if equal)
+ */
+function diffAppData(base, next) {
+    const ops = [];
+    diffValue(base || {}, next || {}, [], ops);
+    return ops;
+}
+
+function applyOperation(root, operation) {
+    if (!isPlainObject(operation) || !isSafePath(operation.path)) {
+        throw new Error('Invalid patch operation');
+    }
+    const { op, path } = operation;
+    const isArrayOp = op === 'insert' || op === 'move';
+    let container = root;
+
+    for (let i = 0; i < path.length - 1; i++) {
+        const key = path[i];
+        // Only own properties, so a path never walks into a prototype
+        let next = Array.isArray(container)
+            ? container[getItemKeys(container).indexOf(key)]
+            : Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined;
+        if (next === undefined || next === null || typeof next !== 'object') {
+            // Parent item was removed - a later edit to it has nothing to apply to
+            if (op === 'remove' || Array.isArray(container)) return;
+            next = isArrayOp && i === path.length - 2 ? [] : {};
+            container[key] = next;
+        }
+        container = next;
+    }
+
+    const lastKey = path[path.length - 1];
+    if (op === 'set' || op === 'remove') {
+        if (Array.isArray(container)) {
+            const index = getItemKeys(container).indexOf(lastKey);
+            if (op === 'remove') {
+                if (index !== -1) container.splice(index, 1);
+            } else if (index !== -1) {
+                container[index] = clone(operation.value);
+            } else {
+                container.push(clone(operation.value));
+            }
+        } else if (op === 'remove') {
+            delete container[lastKey];
+        } else {
+            container[lastKey] = clone(operation.value);
+        }
+        return;
+    }
+
+    if (!isArrayOp) {
+        throw new Error(`Unknown patch operation: ${op}`);
+    }
+    if (!Array.isArray(container)) {
+        throw new Error(`Cannot ${op} into a non-array at ${path.slice(0, -1).join('.')}`);
+    }
+
+    // Inserting an item that already exists replaces it, so replays are harmless
+    const index = getItemKeys(container).indexOf(lastKey);
+    if (op === 'move' && index === -1) return;
+    const item = op === 'insert' ? clone(operation.value) : container[index];
+    if (index !== -1) container.splice(index, 1);
+
+    const afterIndex = operation.after === null || operation.after === undefined
+        ? -1
+        : getItemKeys(container).indexOf(operation.after);
+    const insertAt = operation.after !== null && operation.after !== undefined && afterIndex === -1
+        ? container.length
+        : afterIndex + 1;
+    container.splice(insertAt, 0, item);
+}
+
+/**
+ * Apply operations from diffAppData to a copy of the data
+ * @param {Object} data - Data to patch (not modified)
+ * @param {Array<Object>} ops - Operations to apply in order
+ * @returns {Object} Patched copy
+ * @throws {Error} If an operation is malformed
+ */
+function applyPatch(data, ops) {
+    const result = clone(data) || {};
+    ops.forEach(operation => applyOperation(result, operation));
+    return result;
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        mergeAppData,
+        resolveConflict,
+        mergeText,
+        diffLines,
+        getItemKeys,
+        diffAppData,
+        applyPatch,
+        isSafePath
+    };
+}
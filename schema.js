@@ -0,0 +1,680 @@
+/**
+ * Schema, migrations and integrity checks for Daily Board data
+ * Describes what a valid appData looks like, upgrades data written by older versions,
+ * checks loaded and outgoing data, and repairs the kinds of damage seen in old backups
+ *
+ * The schema uses a small subset of JSON Schema:
+ * - type:                 'object', 'array', 'string', 'boolean', 'integer', 'number', 'null' (or a list)
+ * - properties:           Schemas for known keys; other keys are allowed so newer fields survive
+ * - additionalProperties: Schema for every value of an object used as a map (dateEntries, listItems)
+ * - propertyNames:        { pattern } that every key of such a map must match
+ * - items:                Schema for every array item
+ * - required, enum, minimum, maxItems, maxLength, pattern
+ * - uniqueKey:            Array items must have distinct values for this property (e.g. 'id')
+ *
+ * This file is loaded as a classic script before app.js and shares its global scope.
+ * server.js requires it to migrate data.json when reading it.
+ */
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+// Version of the data structure this client reads and writes; data.json records it as
+// `schemaVersion`. Changing the structure means adding a migration (see MIGRATIONS below)
+const SCHEMA_VERSION = 3;
+
+const DATA_LIMITS = {
+    // GitHub's Contents API stops returning file content above 1 MB, so data.json must stay below it
+    maxBytes: 1000 * 1000,
+    maxTextLength: 2000, // Task names, list item text, tab and discipline names
+    maxNotesLength: 20000,
+    maxItemsPerList: 5000,
+    maxTasksPerDay: 500,
+    maxSubtasksPerTask: 200,
+    // A save that changes the size this much compared to the last synced data needs confirmation
+    suspiciousShrinkRatio: 0.5,
+    suspiciousGrowthRatio: 2,
+    minSuspiciousChangeBytes: 20 * 1024
+};
+
+const DATE_KEY_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+const TIMESTAMP = { type: ['string', 'null'] };
+const TEXT = { type: 'string', maxLength: DATA_LIMITS.maxTextLength };
+
+const SUBTASK_SCHEMA = {
+    type: 'object',
+    required: ['id', 'text'],
+    properties: {
+        id: { type: 'string' },
+        text: TEXT,
+        done: { type: 'boolean' }
+    }
+};
+
+const TASK_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'string' },
+        name: TEXT,
+        completed: { type: 'boolean' },
+        priority: { type: 'boolean' },
+        createdAt: TIMESTAMP,
+        updatedAt: TIMESTAMP,
+        completedAt: TIMESTAMP,
+        carriedOver: { type: 'integer', minimum: 0 },
+        time: { type: 'string', pattern: TIME_PATTERN },
+        duration: { type: 'integer', minimum: 1 },
+        originalDate: { type: ['string', 'null'] },
+        recurrenceId: { type: 'string' },
+        source: { type: ['object', 'null'] },
+        notes: { type: 'string', maxLength: DATA_LIMITS.maxNotesLength },
+        subtasks: { type: 'array', maxItems: DATA_LIMITS.maxSubtasksPerTask, uniqueKey: 'id', items: SUBTASK_SCHEMA }
+    }
+};
+
+const LIST_ITEM_SCHEMA = {
+    type: 'object',
+    required: ['id', 'text'],
+    properties: {
+        id: { type: 'string' },
+        text: TEXT,
+        done: { type: 'boolean' },
+        notes: { type: 'string', maxLength: DATA_LIMITS.maxNotesLength },
+        depth: { type: 'integer', minimum: 0 },
+        taskId: { type: ['string', 'null'] }
+    }
+};
+
+const APP_DATA_SCHEMA = {
+    version: SCHEMA_VERSION,
+    type: 'object',
+    required: ['schemaVersion', 'dateEntries', 'tabs', 'listItems'],
+    properties: {
+        schemaVersion: { type: 'integer', minimum: 1 },
+        dateEntries: {
+            type: 'object',
+            propertyNames: { pattern: DATE_KEY_PATTERN },
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    disciplines: { type: 'object', additionalProperties: { type: 'boolean' } },
+                    tasks: { type: 'array', maxItems: DATA_LIMITS.maxTasksPerDay, uniqueKey: 'id', items: TASK_SCHEMA },
+                    recurrences: { type: 'object' }
+                }
+            }
+        },
+        disciplines: {
+            type: 'array',
+            uniqueKey: 'id',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: TEXT,
+                    archived: { type: 'boolean' },
+                    schedule: { type: ['array', 'null'], items: { type: 'integer', minimum: 0 } }
+                }
+            }
+        },
+        tabs: {
+            type: 'array',
+            uniqueKey: 'id',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: { id: { type: 'string' }, name: TEXT }
+            }
+        },
+        listItems: {
+            type: 'object',
+            additionalProperties: { type: 'array', maxItems: DATA_LIMITS.maxItemsPerList, uniqueKey: 'id', items: LIST_ITEM_SCHEMA }
+        },
+        recurringTasks: {
+            type: 'array',
+            uniqueKey: 'id',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'rule', 'startDate'],
+                properties: {
+                    id: { type: 'string' },
+                    name: TEXT,
+                    rule: {
+                        type: 'object',
+                        required: ['freq'],
+                        properties: { freq: { enum: ['daily', 'weekly', 'monthly', 'yearly'] }, interval: { type: 'integer', minimum: 1 } }
+                    },
+                    startDate: { type: 'string' },
+                    until: { type: ['string', 'null'] },
+                    priority: { type: 'boolean' },
+                    time: { type: 'string', pattern: TIME_PATTERN },
+                    duration: { type: 'integer', minimum: 1 }
+                }
+            }
+        },
+        settings: { type: 'object' }
+    }
+};
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// schema.js also runs on its own in server.js, so it can't use isPlainObject() from merge.js
+function isObjectValue(value) {
+    return getValueType(value) === 'object';
+}
+
+function matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    const actual = getValueType(value);
+    return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * Check a value against a schema, collecting every problem
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (see the top of this file)
+ * @param {Array<string>} path - Location of the value, used in error messages
+ * @param {Array<Object>} errors - Collects { path, message }
+ */
+function validateValue(value, schema, path, errors) {
+    const fail = (message) => errors.push({ path: path.join(' › ') || '(root)', message });
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`expected ${[].concat(schema.type).join(' or ')}, got ${getValueType(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.maxLength && value.length > schema.maxLength) {
+        fail(`text is ${value.length} characters long, the limit is ${schema.maxLength}`);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        fail(`"${value}" does not match ${schema.pattern}`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems && value.length > schema.maxItems) {
+            fail(`has ${value.length} items, the limit is ${schema.maxItems}`);
+        }
+        if (schema.uniqueKey) {
+            const seen = new Set();
+            value.forEach(item => {
+                const key = item && item[schema.uniqueKey];
+                if (key === undefined) return;
+                if (seen.has(key)) {
+                    fail(`duplicate ${schema.uniqueKey} "${key}"`);
+                }
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, path.concat(String(index)), errors));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                fail(`missing ${key}`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (schema.propertyNames && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                fail(`invalid key "${key}"`);
+            }
+            if (childSchema && value[key] !== undefined) {
+                validateValue(value[key], childSchema, path.concat(key), errors);
+            }
+        });
+    }
+}
+
+/**
+ * Size of data as stored (pretty-printed JSON, like data.json)
+ * @param {Object} data - App data
+ * @returns {number} Size in bytes
+ */
+function getDataSize(data) {
+    return new TextEncoder().encode(JSON.stringify(data, null, 2)).length;
+}
+
+/**
+ * Validate app data against APP_DATA_SCHEMA and DATA_LIMITS
+ * @param {Object} data - App data (after initializeDataStructure)
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, size: number}}
+ */
+function validateAppData(data) {
+    const errors = [];
+    validateValue(data, APP_DATA_SCHEMA, [], errors);
+
+    const size = getDataSize(data);
+    if (size > DATA_LIMITS.maxBytes) {
+        errors.push({ path: '(root)', message: `data is ${Math.round(size / 1024)} KB, the limit is ${Math.round(DATA_LIMITS.maxBytes / 1024)} KB` });
+    }
+    return { valid: errors.length === 0, errors, size };
+}
+
+/**
+ * Validate date entries on their own, e.g. days written to a monthly archive
+ * @param {Object} dateEntries - Date entries keyed by YYYY-MM-DD
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validateDateEntries(dateEntries) {
+    const errors = [];
+    validateValue(dateEntries, APP_DATA_SCHEMA.properties.dateEntries, ['dateEntries'], errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Compare the size of outgoing data with the last synced data
+ * @param {number} previousSize - Size of the last synced data in bytes
+ * @param {number} nextSize - Size of the data about to be saved
+ * @returns {string|null} Description of a suspicious change, or null if it looks normal
+ */
+function describeSuspiciousSizeChange(previousSize, nextSize) {
+    if (!previousSize || Math.abs(nextSize - previousSize) < DATA_LIMITS.minSuspiciousChangeBytes) {
+        return null;
+    }
+    const kb = (bytes) => `${Math.round(bytes / 1024)} KB`;
+    if (nextSize < previousSize * DATA_LIMITS.suspiciousShrinkRatio) {
+        return `shrink from ${kb(previousSize)} to ${kb(nextSize)}`;
+    }
+    if (nextSize > previousSize * DATA_LIMITS.suspiciousGrowthRatio) {
+        return `grow from ${kb(previousSize)} to ${kb(nextSize)}`;
+    }
+    return null;
+}
+
+// ============================================================================
+// Repair
+// ============================================================================
+
+/**
+ * Undo repeated UTF-8 → Latin-1 mis-decoding ("â€¢" → "•")
+ * Each round trip through the broken encoding doubled such characters, which is how a
+ * list with bullets grew past 3 MB. Runs of Latin-1 characters are decoded as UTF-8
+ * until they stop being valid UTF-8, so genuine accented text is left alone.
+ * @param {string} text - Text to repair
+ * @returns {string} Repaired text
+ */
+function repairMojibake(text) {
+    if (!/[\u0080-\u00FF]{2}/.test(text)) return text;
+
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    return text.replace(/[\u0080-\u00FF]{2,}/g, run => {
+        let current = run;
+        // Only text made of single-byte characters can be re-read as UTF-8 bytes
+        while (/^[\u0000-\u00FF]+$/.test(current)) {
+            let decoded;
+            try {
+                decoded = decoder.decode(Uint8Array.from(current, char => char.charCodeAt(0)));
+            } catch (error) {
+                break;
+            }
+            if (decoded === current) break;
+            current = decoded;
+        }
+        return current;
+    });
+}
+
+/**
+ * Give items that share an id a new one, or drop them when they are exact copies
+ * @param {Array<Object>} items - Items with an `id`
+ * @param {string} label - What the items are, for the repair log
+ * @param {Array<string>} repairs - Collects descriptions of repairs
+ * @returns {Array<Object>} Items with unique ids
+ */
+function repairDuplicateIds(items, label, repairs) {
+    const seen = new Map();
+    return items.filter(item => {
+        if (!item || typeof item.id !== 'string') return true;
+        const existing = seen.get(item.id);
+        if (existing === undefined) {
+            seen.set(item.id, JSON.stringify(item));
+            return true;
+        }
+        if (existing === JSON.stringify(item)) {
+            repairs.push(`removed a duplicate of ${label} ${item.id}`);
+            return false;
+        }
+        let id = item.id;
+        while (seen.has(id)) {
+            id += '_';
+        }
+        repairs.push(`renamed ${label} ${item.id} with a duplicate id to ${id}`);
+        item.id = id;
+        seen.set(id, JSON.stringify(item));
+        return true;
+    });
+}
+
+/**
+ * Keep only array items that are objects
+ */
+function repairItemList(value, label, repairs) {
+    if (!Array.isArray(value)) {
+        repairs.push(`replaced ${label} that was not a list`);
+        return [];
+    }
+    const items = value.filter(item => item !== null && typeof item === 'object' && !Array.isArray(item));
+    if (items.length < value.length) {
+        repairs.push(`removed ${value.length - items.length} malformed entr${value.length - items.length === 1 ? 'y' : 'ies'} from ${label}`);
+    }
+    return repairDuplicateIds(items, label, repairs);
+}
+
+/**
+ * Fix damage that validation reports but the app cannot work around: mis-encoded
+ * text, values of the wrong type and duplicate ids
+ * Runs before initializeDataStructure(), so missing sections and ids are added there
+ * @param {Object} data - Data as loaded (not modified)
+ * @returns {{data: Object, repairs: Array<string>}} Repaired copy and what was changed
+ */
+function repairAppData(data) {
+    const repairs = [];
+    let mojibakeCount = 0;
+    const repaired = JSON.parse(JSON.stringify(isObjectValue(data) ? data : {}), (key, value) => {
+        if (typeof value !== 'string') return value;
+        const fixed = repairMojibake(value);
+        if (fixed !== value) mojibakeCount++;
+        return fixed;
+    });
+    if (mojibakeCount > 0) {
+        repairs.push(`fixed mis-encoded characters in ${mojibakeCount} text${mojibakeCount === 1 ? '' : 's'}`);
+    }
+
+    ['dateEntries', 'listItems', 'settings'].forEach(section => {
+        if (repaired[section] !== undefined && !isObjectValue(repaired[section])) {
+            repairs.push(`replaced ${section} that was not an object`);
+            delete repaired[section];
+        }
+    });
+    ['tabs', 'disciplines', 'recurringTasks'].forEach(section => {
+        if (repaired[section] !== undefined) {
+            repaired[section] = repairItemList(repaired[section], section, repairs);
+        }
+    });
+
+    Object.keys(repaired.dateEntries || {}).forEach(dateKey => {
+        const entry = repaired.dateEntries[dateKey];
+        if (!new RegExp(DATE_KEY_PATTERN).test(dateKey) || !isObjectValue(entry)) {
+            repairs.push(`removed malformed day ${dateKey}`);
+            delete repaired.dateEntries[dateKey];
+            return;
+        }
+        if (!isObjectValue(entry.disciplines)) {
+            entry.disciplines = {};
+        }
+        entry.tasks = entry.tasks === undefined ? [] : repairItemList(entry.tasks, `tasks of ${dateKey}`, repairs);
+        entry.tasks.forEach(task => {
+            if (task.subtasks !== undefined) {
+                task.subtasks = repairItemList(task.subtasks, `subtasks of "${task.name}" on ${dateKey}`, repairs);
+            }
+        });
+    });
+
+    Object.keys(repaired.listItems || {}).forEach(tabId => {
+        // Newline-separated strings from older versions are converted by migrateListItems()
+        const value = repaired.listItems[tabId];
+        if (typeof value !== 'string') {
+            repaired.listItems[tabId] = repairItemList(value, `items of list ${tabId}`, repairs);
+        }
+    });
+
+    return { data: repaired, repairs };
+}
+
+// ============================================================================
+// Migrations
+// ============================================================================
+
+// Each migration upgrades data from the previous version to `version`, in place.
+// Data without a schemaVersion was written before versioning and runs all of them;
+// clients then migrated on every load, so these must also accept already migrated data.
+const MIGRATIONS = [
+    { version: 1, description: 'give tasks ids and timestamps', migrate: migrateTaskIds },
+    { version: 2, description: 'move discipline completion to the disciplines registry', migrate: migrateDisciplines },
+    { version: 3, description: 'convert text lists to list items', migrate: migrateListItems }
+];
+
+// Default daily disciplines
+// Seeds the disciplines registry (appData.disciplines) and maps the index-keyed
+// completion data written before the registry existed
+const DEFAULT_DISCIPLINES = [
+    'WH Breathing',
+    'Yoga',
+    'Pull up bar / weights',
+    'Review Goals and Actions',
+    'Update Finances'
+];
+
+const LIST_INDENT = '  ';
+const DONE_MARKER = '[x] ';
+
+/**
+ * Schema version data was written with
+ * @param {Object} data - App data
+ * @returns {number} Version, 0 for data from before versioning
+ */
+function getSchemaVersion(data) {
+    return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Whether data was written by a client with a newer schema than this one
+ * Such data may hold fields this client would drop or mangle, so it must not be saved over
+ * @param {Object} data - App data
+ * @returns {boolean}
+ */
+function isNewerSchema(data) {
+    return getSchemaVersion(data) > SCHEMA_VERSION;
+}
+
+/**
+ * Run the migrations data hasn't had yet and stamp it with SCHEMA_VERSION
+ * Data from a newer schema is left alone (see isNewerSchema())
+ * Migrations skip sections that are missing; initializeDataStructure() adds them in the app
+ * @param {Object} data - App data, migrated in place
+ * @returns {Array<string>} Descriptions of the migrations that ran
+ */
+function migrateAppData(data) {
+    const version = getSchemaVersion(data);
+    if (!isObjectValue(data) || version >= SCHEMA_VERSION) {
+        return [];
+    }
+    const pending = MIGRATIONS.filter(migration => migration.version > version);
+    pending.forEach(migration => migration.migrate(data));
+    data.schemaVersion = SCHEMA_VERSION;
+    return pending.map(migration => `${migration.version}: ${migration.description}`);
+}
+
+/**
+ * Hash a string to a short base-36 token (djb2)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash token
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Give tasks created before task ids existed an id and timestamps
+ * Ids are derived from date, name and position so every device migrating
+ * the same data.json produces the same ids and the merge can match them up
+ * @param {Object} data - App data to migrate in place
+ */
+function migrateTaskIds(data) {
+    if (!isObjectValue(data.dateEntries)) return;
+
+    Object.keys(data.dateEntries).forEach(dateKey => {
+        const entry = data.dateEntries[dateKey];
+        if (!entry || !Array.isArray(entry.tasks)) return;
+
+        const usedIds = new Set(entry.tasks.map(task => task.id).filter(Boolean));
+        entry.tasks.forEach((task, index) => {
+            if (task.id) return;
+
+            let id = `task_${hashString(`${dateKey}|${task.name}|${index}`)}`;
+            while (usedIds.has(id)) {
+                id += '_';
+            }
+            usedIds.add(id);
+
+            // Creation time is unknown - use the start of the task's day
+            const timestamp = `${dateKey}T00:00:00.000Z`;
+            task.id = id;
+            task.createdAt = task.createdAt || timestamp;
+            task.updatedAt = task.updatedAt || timestamp;
+            task.completedAt = task.completedAt || (task.completed ? timestamp : null);
+        });
+    });
+}
+
+/**
+ * Build a discipline id from its name
+ * Deterministic so every device seeding the registry produces the same ids
+ * @param {string} name - Discipline name
+ * @returns {string} Discipline id
+ */
+function getDisciplineIdForName(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return `disc_${slug || hashString(name)}`;
+}
+
+/**
+ * Create the disciplines registry and re-key index-based completion data
+ * Before the registry existed, completion was stored as dateEntry.disciplines[index]
+ * with indices into DEFAULT_DISCIPLINES; those keys are mapped to registry ids
+ * @param {Object} data - App data to migrate in place
+ */
+function migrateDisciplines(data) {
+    if (!Array.isArray(data.disciplines)) {
+        data.disciplines = DEFAULT_DISCIPLINES.map(name => ({
+            id: getDisciplineIdForName(name),
+            name,
+            archived: false,
+            schedule: null
+        }));
+    }
+
+    if (!isObjectValue(data.dateEntries)) return;
+    Object.values(data.dateEntries).forEach(entry => {
+        if (!entry || !entry.disciplines) return;
+        Object.keys(entry.disciplines).forEach(key => {
+            if (!/^\d+$/.test(key)) return;
+            const legacyName = DEFAULT_DISCIPLINES[Number(key)];
+            if (legacyName) {
+                const id = getDisciplineIdForName(legacyName);
+                if (entry.disciplines[id] === undefined) {
+                    entry.disciplines[id] = entry.disciplines[key];
+                }
+            }
+            delete entry.disciplines[key];
+        });
+    });
+}
+
+/**
+ * Parse one line of the plain text format: two spaces per level, then an optional [x]
+ * @param {string} line - Line to parse
+ * @returns {{text: string, done: boolean, depth: number}} Parsed line
+ */
+function parseListLine(line) {
+    let depth = 0;
+    let rest = line;
+    while (rest.startsWith(LIST_INDENT)) {
+        depth++;
+        rest = rest.slice(LIST_INDENT.length);
+    }
+    const done = rest.startsWith(DONE_MARKER);
+    return { text: done ? rest.slice(DONE_MARKER.length) : rest, done, depth };
+}
+
+/**
+ * Format items as plain text, one line per item (notes are not included)
+ * @param {Array<Object>} items - List items
+ * @returns {string} Plain text
+ */
+function formatListText(items) {
+    return items.map(item => LIST_INDENT.repeat(item.depth || 0) + (item.done ? DONE_MARKER : '') + item.text).join('\n');
+}
+
+/**
+ * Convert lists stored as newline-separated strings to structured items
+ * Indentation and [x] markers are read as nesting and done flags only if the
+ * items format back to exactly the original string; otherwise every line is
+ * kept verbatim. Ids are derived from the content so every device migrating
+ * the same data.json produces the same ids
+ * @param {Object} data - App data to migrate in place
+ */
+function migrateListItems(data) {
+    if (!isObjectValue(data.listItems)) return;
+
+    Object.keys(data.listItems).forEach(tabId => {
+        const value = data.listItems[tabId];
+        if (Array.isArray(value)) return;
+        if (typeof value !== 'string' || value === '') {
+            data.listItems[tabId] = [];
+            return;
+        }
+
+        const lines = value.split('\n');
+        let parsed = lines.map(parseListLine);
+        if (formatListText(parsed) !== value) {
+            parsed = lines.map(line => ({ text: line, done: false, depth: 0 }));
+        }
+
+        const usedIds = new Set();
+        data.listItems[tabId] = parsed.map((line, index) => {
+            let id = `item_${hashString(`${tabId}|${line.text}|${index}`)}`;
+            while (usedIds.has(id)) {
+                id += '_';
+            }
+            usedIds.add(id);
+            return { id, text: line.text, done: line.done, notes: '', depth: line.depth };
+        });
+    });
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCHEMA_VERSION,
+        MIGRATIONS,
+        DATA_LIMITS,
+        APP_DATA_SCHEMA,
+        validateAppData,
+        validateDateEntries,
+        describeSuspiciousSizeChange,
+        repairMojibake,
+        repairAppData,
+        getSchemaVersion,
+        isNewerSchema,
+        migrateAppData,
+        parseListLine,
+        formatListText
+    };
+}
@@ -1,12 +1,20 @@
 /**
  * Optional backend server for Daily Board
  * Provides WebSocket support for real-time cross-device synchronization
- * 
+ *
  * This is an OPTIONAL component - the app works without it using GitHub API directly
- * 
+ *
  * Features:
- * - WebSocket support for real-time sync
- * - Broadcasting changes to all connected clients
+ * - User accounts with hashed passwords and session tokens
+ * - Named boards (boards/<id>/data.json) shared with members as owner, editor or viewer
+ * - WebSocket support for real-time sync, authenticated in the handshake
+ * - Broadcasting changes to everyone on the same board, with presence
+ * - Revisioned writes with optimistic concurrency (ETag / If-Match)
+ * - Patch operations, so edits to different data from different clients never collide
+ * - A snapshot of each board's data.json before every write (boards/<id>/backups/)
+ * - Migrating data.json to the current schema version on read (schema.js), and refusing
+ *   writes from clients with an older schema
+ * - Validating every write against the schema and size limits in schema.js
  * - Server-side logging
  * - CORS support for local development
  */
@@ -17,22 +25,61 @@ const socketIO = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { applyPatch, isSafePath } = require('./merge');
+const { SCHEMA_VERSION, getSchemaVersion, migrateAppData, validateAppData, validateDateEntries } = require('./schema');
+
+const PORT = process.env.PORT || 3000;
+const LEGACY_DATA_FILE = path.join(__dirname, 'data.json');
+const LEGACY_ARCHIVE_DIR = path.join(__dirname, 'archive');
+const ACCOUNTS_FILE = path.join(__dirname, 'accounts.json');
+const BOARDS_FILE = path.join(__dirname, 'boards.json');
+const BOARDS_DIR = path.join(__dirname, 'boards');
+// Per-user data directories from before boards existed, moved into boards/ on startup
+const LEGACY_USERS_DIR = path.join(__dirname, 'users');
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+// Snapshots of data.json, named like the client's GitHub backups (UTC timestamp)
+const BACKUP_FILE_PATTERN = /^data_backup_(\d{8})T(\d{6})\.json$/;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const CHANGE_LOG_LIMIT = 200;
+const BOARD_NAME_MAX_LENGTH = 60;
+const OUTDATED_CLIENT_MESSAGE = 'The board was saved by a newer version of Daily Board. Reload the app to update it.';
+
+// Board roles, weakest first: viewers read, editors also write, owners also manage members
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Comma-separated origins allowed to call the API, e.g. "https://me.github.io"
+// Defaults to any origin: requests still need a session token, which is never sent automatically
+const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
+    : '*';
+
+// New accounts can be created unless ALLOW_REGISTRATION=false (the first account always can)
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== 'false';
+
+// Only the client app is served statically - never account or data files
+const PUBLIC_FILES = new Set(['/', '/index.html', '/app.js', '/merge.js', '/schema.js', '/sync-providers.js', '/styles.css', '/sw.js']);
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIO(server, {
     cors: {
-        origin: '*',
-        methods: ['GET', 'POST']
+        origin: ALLOWED_ORIGINS,
+        methods: ['GET', 'POST', 'PATCH']
     }
 });
 
-const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'data.json');
-
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: ALLOWED_ORIGINS, exposedHeaders: ['ETag'] }));
+app.use(express.json({ limit: '10mb' }));
+app.use((req, res, next) => {
+    if (req.path.startsWith('/api/') || PUBLIC_FILES.has(req.path)) {
+        return next();
+    }
+    res.status(404).end();
+});
 app.use(express.static(__dirname));
 
 // Logging middleware
@@ -45,18 +92,585 @@ app.use((req, res, next) => {
 // Connected clients tracking
 let connectedClients = 0;
 
+// Storage
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename over it
+ * Readers never see a half-written file, even if the process dies mid-write
+ */
+function writeFileAtomic(file, content) {
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+}
+
+// Open board stores, keyed by board id
+const stores = new Map();
+
+/**
+ * Get the storage for one board
+ * Revision and change log live here so boards never block each other's writes
+ * @param {string} boardId - Board id
+ * @returns {Object} Store with file paths, revision and recent changes
+ */
+function getStore(boardId) {
+    if (!stores.has(boardId)) {
+        const dir = path.join(BOARDS_DIR, boardId);
+        const store = {
+            boardId,
+            dir,
+            dataFile: path.join(dir, 'data.json'),
+            metaFile: path.join(dir, 'data.meta.json'),
+            archiveDir: path.join(dir, 'archive'),
+            backupDir: path.join(dir, 'backups'),
+            revision: 0,
+            // Recent writes: { revision, ops } where full writes have ops = null
+            // Only kept in memory, so patches based on a revision from before the last
+            // restart (or older than the log) are rejected and the client merges instead
+            changeLog: [],
+            changeLogStart: 0
+        };
+        store.revision = readRevision(store);
+        store.changeLogStart = store.revision;
+        stores.set(boardId, store);
+    }
+    return stores.get(boardId);
+}
+
+/**
+ * Read a board's data.json, migrated to the current schema version (see schema.js)
+ * Missing sections are filled in, so a damaged file still loads and can be saved over
+ * The migrated data is only written back with the next write
+ */
+function readData(store) {
+    if (!fs.existsSync(store.dataFile)) {
+        return { schemaVersion: SCHEMA_VERSION, dateEntries: {}, tabs: [], listItems: {} };
+    }
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const stored = JSON.parse(fs.readFileSync(store.dataFile, 'utf8'));
+    const data = isObject(stored) ? stored : {};
+    ['dateEntries', 'listItems'].forEach(section => {
+        if (!isObject(data[section])) {
+            data[section] = {};
+        }
+    });
+    if (!Array.isArray(data.tabs)) {
+        data.tabs = [];
+    }
+    migrateAppData(data);
+    return data;
+}
+
+/**
+ * Check whether a write comes from a client with an older schema than the board's data
+ * Such a client could drop or mangle fields it doesn't know, so its writes are refused
+ * @param {Object} store - Board store
+ * @param {number} schemaVersion - Schema version the client writes (missing for clients from before versioning)
+ * @returns {boolean} True if the write must be refused
+ */
+function isOutdatedWrite(store, schemaVersion) {
+    const version = Number.isInteger(schemaVersion) ? schemaVersion : 0;
+    return version < getSchemaVersion(readData(store));
+}
+
+/**
+ * Check data about to be written against the schema and DATA_LIMITS (see schema.js)
+ * @param {Object} data - Complete app data after the write
+ * @returns {string|null} Why the data is refused, or null if it is valid
+ */
+function getInvalidDataMessage(data) {
+    return describeValidationErrors(validateAppData(data).errors);
+}
+
+/**
+ * Summarize validation errors for a response, listing the first few
+ * @param {Array<{path: string, message: string}>} errors - From validateAppData or validateDateEntries
+ * @returns {string|null} Message, or null if there are no errors
+ */
+function describeValidationErrors(errors) {
+    if (errors.length === 0) return null;
+    const details = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('; ');
+    return `Invalid data (${details}${errors.length > 3 ? `; ${errors.length - 3} more` : ''})`;
+}
+
+/**
+ * Load the revision of a board's data.json from its metadata file
+ * An existing data.json without metadata starts at revision 1
+ */
+function readRevision(store) {
+    try {
+        if (fs.existsSync(store.metaFile)) {
+            return JSON.parse(fs.readFileSync(store.metaFile, 'utf8')).revision || 0;
+        }
+    } catch (error) {
+        console.error('[Storage] Error reading revision metadata:', error);
+    }
+    return fs.existsSync(store.dataFile) ? 1 : 0;
+}
+
+function getETag(store) {
+    return `"${store.revision}"`;
+}
+
+/**
+ * Check an If-Match header against the current revision
+ * @param {Object} store - Board store
+ * @param {string|undefined} ifMatch - Header value, e.g. '"12"' or 'W/"12", "13"'
+ * @returns {boolean} True if one of the listed ETags is the current one
+ */
+function matchesCurrentRevision(store, ifMatch) {
+    if (!ifMatch) return false;
+    return ifMatch.split(',')
+        .map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''))
+        .includes(String(store.revision));
+}
+
+/**
+ * Copy a board's data.json into its backups directory before it is replaced
+ * Several writes within one second share a snapshot: the state before the first
+ * A failed snapshot is logged but does not block the write
+ * @param {Object} store - Board store
+ */
+function backupData(store) {
+    if (!fs.existsSync(store.dataFile)) return;
+    
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0];
+    try {
+        fs.mkdirSync(store.backupDir, { recursive: true });
+        fs.copyFileSync(store.dataFile, path.join(store.backupDir, `data_backup_${timestamp}.json`), fs.constants.COPYFILE_EXCL);
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            console.error('[Storage] Error creating backup:', error);
+        }
+    }
+}
+
+/**
+ * List a board's backups, newest first
+ * @param {Object} store - Board store
+ * @returns {Array<{id: string, createdAt: string}>} Backup file names and times
+ */
+function listBackups(store) {
+    if (!fs.existsSync(store.backupDir)) {
+        return [];
+    }
+    return fs.readdirSync(store.backupDir)
+        .filter(name => BACKUP_FILE_PATTERN.test(name))
+        .sort()
+        .reverse()
+        .map(name => {
+            const [, date, time] = BACKUP_FILE_PATTERN.exec(name);
+            const createdAt = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T` +
+                `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}Z`;
+            return { id: name, createdAt };
+        });
+}
+
+/**
+ * Write a board's data.json as the next revision and record the change
+ * @param {Object} store - Board store
+ * @param {Object} data - New app data
+ * @param {Array<Object>|null} ops - Patch operations, or null for a full write
+ * @returns {number} The new revision
+ */
+function commitData(store, data, ops) {
+    fs.mkdirSync(store.dir, { recursive: true });
+    
+    // Bump the revision first: if we die before data.json is replaced, clients
+    // holding the old revision get a 409 and refetch instead of skipping a write
+    const nextRevision = store.revision + 1;
+    writeFileAtomic(store.metaFile, JSON.stringify({ revision: nextRevision, updatedAt: new Date().toISOString() }, null, 2));
+    store.revision = nextRevision;
+    backupData(store);
+    writeFileAtomic(store.dataFile, JSON.stringify(data, null, 2));
+    
+    store.changeLog.push({ revision: store.revision, ops });
+    if (store.changeLog.length > CHANGE_LOG_LIMIT) {
+        store.changeLogStart = store.changeLog.shift().revision;
+    }
+    return store.revision;
+}
+
+/**
+ * Replace a board's data.json if the writer saw the current revision
+ * Node handles one request at a time and this runs synchronously, so the
+ * check and the write cannot interleave with another write
+ * @param {Object} store - Board store
+ * @param {Object} data - New app data
+ * @param {number|string} baseRevision - Revision the client based its changes on
+ * @returns {{ok: boolean, revision: number, outdated?: boolean}} Result and the (new) current revision;
+ *          `outdated` is set when the data has an older schema than the board's
+ */
+function writeData(store, data, baseRevision) {
+    if (String(baseRevision) !== String(store.revision)) {
+        return { ok: false, revision: store.revision };
+    }
+    if (isOutdatedWrite(store, data.schemaVersion)) {
+        return { ok: false, outdated: true, revision: store.revision };
+    }
+    const invalid = getInvalidDataMessage(data);
+    if (invalid) {
+        return { ok: false, invalid, revision: store.revision };
+    }
+    return { ok: true, revision: commitData(store, data, null) };
+}
+
+/**
+ * Check whether two operation paths touch the same data
+ * A path overlaps its ancestors and descendants, e.g. a day and a task on that day
+ */
+function pathsOverlap(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (String(a[i]) !== String(b[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * Apply patch operations made against an earlier revision
+ * Accepted as long as no write since that revision touched the same paths
+ * @param {Object} store - Board store
+ * @param {Array<Object>} ops - Operations from diffAppData (see merge.js)
+ * @param {number|string} baseRevision - Revision the client diffed against
+ * @param {number} schemaVersion - Schema version of the client
+ * @returns {{ok: boolean, revision: number, outdated?: boolean, invalid?: string, missed?: Array<Object>}}
+ *          `invalid` says why the patched data failed validation; `missed` holds the operations of writes the client has not seen yet
+ * @throws {Error} If an operation is malformed
+ */
+function patchData(store, ops, baseRevision, schemaVersion) {
+    const base = Number(baseRevision);
+    if (!Number.isInteger(base) || base < store.changeLogStart || base > store.revision) {
+        return { ok: false, revision: store.revision };
+    }
+    if (isOutdatedWrite(store, schemaVersion)) {
+        return { ok: false, outdated: true, revision: store.revision };
+    }
+    
+    const since = store.changeLog.filter(change => change.revision > base);
+    const collides = since.some(change => !change.ops || change.ops.some(theirs =>
+        ops.some(ours => pathsOverlap(theirs.path, ours.path))));
+    if (collides) {
+        return { ok: false, revision: store.revision };
+    }
+    
+    const data = applyPatch(readData(store), ops);
+    const invalid = getInvalidDataMessage(data);
+    if (invalid) {
+        return { ok: false, invalid, revision: store.revision };
+    }
+    const missed = since.reduce((all, change) => all.concat(change.ops), []);
+    return { ok: true, revision: commitData(store, data, ops), missed };
+}
+
+/**
+ * Check that a request body holds a list of patch operations
+ * Paths through __proto__, constructor or prototype are refused (see isSafePath)
+ */
+function isValidPatch(ops) {
+    return Array.isArray(ops) && ops.length > 0 && ops.every(op =>
+        op && typeof op.op === 'string' && isSafePath(op.path));
+}
+
+// Accounts
+
+/**
+ * Load accounts.json: { users: [{ id, username, passwordHash, createdAt }],
+ * sessions: [{ tokenHash, userId, createdAt, expiresAt }] }
+ */
+function readAccounts() {
+    if (!fs.existsSync(ACCOUNTS_FILE)) {
+        return { users: [], sessions: [] };
+    }
+    const accounts = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf8'));
+    accounts.users = accounts.users || [];
+    accounts.sessions = accounts.sessions || [];
+    return accounts;
+}
+
+let accounts = readAccounts();
+
+function saveAccounts() {
+    writeFileAtomic(ACCOUNTS_FILE, JSON.stringify(accounts, null, 2));
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @returns {string} 'scrypt$<salt>$<hash>' (hex)
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Session tokens are only stored hashed, so accounts.json never holds a usable token
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Start a session for a user
+ * @returns {string} The session token to hand to the client
+ */
+function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    accounts.sessions = accounts.sessions.filter(session => Date.parse(session.expiresAt) > now);
+    accounts.sessions.push({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    });
+    saveAccounts();
+    return token;
+}
+
+/**
+ * Find the user a session token belongs to
+ * @param {string} token - Token from the Authorization header or socket handshake
+ * @returns {{user: Object, tokenHash: string}|null} Null if unknown or expired
+ */
+function authenticate(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const session = accounts.sessions.find(s => s.tokenHash === tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+        return null;
+    }
+    const user = accounts.users.find(u => u.id === session.userId);
+    return user ? { user, tokenHash } : null;
+}
+
+function toPublicUser(user) {
+    return { id: user.id, username: user.username };
+}
+
+/**
+ * Give the first account the board that existed before accounts were added
+ * (data.json and archive/ next to server.js), so a single-user setup keeps its data
+ */
+function adoptLegacyData(user) {
+    const store = getStore(getPersonalBoard(user.id).id);
+    if (fs.existsSync(LEGACY_DATA_FILE) && !fs.existsSync(store.dataFile)) {
+        commitData(store, JSON.parse(fs.readFileSync(LEGACY_DATA_FILE, 'utf8')), null);
+        console.log(`[Accounts] Copied existing data.json to ${user.username}'s board`);
+    }
+    if (fs.existsSync(LEGACY_ARCHIVE_DIR) && !fs.existsSync(store.archiveDir)) {
+        fs.cpSync(LEGACY_ARCHIVE_DIR, store.archiveDir, { recursive: true });
+        console.log(`[Accounts] Copied existing archive/ to ${user.username}'s board`);
+    }
+}
+
+// Boards
+
+/**
+ * Load boards.json: { boards: [{ id, name, personal, createdAt, members: [{ userId, role }] }] }
+ */
+function readBoards() {
+    if (!fs.existsSync(BOARDS_FILE)) {
+        return { boards: [] };
+    }
+    const registry = JSON.parse(fs.readFileSync(BOARDS_FILE, 'utf8'));
+    registry.boards = registry.boards || [];
+    return registry;
+}
+
+let boardRegistry = readBoards();
+
+function saveBoards() {
+    writeFileAtomic(BOARDS_FILE, JSON.stringify(boardRegistry, null, 2));
+}
+
+function findBoard(boardId) {
+    return boardRegistry.boards.find(board => board.id === boardId) || null;
+}
+
+function getMemberRole(board, userId) {
+    const member = board.members.find(m => m.userId === userId);
+    return member ? member.role : null;
+}
+
+function getPersonalBoard(userId) {
+    return boardRegistry.boards.find(board => board.personal && getMemberRole(board, userId) === 'owner') || null;
+}
+
+function createBoard(name, owner, personal = false) {
+    const board = {
+        id: `board_${crypto.randomBytes(8).toString('hex')}`,
+        name,
+        personal,
+        createdAt: new Date().toISOString(),
+        members: [{ userId: owner.id, role: 'owner' }]
+    };
+    boardRegistry.boards.push(board);
+    saveBoards();
+    return board;
+}
+
+/**
+ * Make sure a user has a personal board, moving over their data from before
+ * boards existed (users/<id>/) if there is any
+ */
+function ensurePersonalBoard(user) {
+    if (getPersonalBoard(user.id)) return;
+    const board = createBoard('Personal', user, true);
+    const legacyDir = path.join(LEGACY_USERS_DIR, user.id);
+    if (fs.existsSync(legacyDir)) {
+        fs.mkdirSync(BOARDS_DIR, { recursive: true });
+        fs.renameSync(legacyDir, path.join(BOARDS_DIR, board.id));
+        console.log(`[Boards] Moved ${user.username}'s data to their personal board`);
+    }
+}
+
+/**
+ * Describe a board for one member, including everyone's usernames and roles
+ */
+function toBoardSummary(board, userId) {
+    return {
+        id: board.id,
+        name: board.name,
+        personal: board.personal,
+        role: getMemberRole(board, userId),
+        members: board.members.map(member => {
+            const user = accounts.users.find(u => u.id === member.userId);
+            return { userId: member.userId, username: user ? user.username : '(deleted)', role: member.role };
+        })
+    };
+}
+
+function normalizeBoardName(name) {
+    return String(name || '').trim().slice(0, BOARD_NAME_MAX_LENGTH);
+}
+
+accounts.users.forEach(ensurePersonalBoard);
+
+/**
+ * Express middleware: require `Authorization: Bearer <token>`
+ * Sets req.user for the signed in user
+ */
+function requireAuth(req, res, next) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    const auth = authenticate(match && match[1]);
+    if (!auth) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Sign in to access this board' });
+    }
+    req.user = auth.user;
+    req.tokenHash = auth.tokenHash;
+    next();
+}
+
+/**
+ * Express middleware factory: require a role on the board in `:boardId`
+ * (the user's personal board for the /api/data and /api/archive shortcuts)
+ * Sets req.board, req.role and req.store
+ * @param {string} minRole - 'viewer', 'editor' or 'owner'
+ */
+function requireBoard(minRole) {
+    return (req, res, next) => {
+        const board = req.params.boardId ? findBoard(req.params.boardId) : getPersonalBoard(req.user.id);
+        const role = board && getMemberRole(board, req.user.id);
+        // Boards you are not a member of do not exist as far as you can tell
+        if (!role) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+        if (ROLE_RANK[role] < ROLE_RANK[minRole]) {
+            return res.status(403).json({ error: 'Forbidden', message: `You need ${minRole} access to do this on "${board.name}"` });
+        }
+        req.board = board;
+        req.role = role;
+        req.store = getStore(board.id);
+        next();
+    };
+}
+
+function getBoardRoom(boardId) {
+    return `board:${boardId}`;
+}
+
+/**
+ * Tell everyone on a board who is currently viewing it
+ */
+async function broadcastPresence(boardId) {
+    const sockets = await io.in(getBoardRoom(boardId)).fetchSockets();
+    const users = new Map();
+    sockets.forEach(socket => {
+        const user = socket.data.user;
+        const entry = users.get(user.id) || { userId: user.id, username: user.username, devices: 0 };
+        entry.devices++;
+        users.set(user.id, entry);
+    });
+    io.to(getBoardRoom(boardId)).emit('presence', { boardId, users: Array.from(users.values()) });
+}
+
+/**
+ * Tell a board's members that its name or membership changed, and disconnect
+ * sockets of users who are no longer members
+ */
+async function broadcastBoardChange(board) {
+    const sockets = await io.in(getBoardRoom(board.id)).fetchSockets();
+    sockets.forEach(socket => {
+        if (!getMemberRole(board, socket.data.user.id)) {
+            socket.emit('board:removed', { boardId: board.id });
+            socket.disconnect(true);
+        } else {
+            socket.emit('board:updated', toBoardSummary(board, socket.data.user.id));
+        }
+    });
+}
+
+// Authenticate sockets in the handshake: io(url, { auth: { token, boardId } })
+// Without a boardId the socket joins the user's personal board
+io.use((socket, next) => {
+    const handshake = socket.handshake.auth || {};
+    const auth = authenticate(handshake.token);
+    if (!auth) {
+        return next(new Error('Unauthorized'));
+    }
+    const board = handshake.boardId ? findBoard(handshake.boardId) : getPersonalBoard(auth.user.id);
+    if (!board || !getMemberRole(board, auth.user.id)) {
+        return next(new Error('Board not found'));
+    }
+    socket.data.user = auth.user;
+    socket.data.tokenHash = auth.tokenHash;
+    socket.data.boardId = board.id;
+    next();
+});
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
+    const user = socket.data.user;
+    const board = findBoard(socket.data.boardId);
+    const store = getStore(board.id);
+    const room = getBoardRoom(board.id);
+    
+    // Everyone viewing a board shares a room, so broadcasts never reach other boards
+    socket.join(room);
     connectedClients++;
     console.log(`[WebSocket] Client connected. Total clients: ${connectedClients}`);
-    console.log(`[WebSocket] Client ID: ${socket.id}`);
+    console.log(`[WebSocket] Client ID: ${socket.id} (user ${user.username}, board ${board.name})`);
     
     // Send initial connection acknowledgment
     socket.emit('connected', {
         message: 'Connected to Daily Board server',
         clientId: socket.id,
+        user: toPublicUser(user),
+        board: toBoardSummary(board, user.id),
         timestamp: new Date().toISOString()
     });
+    broadcastPresence(board.id);
+    
+    // Roles can change while connected, so writes check the current one
+    const canWrite = () => ROLE_RANK[getMemberRole(board, user.id)] >= ROLE_RANK.editor;
     
     // Handle data sync requests
     socket.on('sync:request', (data) => {
@@ -64,42 +678,120 @@ io.on('connection', (socket) => {
         
         try {
             // Read current data from file
-            if (fs.existsSync(DATA_FILE)) {
-                const fileData = fs.readFileSync(DATA_FILE, 'utf8');
-                const appData = JSON.parse(fileData);
-                socket.emit('sync:response', appData);
-                console.log(`[WebSocket] Sent data to ${socket.id}`);
-            } else {
-                socket.emit('sync:response', { dateEntries: {}, tabs: [], listItems: {} });
-                console.log(`[WebSocket] Sent empty data to ${socket.id} (file not found)`);
-            }
+            socket.emit('sync:response', { revision: store.revision, data: readData(store) });
+            console.log(`[WebSocket] Sent revision ${store.revision} to ${socket.id}`);
         } catch (error) {
             console.error(`[WebSocket] Error reading data:`, error);
             socket.emit('sync:error', { message: 'Failed to read data', error: error.message });
         }
     });
     
-    // Handle data updates
-    socket.on('data:update', (data) => {
+    // Handle data updates: { data, baseRevision }, answered through the ack
+    // callback when the client passes one, otherwise via data:saved / data:error
+    socket.on('data:update', (payload, ack) => {
         console.log(`[WebSocket] Data update from ${socket.id}`);
+        const reply = (response) => {
+            if (typeof ack === 'function') {
+                ack(response);
+            } else {
+                socket.emit(response.success ? 'data:saved' : 'data:error', response);
+            }
+        };
+        
+        const { data, baseRevision } = payload || {};
+        if (!canWrite()) {
+            reply({ success: false, status: 403, message: `You can only view "${board.name}"` });
+            return;
+        }
+        if (!data || typeof data !== 'object') {
+            reply({ success: false, status: 400, message: 'Missing data' });
+            return;
+        }
         
         try {
-            // Save to file
-            fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-            console.log(`[WebSocket] Data saved to file`);
+            const result = writeData(store, data, baseRevision);
+            if (result.outdated) {
+                console.log(`[WebSocket] Rejected update from schema version ${data.schemaVersion || 0}`);
+                reply({ success: false, status: 409, message: OUTDATED_CLIENT_MESSAGE, revision: result.revision });
+                return;
+            }
+            if (result.invalid) {
+                console.log(`[WebSocket] Rejected update: ${result.invalid}`);
+                reply({ success: false, status: 422, message: result.invalid, revision: result.revision });
+                return;
+            }
+            if (!result.ok) {
+                console.log(`[WebSocket] Rejected stale update (base ${baseRevision}, current ${result.revision})`);
+                reply({ success: false, status: 409, message: 'Data was modified by another client', revision: result.revision });
+                return;
+            }
+            console.log(`[WebSocket] Data saved to file (revision ${result.revision})`);
             
-            // Broadcast to all other clients (excluding sender)
-            socket.broadcast.emit('data:updated', data);
+            // Broadcast to everyone else on the board (excluding sender)
+            socket.to(room).emit('data:updated', { revision: result.revision, data });
             console.log(`[WebSocket] Broadcasted update to other clients`);
             
             // Acknowledge to sender
-            socket.emit('data:saved', {
+            reply({
                 success: true,
+                revision: result.revision,
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
             console.error(`[WebSocket] Error saving data:`, error);
-            socket.emit('data:error', { message: 'Failed to save data', error: error.message });
+            reply({ success: false, status: 500, message: 'Failed to save data', error: error.message });
+        }
+    });
+    
+    // Handle patches: { ops, baseRevision }, answered like data:update
+    socket.on('data:patch', (payload, ack) => {
+        const reply = (response) => {
+            if (typeof ack === 'function') {
+                ack(response);
+            } else {
+                socket.emit(response.success ? 'data:saved' : 'data:error', response);
+            }
+        };
+        
+        const { ops, baseRevision, schemaVersion } = payload || {};
+        if (!canWrite()) {
+            reply({ success: false, status: 403, message: `You can only view "${board.name}"` });
+            return;
+        }
+        if (!isValidPatch(ops)) {
+            reply({ success: false, status: 400, message: 'Missing or invalid operations' });
+            return;
+        }
+        
+        try {
+            const result = patchData(store, ops, baseRevision, schemaVersion);
+            if (result.outdated) {
+                console.log(`[WebSocket] Rejected patch from schema version ${schemaVersion || 0}`);
+                reply({ success: false, status: 409, message: OUTDATED_CLIENT_MESSAGE, revision: result.revision });
+                return;
+            }
+            if (result.invalid) {
+                console.log(`[WebSocket] Rejected patch: ${result.invalid}`);
+                reply({ success: false, status: 422, message: result.invalid, revision: result.revision });
+                return;
+            }
+            if (!result.ok) {
+                console.log(`[WebSocket] Rejected patch (base ${baseRevision}, current ${result.revision})`);
+                reply({ success: false, status: 409, message: 'The same data was modified by another client', revision: result.revision });
+                return;
+            }
+            console.log(`[WebSocket] Applied ${ops.length} operation(s) from ${socket.id} (revision ${result.revision})`);
+            
+            socket.to(room).emit('data:patched', { revision: result.revision, previousRevision: result.revision - 1, ops });
+            reply({
+                success: true,
+                revision: result.revision,
+                missed: result.missed,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`[WebSocket] Error applying patch:`, error);
+            reply({ success: false, status: 400, message: 'Failed to apply patch', error: error.message });
         }
     });
     
@@ -112,47 +804,356 @@ io.on('connection', (socket) => {
     socket.on('disconnect', () => {
         connectedClients--;
         console.log(`[WebSocket] Client disconnected. Total clients: ${connectedClients}`);
+        broadcastPresence(board.id);
     });
 });
 
-// REST API endpoints (for fallback/compatibility)
+// Account endpoints
 
-// Get current data
-app.get('/api/data', (req, res) => {
+// Create an account and sign in: { username, password } -> { token, user }
+app.post('/api/auth/register', (req, res) => {
+    const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+    const password = String((req.body && req.body.password) || '');
+    const isFirstAccount = accounts.users.length === 0;
+    
+    if (!ALLOW_REGISTRATION && !isFirstAccount) {
+        return res.status(403).json({ error: 'Registration is disabled on this server' });
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ error: 'Username must be 3-32 letters, digits, dots, dashes or underscores' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (accounts.users.some(u => u.username === username)) {
+        return res.status(409).json({ error: 'Username is already taken' });
+    }
+    
     try {
-        if (fs.existsSync(DATA_FILE)) {
-            const fileData = fs.readFileSync(DATA_FILE, 'utf8');
-            const appData = JSON.parse(fileData);
-            res.json(appData);
-            console.log('[API] Data sent via REST API');
-        } else {
-            res.json({ dateEntries: {}, tabs: [], listItems: {} });
-            console.log('[API] Empty data sent via REST API (file not found)');
+        const user = {
+            id: `user_${crypto.randomBytes(8).toString('hex')}`,
+            username,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        accounts.users.push(user);
+        saveAccounts();
+        ensurePersonalBoard(user);
+        if (isFirstAccount) {
+            adoptLegacyData(user);
         }
+        console.log(`[Accounts] Created account ${username}`);
+        res.status(201).json({ token: createSession(user), user: toPublicUser(user) });
+    } catch (error) {
+        console.error('[Accounts] Error creating account:', error);
+        res.status(500).json({ error: 'Failed to create account', message: error.message });
+    }
+});
+
+// Sign in: { username, password } -> { token, user }
+app.post('/api/auth/login', (req, res) => {
+    const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+    const password = String((req.body && req.body.password) || '');
+    const user = accounts.users.find(u => u.username === username);
+    
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+        console.log(`[Accounts] Failed sign in for ${username || '(empty)'}`);
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    try {
+        console.log(`[Accounts] ${username} signed in`);
+        res.json({ token: createSession(user), user: toPublicUser(user) });
+    } catch (error) {
+        console.error('[Accounts] Error creating session:', error);
+        res.status(500).json({ error: 'Failed to sign in', message: error.message });
+    }
+});
+
+// Sign out: revokes the token and disconnects sockets that used it
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    accounts.sessions = accounts.sessions.filter(session => session.tokenHash !== req.tokenHash);
+    saveAccounts();
+    
+    const sockets = await io.fetchSockets();
+    sockets.filter(socket => socket.data.tokenHash === req.tokenHash)
+        .forEach(socket => socket.disconnect(true));
+    
+    console.log(`[Accounts] ${req.user.username} signed out`);
+    res.json({ success: true });
+});
+
+// Current user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: toPublicUser(req.user) });
+});
+
+// Board endpoints
+
+// Boards the user is a member of, with their role and the member list
+app.get('/api/boards', requireAuth, (req, res) => {
+    const boards = boardRegistry.boards
+        .filter(board => getMemberRole(board, req.user.id))
+        .map(board => toBoardSummary(board, req.user.id));
+    res.json({ boards });
+});
+
+// Create a board: { name } - the creator becomes its owner
+app.post('/api/boards', requireAuth, (req, res) => {
+    const name = normalizeBoardName(req.body && req.body.name);
+    if (!name) {
+        return res.status(400).json({ error: 'Board name is required' });
+    }
+    try {
+        const board = createBoard(name, req.user);
+        console.log(`[Boards] ${req.user.username} created "${name}"`);
+        res.status(201).json(toBoardSummary(board, req.user.id));
+    } catch (error) {
+        console.error('[Boards] Error creating board:', error);
+        res.status(500).json({ error: 'Failed to create board', message: error.message });
+    }
+});
+
+// Rename a board: { name }
+app.patch('/api/boards/:boardId', requireAuth, requireBoard('owner'), (req, res) => {
+    const name = normalizeBoardName(req.body && req.body.name);
+    if (!name) {
+        return res.status(400).json({ error: 'Board name is required' });
+    }
+    req.board.name = name;
+    saveBoards();
+    broadcastBoardChange(req.board);
+    res.json(toBoardSummary(req.board, req.user.id));
+});
+
+// Add a member or change their role: { username, role: 'editor' | 'viewer' }
+app.put('/api/boards/:boardId/members', requireAuth, requireBoard('owner'), (req, res) => {
+    const username = String((req.body && req.body.username) || '').trim().toLowerCase();
+    const role = req.body && req.body.role;
+    if (role !== 'editor' && role !== 'viewer') {
+        return res.status(400).json({ error: 'Role must be editor or viewer' });
+    }
+    const user = accounts.users.find(u => u.username === username);
+    if (!user) {
+        return res.status(404).json({ error: `No account named "${username}"` });
+    }
+    if (user.id === req.user.id) {
+        return res.status(400).json({ error: 'Owners cannot change their own role' });
+    }
+    
+    const member = req.board.members.find(m => m.userId === user.id);
+    if (member) {
+        member.role = role;
+    } else {
+        req.board.members.push({ userId: user.id, role });
+    }
+    saveBoards();
+    console.log(`[Boards] ${username} is now ${role} of "${req.board.name}"`);
+    broadcastBoardChange(req.board);
+    res.json(toBoardSummary(req.board, req.user.id));
+});
+
+// Remove a member - owners can remove anyone else, members can remove themselves (leave)
+app.delete('/api/boards/:boardId/members/:userId', requireAuth, requireBoard('viewer'), (req, res) => {
+    const { userId } = req.params;
+    const leaving = userId === req.user.id;
+    if (leaving && req.role === 'owner') {
+        return res.status(400).json({ error: 'Owners cannot leave their own board' });
+    }
+    if (!leaving && req.role !== 'owner') {
+        return res.status(403).json({ error: 'Forbidden', message: 'Only the owner can remove members' });
+    }
+    
+    req.board.members = req.board.members.filter(m => m.userId !== userId);
+    saveBoards();
+    console.log(`[Boards] Removed ${userId} from "${req.board.name}"`);
+    broadcastBoardChange(req.board);
+    res.json({ success: true });
+});
+
+// REST API endpoints (for fallback/compatibility)
+
+// Get current data and its revision (also answers HEAD for a cheap revision check)
+app.get(['/api/data', '/api/boards/:boardId/data'], requireAuth, requireBoard('viewer'), (req, res) => {
+    try {
+        const data = readData(req.store);
+        res.set('ETag', getETag(req.store));
+        res.json({ revision: req.store.revision, data });
+        console.log(`[API] Revision ${req.store.revision} sent via REST API`);
     } catch (error) {
         console.error('[API] Error reading data:', error);
         res.status(500).json({ error: 'Failed to read data', message: error.message });
     }
 });
 
-// Update data
-app.post('/api/data', (req, res) => {
+// Update data - requires If-Match with the current ETag, stale writes get a 409
+app.post(['/api/data', '/api/boards/:boardId/data'], requireAuth, requireBoard('editor'), (req, res) => {
+    const store = req.store;
+    if (!matchesCurrentRevision(store, req.get('If-Match'))) {
+        res.set('ETag', getETag(store));
+        console.log(`[API] Rejected stale write (If-Match ${req.get('If-Match') || 'missing'}, current ${getETag(store)})`);
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'Data was modified by another client. Fetch the latest revision and retry.',
+            revision: store.revision
+        });
+    }
+    
     try {
         const data = req.body;
-        fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
-        console.log('[API] Data saved via REST API');
+        const result = writeData(store, data, store.revision);
+        if (result.outdated) {
+            console.log(`[API] Rejected write from schema version ${data.schemaVersion || 0}`);
+            return res.status(409).json({ error: 'Conflict', message: OUTDATED_CLIENT_MESSAGE, revision: store.revision });
+        }
+        if (result.invalid) {
+            console.log(`[API] Rejected write: ${result.invalid}`);
+            return res.status(422).json({ error: 'Unprocessable Entity', message: result.invalid, revision: store.revision });
+        }
+        console.log(`[API] Data saved via REST API (revision ${result.revision})`);
         
-        // Broadcast to all WebSocket clients
-        io.emit('data:updated', data);
+        // Broadcast to the board's WebSocket clients
+        io.to(getBoardRoom(req.board.id)).emit('data:updated', { revision: result.revision, data });
         console.log('[API] Broadcasted update to WebSocket clients');
         
-        res.json({ success: true, timestamp: new Date().toISOString() });
+        res.set('ETag', getETag(store));
+        res.json({ success: true, revision: result.revision, timestamp: new Date().toISOString() });
     } catch (error) {
         console.error('[API] Error saving data:', error);
         res.status(500).json({ error: 'Failed to save data', message: error.message });
     }
 });
 
+// Apply patch operations - If-Match names the revision they were made against
+app.patch(['/api/data', '/api/boards/:boardId/data'], requireAuth, requireBoard('editor'), (req, res) => {
+    const store = req.store;
+    const ops = req.body && req.body.ops;
+    if (!isValidPatch(ops)) {
+        return res.status(400).json({ error: 'Missing or invalid operations' });
+    }
+    const ifMatch = (req.get('If-Match') || '').replace(/^W\//, '').replace(/"/g, '').trim();
+    
+    try {
+        const result = patchData(store, ops, ifMatch, req.body.schemaVersion);
+        res.set('ETag', getETag(store));
+        if (result.outdated) {
+            console.log(`[API] Rejected patch from schema version ${req.body.schemaVersion || 0}`);
+            return res.status(409).json({ error: 'Conflict', message: OUTDATED_CLIENT_MESSAGE, revision: store.revision });
+        }
+        if (result.invalid) {
+            console.log(`[API] Rejected patch: ${result.invalid}`);
+            return res.status(422).json({ error: 'Unprocessable Entity', message: result.invalid, revision: store.revision });
+        }
+        if (!result.ok) {
+            console.log(`[API] Rejected patch (If-Match ${ifMatch || 'missing'}, current ${getETag(store)})`);
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'The same data was modified by another client. Fetch the latest revision and retry.',
+                revision: store.revision
+            });
+        }
+        console.log(`[API] Applied ${ops.length} operation(s) via REST API (revision ${result.revision})`);
+        
+        io.to(getBoardRoom(req.board.id)).emit('data:patched', { revision: result.revision, previousRevision: result.revision - 1, ops });
+        res.json({ success: true, revision: result.revision, missed: result.missed, timestamp: new Date().toISOString() });
+    } catch (error) {
+        console.error('[API] Error applying patch:', error);
+        res.status(400).json({ error: 'Failed to apply patch', message: error.message });
+    }
+});
+
+// Monthly archives of date entries moved out of the client's retention window
+
+function readArchive(store, month) {
+    const archiveFile = path.join(store.archiveDir, `${month}.json`);
+    if (!fs.existsSync(archiveFile)) {
+        return { month, dateEntries: {} };
+    }
+    const archive = JSON.parse(fs.readFileSync(archiveFile, 'utf8'));
+    archive.dateEntries = archive.dateEntries || {};
+    return archive;
+}
+
+// Get archived date entries for a month
+app.get(['/api/archive/:month', '/api/boards/:boardId/archive/:month'], requireAuth, requireBoard('viewer'), (req, res) => {
+    const { month } = req.params;
+    if (!MONTH_PATTERN.test(month)) {
+        return res.status(400).json({ error: 'Invalid month, expected YYYY-MM' });
+    }
+    
+    try {
+        res.json(readArchive(req.store, month));
+        console.log(`[API] Archive ${month} sent via REST API`);
+    } catch (error) {
+        console.error('[API] Error reading archive:', error);
+        res.status(500).json({ error: 'Failed to read archive', message: error.message });
+    }
+});
+
+// Add date entries to a month's archive
+app.post(['/api/archive/:month', '/api/boards/:boardId/archive/:month'], requireAuth, requireBoard('editor'), (req, res) => {
+    const { month } = req.params;
+    if (!MONTH_PATTERN.test(month)) {
+        return res.status(400).json({ error: 'Invalid month, expected YYYY-MM' });
+    }
+    
+    const dateEntries = req.body && req.body.dateEntries;
+    if (!dateEntries || typeof dateEntries !== 'object' || Array.isArray(dateEntries)) {
+        return res.status(400).json({ error: 'Missing dateEntries' });
+    }
+    const otherMonth = Object.keys(dateEntries).find(dateKey => !dateKey.startsWith(`${month}-`));
+    if (otherMonth !== undefined) {
+        return res.status(400).json({ error: `Day "${otherMonth}" does not belong to ${month}` });
+    }
+    const invalid = describeValidationErrors(validateDateEntries(dateEntries).errors);
+    if (invalid) {
+        console.log(`[API] Rejected archive for ${month}: ${invalid}`);
+        return res.status(422).json({ error: 'Unprocessable Entity', message: invalid });
+    }
+    
+    try {
+        const archive = readArchive(req.store, month);
+        Object.assign(archive.dateEntries, dateEntries);
+        fs.mkdirSync(req.store.archiveDir, { recursive: true });
+        writeFileAtomic(path.join(req.store.archiveDir, `${month}.json`), JSON.stringify(archive, null, 2));
+        console.log(`[API] Archived ${Object.keys(dateEntries).length} day(s) to ${month}`);
+        res.json({ success: true, timestamp: new Date().toISOString() });
+    } catch (error) {
+        console.error('[API] Error writing archive:', error);
+        res.status(500).json({ error: 'Failed to write archive', message: error.message });
+    }
+});
+
+// Snapshots of data.json taken before each write, for the client's backup browser
+
+// List backups: { backups: [{ id, createdAt }] }, newest first
+app.get(['/api/backups', '/api/boards/:boardId/backups'], requireAuth, requireBoard('viewer'), (req, res) => {
+    try {
+        res.json({ backups: listBackups(req.store) });
+    } catch (error) {
+        console.error('[API] Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups', message: error.message });
+    }
+});
+
+// Get one backup: { id, data }
+// Viewers can read the data anyway; restoring is a normal write that needs the editor role
+app.get(['/api/backups/:backupId', '/api/boards/:boardId/backups/:backupId'], requireAuth, requireBoard('viewer'), (req, res) => {
+    const { backupId } = req.params;
+    const backupFile = path.join(req.store.backupDir, backupId);
+    if (!BACKUP_FILE_PATTERN.test(backupId) || !fs.existsSync(backupFile)) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    
+    try {
+        res.json({ id: backupId, data: JSON.parse(fs.readFileSync(backupFile, 'utf8')) });
+        console.log(`[API] Backup ${backupId} sent via REST API`);
+    } catch (error) {
+        console.error('[API] Error reading backup:', error);
+        res.status(500).json({ error: 'Failed to read backup', message: error.message });
+    }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -171,13 +1172,28 @@ server.listen(PORT, () => {
     console.log(`WebSocket: ws://localhost:${PORT}`);
     console.log('');
     console.log('Features:');
+    console.log(`  - User accounts (${accounts.users.length} registered, registration ${ALLOW_REGISTRATION ? 'open' : 'closed'})`);
     console.log('  - Real-time sync via WebSocket');
     console.log('  - REST API fallback');
+    console.log(`  - Boards with viewer/editor roles (${boardRegistry.boards.length} boards)`);
+    console.log('  - Optimistic concurrency with per-board revisions');
     console.log('  - Server-side logging');
     console.log('');
     console.log('Endpoints:');
-    console.log(`  GET  ${PORT}/api/data   - Get current data`);
-    console.log(`  POST ${PORT}/api/data   - Update data`);
+    console.log(`  POST ${PORT}/api/auth/register - Create an account`);
+    console.log(`  POST ${PORT}/api/auth/login    - Sign in`);
+    console.log(`  POST ${PORT}/api/auth/logout   - Sign out`);
+    console.log(`  GET  ${PORT}/api/boards        - List your boards`);
+    console.log(`  POST ${PORT}/api/boards        - Create a board`);
+    console.log(`  PUT  ${PORT}/api/boards/:id/members - Share a board (owner)`);
+    console.log(`  *    ${PORT}/api/boards/:id/data    - Board data (same as /api/data)`);
+    console.log(`  GET  ${PORT}/api/data   - Get personal board data and revision (ETag)`);
+    console.log(`  POST ${PORT}/api/data   - Update data (requires If-Match)`);
+    console.log(`  PATCH ${PORT}/api/data  - Apply patch operations (requires If-Match)`);
+    console.log(`  GET  ${PORT}/api/archive/:month - Get archived days`);
+    console.log(`  POST ${PORT}/api/archive/:month - Archive days`);
+    console.log(`  GET  ${PORT}/api/backups        - List snapshots taken before each write`);
+    console.log(`  GET  ${PORT}/api/backups/:id    - Get a snapshot`);
     console.log(`  GET  ${PORT}/api/health - Health check`);
     console.log('='.repeat(60));
 });
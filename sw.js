@@ -1,11 +1,14 @@
 // Service Worker for Daily Board
 // Provides offline support and caching
 
-const CACHE_NAME = 'daily-board-v1';
+const CACHE_NAME = 'daily-board-v5';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
     '/app.js',
+    '/merge.js',
+    '/schema.js',
+    '/sync-providers.js',
     '/styles.css'
 ];
 
@@ -50,8 +53,14 @@ self.addEventListener('activate', (event) => {
 
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', (event) => {
-    // Skip caching for GitHub API requests - always fetch fresh
-    if (event.request.url.includes('api.github.com')) {
+    // Only the app's own static files are cached. Writes, other origins (GitHub API, a
+    // server on another host) and the sync server's API and socket always go to the network:
+    // board data is per user and must never be answered from a cache
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET'
+        || url.origin !== self.location.origin
+        || url.pathname.startsWith('/api/')
+        || url.pathname.startsWith('/socket.io/')) {
         return;
     }
     
@@ -90,3 +99,20 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
 });
+
+// Notification click - open the app on the task of a reminder (shown by app.js)
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { dateKey, taskId } = event.notification.data || {};
+    
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            const client = windowClients[0];
+            if (!client) {
+                return self.clients.openWindow('/');
+            }
+            client.postMessage({ type: 'SHOW_TASK', dateKey, taskId });
+            return client.focus();
+        })
+    );
+});
@@ -1,15 +1,1197 @@
 /**
  * Sync Providers for Daily Board
- * Git-based sync using GitHub repository
- * 
- * Note: This file is maintained for potential future sync provider extensions.
- * Currently, all sync functionality is implemented directly in app.js using GitHub API.
+ * Pluggable storage backends used by fetchData/updateData in app.js
+ *
+ * Every provider implements the same contract:
+ * - id:                  Sync mode identifier stored in `syncMode` (e.g. 'github')
+ * - label:               Human readable name used in status and error messages
+ * - fetch():             Promise<{ data, version }> - load the latest appData
+ * - save(data, message, baseVersion): Promise<{ version }> - persist appData.
+ *                        Throws with status 409 if the remote is no longer at baseVersion
+ * - patch(ops, message, baseVersion): Promise<{ version, missed }> - optional; apply
+ *                        operations from diffAppData (merge.js) instead of saving everything.
+ *                        `missed` lists operations from other writers since baseVersion.
+ *                        Throws with status 409 if the same data changed remotely
+ * - getVersion():        Promise<string|null> - current remote version, null if unknown
+ * - backup(data):        Promise<boolean> - snapshot data before it is overwritten
+ * - listBackups():       Promise<Array<{ id, createdAt }>> - snapshots made by backup(),
+ *                        newest first; createdAt is an ISO date or null if unknown
+ * - fetchBackup(id):     Promise<Object> - the data saved in a snapshot
+ * - watch(onChange):     Subscribe to remote changes, returns an unsubscribe function.
+ *                        onChange receives { version, data } (both optional), or
+ *                        { version, previousVersion, ops } for a remote patch
+ * - archive(month, dateEntries): Promise<void> - add date entries to the monthly
+ *                        archive (e.g. archive/2026-01.json), replacing days already there.
+ *                        May stage them until the next save() (GitHub commits both together)
+ * - fetchArchive(month): Promise<Object> - date entries archived for a month ({} if none)
+ *
+ * Providers throw on failure. Errors may carry `status` (HTTP status) and
+ * `errorType` so app.js can show a meaningful message.
+ *
+ * This file is loaded as a classic script before app.js and shares its global
+ * scope (GITHUB_CONFIG, SERVER_CONFIG, AUTO_SYNC_CONFIG, isOffline, ...).
+ * To add a new backend, implement the contract and call registerSyncProvider().
  */
 
 // ============================================================================
-// Export (empty for now, maintained for module compatibility)
+// Provider Registry
+// ============================================================================
+
+const SYNC_PROVIDERS = {};
+
+/**
+ * Register a sync provider under its id
+ * @param {Object} provider - Provider implementing the sync contract
+ */
+function registerSyncProvider(provider) {
+    SYNC_PROVIDERS[provider.id] = provider;
+}
+
+/**
+ * Look up a sync provider, falling back to local storage for unknown modes
+ * @param {string} id - Sync mode identifier
+ * @returns {Object} The matching provider
+ */
+function getSyncProvider(id) {
+    return SYNC_PROVIDERS[id] || SYNC_PROVIDERS['local-only'];
+}
+
+/**
+ * Create an Error carrying sync metadata for app.js error reporting
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties such as status or errorType
+ * @returns {Error}
+ */
+function createSyncError(message, details = {}) {
+    const error = new Error(message);
+    Object.assign(error, details);
+    return error;
+}
+
+// ============================================================================
+// GitHub Provider
+// ============================================================================
+
+// Backups are named data_backup_YYYYMMDDTHHMMSS.json (UTC), see getBackupTreeEntries()
+// Older versions wrote them to the repository root, newer ones to backups/
+const BACKUP_FILE_PATTERN = /^data_backup_(\d{8})T(\d{6})\.json$/;
+const BACKUP_DIR = 'backups';
+
+// Git blob SHA of the newest backup, so unchanged data is not backed up again
+// null until the backups have been listed once
+let lastBackupSha = null;
+
+// Branch head after our last save ({ commit, tree, dataSha }), so the next save
+// can skip looking up the tree when nobody else pushed in between
+let lastGitHubHead = null;
+
+// Archived date entries waiting for the next save, keyed by month and date
+// Stored so days already removed from the local data survive a reload
+const PENDING_ARCHIVES_KEY = 'dailyBoard_pendingGitHubArchives';
+
+/**
+ * Decode base64 content from the GitHub Contents API as UTF-8
+ * GitHub API returns base64 with newlines; we must strip them before decoding
+ * @param {string} content - Base64 content
+ * @returns {string} Decoded text
+ */
+function decodeGitHubContent(content) {
+    const binString = atob(content.replace(/\s/g, ''));
+    const bytes = Uint8Array.from(binString, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Build request headers for the GitHub API
+ * @param {boolean} withBody - Include a JSON Content-Type header
+ * @returns {Object} Headers object
+ */
+function getGitHubHeaders(withBody = false) {
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json'
+    };
+    if (GITHUB_CONFIG.token) {
+        headers['Authorization'] = `Bearer ${GITHUB_CONFIG.token}`;
+    }
+    if (withBody) {
+        headers['Content-Type'] = 'application/json';
+    }
+    return headers;
+}
+
+/**
+ * Build a GitHub Contents API URL for a repository path
+ * @param {string} path - File path inside the repository
+ * @returns {string} API URL
+ */
+function getGitHubContentsUrl(path) {
+    return `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${path}`;
+}
+
+/**
+ * Call a GitHub repository endpoint that takes and returns JSON (e.g. the Git Data API)
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /repos/:owner/:repo, e.g. 'git/trees'
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Parsed response
+ */
+async function gitHubRequest(method, path, body) {
+    const response = await fetch(`https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/${path}`, {
+        method,
+        headers: getGitHubHeaders(Boolean(body)),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw createSyncError(`GitHub ${method} ${path} failed (status: ${response.status}): ${errorData.message || 'Unknown error'}`, {
+            status: response.status
+        });
+    }
+    return response.json();
+}
+
+/**
+ * Look up the current head of the branch and the blob SHA of data.json in it
+ * @returns {Promise<{commit: string, tree: string, dataSha: string|null}>} Head commit,
+ *          its tree and the data.json SHA (null if the file does not exist)
+ */
+async function getGitHubHead() {
+    const ref = await gitHubRequest('GET', `git/ref/heads/${GITHUB_CONFIG.branch}`);
+    if (lastGitHubHead && lastGitHubHead.commit === ref.object.sha) {
+        return lastGitHubHead;
+    }
+
+    const commit = await gitHubRequest('GET', `git/commits/${ref.object.sha}`);
+    // Walk down to the directory holding data.json (usually the root)
+    const segments = GITHUB_CONFIG.dataPath.split('/');
+    let entry = { sha: commit.tree.sha };
+    for (const name of segments) {
+        const tree = await gitHubRequest('GET', `git/trees/${entry.sha}`);
+        entry = tree.tree.find(item => item.path === name);
+        if (!entry) break;
+    }
+    return { commit: ref.object.sha, tree: commit.tree.sha, dataSha: entry ? entry.sha : null };
+}
+
+/**
+ * Commit changes to several files at once with the Git Data API
+ * The branch is only fast-forwarded from `head`: if anyone pushed in between,
+ * GitHub refuses the update and nothing changes
+ * @param {{commit: string, tree: string}} head - Head to commit on top of, from getGitHubHead()
+ * @param {string} message - Commit message
+ * @param {Array<Object>} tree - Tree entries, e.g. { path, mode: '100644', type: 'blob', content }
+ *                               or { path, mode: '100644', type: 'blob', sha: null } to delete
+ * @returns {Promise<{commit: string, tree: string}>} The new commit and its tree
+ * @throws {Error} With status 409 if the branch moved since `head`
+ */
+async function commitGitHubTree(head, message, tree) {
+    const newTree = await gitHubRequest('POST', 'git/trees', { base_tree: head.tree, tree });
+    const commit = await gitHubRequest('POST', 'git/commits', { message, tree: newTree.sha, parents: [head.commit] });
+    try {
+        await gitHubRequest('PATCH', `git/refs/heads/${GITHUB_CONFIG.branch}`, { sha: commit.sha, force: false });
+    } catch (error) {
+        // 422 "Update is not a fast forward": someone else committed first
+        if (error.status === 422) {
+            throw createSyncError('Branch was updated by another device', { status: 409, errorType: 'UPDATE_FAILED' });
+        }
+        throw error;
+    }
+    return { commit: commit.sha, tree: newTree.sha };
+}
+
+/**
+ * Compute the SHA Git uses for a file with this content
+ * Matches the `sha` the Contents API reports, so files can be compared without downloading them
+ * @param {string} text - File content
+ * @returns {Promise<string>} Hex SHA-1 of the blob
+ */
+async function getGitBlobSha(text) {
+    const bytes = new TextEncoder().encode(text);
+    const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+    const blob = new Uint8Array(header.length + bytes.length);
+    blob.set(header);
+    blob.set(bytes, header.length);
+    const digest = await crypto.subtle.digest('SHA-1', blob);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check the current SHA of data.json from GitHub
+ * Used to detect if the file has been modified remotely
+ * @returns {Promise<string|null>} The current SHA of the file, or null if failed
+ */
+async function checkRemoteSHA() {
+    try {
+        const metaResponse = await fetch(getGitHubContentsUrl(GITHUB_CONFIG.dataPath), {
+            headers: getGitHubHeaders()
+        });
+
+        if (!metaResponse.ok) {
+            const errorMsg = `Failed to check remote SHA: ${metaResponse.status}`;
+            console.error(errorMsg);
+            logError('checkRemoteSHA', new Error(errorMsg), { status: metaResponse.status });
+            return null;
+        }
+
+        const metaData = await metaResponse.json();
+        return metaData.sha;
+    } catch (error) {
+        console.error('Error checking remote SHA:', error);
+        logError('checkRemoteSHA', error);
+        return null;
+    }
+}
+
+/**
+ * Build the tree entries that back up the data.json being replaced
+ * The backup points at the existing blob, so nothing is uploaded; it is skipped when
+ * the data equals the newest backup. When due, expired backups are deleted as well.
+ * @param {string|null} previousSha - Blob SHA of the data.json being replaced
+ * @returns {Promise<Array<Object>>} Tree entries for commitGitHubTree()
+ */
+async function getBackupTreeEntries(previousSha) {
+    if (!GITHUB_CONFIG.backups || !previousSha) {
+        return [];
+    }
+
+    // Listing costs a request per folder, so only list once per session and when pruning is due
+    const lastPrune = Number(localStorage.getItem('dailyBoard_lastBackupPrune')) || 0;
+    const pruneDue = Date.now() - lastPrune >= BACKUP_RETENTION.pruneIntervalMs;
+    let files = null;
+    if (lastBackupSha === null || pruneDue) {
+        try {
+            files = await listGitHubBackupFiles();
+            lastBackupSha = files.length > 0 ? files[0].sha : '';
+        } catch (error) {
+            logError('listGitHubBackupFiles', error, { status: error.status });
+        }
+    }
+
+    const entries = [];
+    if (previousSha !== lastBackupSha) {
+        // Generate timestamp for backup filename (ISO 8601 format without special chars)
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').split('.')[0]; // Format: YYYYMMDDTHHMMSS
+        entries.push({ path: `${BACKUP_DIR}/data_backup_${timestamp}.json`, mode: '100644', type: 'blob', sha: previousSha });
+    } else {
+        console.log('[Backup] Data unchanged since the newest backup, skipping');
+    }
+
+    if (pruneDue && files) {
+        localStorage.setItem('dailyBoard_lastBackupPrune', String(Date.now()));
+        const expired = selectBackupsToPrune(files);
+        if (expired.length > 0) {
+            console.log(`[Backup] Deleting ${expired.length} old backup(s)`);
+        }
+        expired.forEach(file => entries.push({ path: file.path, mode: '100644', type: 'blob', sha: null }));
+    }
+    return entries;
+}
+
+/**
+ * Choose the backups that fall outside BACKUP_RETENTION
+ * Within the hourly and daily ranges the newest backup of each hour or day is kept
+ * @param {Array<{createdAt: string}>} backups - Backups, newest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} Backups to delete
+ */
+function selectBackupsToPrune(backups, now = Date.now()) {
+    const keptBuckets = new Set();
+    return backups.filter(backup => {
+        const time = Date.parse(backup.createdAt);
+        const age = now - time;
+        if (age <= BACKUP_RETENTION.keepAllMs) return false;
+        if (age > BACKUP_RETENTION.dailyMs) return true;
+
+        const bucket = age <= BACKUP_RETENTION.hourlyMs
+            ? `hour-${Math.floor(time / (60 * 60 * 1000))}`
+            : `day-${Math.floor(time / (24 * 60 * 60 * 1000))}`;
+        if (keptBuckets.has(bucket)) return true;
+        keptBuckets.add(bucket);
+        return false;
+    });
+}
+
+/**
+ * Turn a backup file name into its creation time
+ * @param {string} name - e.g. data_backup_20260105T162338.json
+ * @returns {string|null} ISO date, or null if the name has no timestamp
+ */
+function parseBackupTimestamp(name) {
+    const match = BACKUP_FILE_PATTERN.exec(name);
+    if (!match) return null;
+    const [, date, time] = match;
+    return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}Z`;
+}
+
+/**
+ * List the backup files in backups/ and, from older versions, the repository root
+ * @returns {Promise<Array<{path: string, sha: string, createdAt: string}>>} Backups, newest first
+ */
+async function listGitHubBackupFiles() {
+    const files = [];
+    for (const dir of [BACKUP_DIR, '']) {
+        const response = await fetch(getGitHubContentsUrl(dir), {
+            headers: getGitHubHeaders()
+        });
+        // backups/ does not exist until the first backup is written there
+        if (response.status === 404) continue;
+        if (!response.ok) {
+            throw createSyncError(`Failed to list backups: ${response.status}`, { status: response.status });
+        }
+        files.push(...(await response.json()).filter(file => BACKUP_FILE_PATTERN.test(file.name)));
+    }
+
+    return files
+        .map(file => ({ path: file.path, sha: file.sha, createdAt: parseBackupTimestamp(file.name) }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * List the backups saves committed to the repository
+ * @returns {Promise<Array<{id: string, createdAt: string}>>} Backups, newest first
+ */
+async function listGitHubBackups() {
+    const files = await listGitHubBackupFiles();
+    return files.map(file => ({ id: file.path, createdAt: file.createdAt }));
+}
+
+/**
+ * Read a backup file from GitHub
+ * @param {string} path - Backup path from listGitHubBackups()
+ * @returns {Promise<Object>} The backed up data
+ */
+async function fetchGitHubBackup(path) {
+    const slash = path.lastIndexOf('/');
+    const dir = slash === -1 ? '' : path.slice(0, slash);
+    if ((dir && dir !== BACKUP_DIR) || !BACKUP_FILE_PATTERN.test(path.slice(slash + 1))) {
+        throw createSyncError(`Not a backup file: ${path}`);
+    }
+    const response = await fetch(getGitHubContentsUrl(path), {
+        headers: getGitHubHeaders()
+    });
+    if (!response.ok) {
+        throw createSyncError(`Failed to fetch backup ${path}: ${response.status}`, { status: response.status });
+    }
+
+    const metaData = await response.json();
+    if (!metaData.content) {
+        throw new Error(`No content found for backup ${path}`);
+    }
+    return JSON.parse(decodeGitHubContent(metaData.content));
+}
+
+/**
+ * Fetch data from GitHub repository
+ * Uses the GitHub Contents API to get the file content directly,
+ * which avoids the caching issue that occurs with raw.githubusercontent.com
+ * (raw URLs can cache for up to 5 minutes, causing sync delays between devices)
+ * @returns {Promise<{data: Object, version: string}>} Parsed data and its file SHA
+ */
+async function fetchDataFromGitHub() {
+    // Fetch file metadata and content in one API call
+    const metaResponse = await fetch(getGitHubContentsUrl(GITHUB_CONFIG.dataPath), {
+        headers: getGitHubHeaders()
+    });
+
+    if (!metaResponse.ok) {
+        throw createSyncError(`Failed to fetch metadata: ${metaResponse.status}`, { status: metaResponse.status });
+    }
+
+    const metaData = await metaResponse.json();
+
+    // Validate API response includes content
+    if (!metaData.content) {
+        throw new Error('No content found in API response');
+    }
+
+    // Decode the base64 content from the API response
+    // This avoids the caching issue with raw.githubusercontent.com
+    let decodedContent;
+    try {
+        decodedContent = decodeGitHubContent(metaData.content);
+    } catch (decodeError) {
+        throw new Error(`Failed to decode base64 content: ${decodeError.message}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(decodedContent);
+    } catch (parseError) {
+        throw new Error(`Failed to parse JSON content: ${parseError.message}`);
+    }
+
+    return { data, version: metaData.sha };
+}
+
+/**
+ * Write data.json to GitHub as a single commit
+ * The commit also holds the archive files of days archived since the last save, the
+ * backup of the previous data.json and any expired backups being deleted, and only
+ * fast-forwards the branch
+ * @param {Object} data - The data to write
+ * @param {string} message - Commit message
+ * @param {string|null} baseVersion - SHA the local data is based on
+ * @returns {Promise<{version: string}>} The SHA of the written file
+ * @throws {Error} With status 409 if data.json no longer has the base SHA or the branch moved
+ */
+async function updateDataToGitHub(data, message, baseVersion) {
+    if (!GITHUB_CONFIG.token) {
+        throw createSyncError('GitHub token not configured', { errorType: 'NO_TOKEN' });
+    }
+
+    let head;
+    try {
+        head = await getGitHubHead();
+    } catch (error) {
+        console.error('Failed to fetch branch head:', error);
+        throw createSyncError(`Failed to fetch file SHA (status: ${error.status})`, {
+            status: error.status,
+            errorType: 'FETCH_SHA_FAILED'
+        });
+    }
+
+    // Another device updated data.json since our data was loaded - merge first
+    if (baseVersion && head.dataSha !== baseVersion) {
+        throw createSyncError('data.json was modified remotely', { status: 409, errorType: 'UPDATE_FAILED' });
+    }
+
+    const content = JSON.stringify(data, null, 2);
+    const archives = readPendingGitHubArchives();
+    const tree = [
+        { path: GITHUB_CONFIG.dataPath, mode: '100644', type: 'blob', content },
+        ...await getArchiveTreeEntries(archives),
+        ...await getBackupTreeEntries(head.dataSha)
+    ];
+
+    let commit;
+    try {
+        commit = await commitGitHubTree(head, message, tree);
+    } catch (error) {
+        console.error('GitHub API error details:', error.message);
+        if (error.status === 409) {
+            throw error;
+        }
+        throw createSyncError(`Failed to update data (status: ${error.status}): ${error.message}`, {
+            status: error.status,
+            errorType: 'UPDATE_FAILED'
+        });
+    }
+
+    if (head.dataSha && tree.some(entry => entry.sha === head.dataSha)) {
+        lastBackupSha = head.dataSha;
+    }
+    clearPendingGitHubArchives(archives);
+    const dataSha = await getGitBlobSha(content);
+    lastGitHubHead = { ...commit, dataSha };
+    return { version: dataSha };
+}
+
+/**
+ * Get the repository path of a monthly archive file
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {string} Repository path
+ */
+function getArchivePath(month) {
+    return `archive/${month}.json`;
+}
+
+/**
+ * Read a monthly archive file from GitHub
+ * @param {string} month - Month key (YYYY-MM)
+ * @returns {Promise<{archive: Object, sha: string|null}>} Archive contents and file SHA (null if new)
+ */
+async function readGitHubArchive(month) {
+    const response = await fetch(getGitHubContentsUrl(getArchivePath(month)), {
+        headers: getGitHubHeaders()
+    });
+
+    if (response.status === 404) {
+        return { archive: { month, dateEntries: {} }, sha: null };
+    }
+    if (!response.ok) {
+        throw createSyncError(`Failed to fetch archive ${month}: ${response.status}`, { status: response.status });
+    }
+
+    const metaData = await response.json();
+    const archive = JSON.parse(decodeGitHubContent(metaData.content));
+    archive.dateEntries = archive.dateEntries || {};
+    return { archive, sha: metaData.sha };
+}
+
+/**
+ * Load the archived date entries waiting for the next save
+ * @returns {Object} Date entries keyed by month, then by date
+ */
+function readPendingGitHubArchives() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_ARCHIVES_KEY)) || {};
+    } catch (error) {
+        logError('readPendingGitHubArchives', error);
+        return {};
+    }
+}
+
+/**
+ * Stage date entries for their monthly archive file
+ * They are committed together with data.json by the next save, so the days are
+ * never in both files or in neither
+ * @param {string} month - Month key (YYYY-MM)
+ * @param {Object} dateEntries - Entries to archive, keyed by date
+ */
+function archiveToGitHub(month, dateEntries) {
+    if (!GITHUB_CONFIG.token) {
+        throw createSyncError('GitHub token not configured', { errorType: 'NO_TOKEN' });
+    }
+
+    const pending = readPendingGitHubArchives();
+    pending[month] = Object.assign(pending[month] || {}, dateEntries);
+    localStorage.setItem(PENDING_ARCHIVES_KEY, JSON.stringify(pending));
+}
+
+/**
+ * Build the tree entries that add staged date entries to their archive files
+ * @param {Object} archives - Staged entries from readPendingGitHubArchives()
+ * @returns {Promise<Array<Object>>} Tree entries for commitGitHubTree()
+ */
+async function getArchiveTreeEntries(archives) {
+    const entries = [];
+    for (const month of Object.keys(archives)) {
+        const { archive } = await readGitHubArchive(month);
+        Object.assign(archive.dateEntries, archives[month]);
+        entries.push({ path: getArchivePath(month), mode: '100644', type: 'blob', content: JSON.stringify(archive, null, 2) });
+    }
+    return entries;
+}
+
+/**
+ * Forget staged entries once a save committed them
+ * Entries staged again while the save was running are kept for the next one
+ * @param {Object} committed - Entries that went into the commit
+ */
+function clearPendingGitHubArchives(committed) {
+    const pending = readPendingGitHubArchives();
+    Object.keys(committed).forEach(month => {
+        Object.keys(committed[month]).forEach(dateKey => {
+            if (pending[month] && JSON.stringify(pending[month][dateKey]) === JSON.stringify(committed[month][dateKey])) {
+                delete pending[month][dateKey];
+            }
+        });
+        if (pending[month] && Object.keys(pending[month]).length === 0) {
+            delete pending[month];
+        }
+    });
+    if (Object.keys(pending).length > 0) {
+        localStorage.setItem(PENDING_ARCHIVES_KEY, JSON.stringify(pending));
+    } else {
+        localStorage.removeItem(PENDING_ARCHIVES_KEY);
+    }
+}
+
+const GitHubSyncProvider = {
+    id: 'github',
+    label: 'GitHub',
+
+    fetch() {
+        return fetchDataFromGitHub();
+    },
+
+    save(data, message, baseVersion) {
+        return updateDataToGitHub(data, message, baseVersion);
+    },
+
+    getVersion() {
+        return checkRemoteSHA();
+    },
+
+    async backup() {
+        // save() commits a backup of the previous data.json together with the new one
+        return true;
+    },
+
+    listBackups() {
+        return listGitHubBackups();
+    },
+
+    fetchBackup(id) {
+        return fetchGitHubBackup(id);
+    },
+
+    async archive(month, dateEntries) {
+        // Staged; save() commits the archive files together with data.json
+        archiveToGitHub(month, dateEntries);
+    },
+
+    async fetchArchive(month) {
+        const { archive } = await readGitHubArchive(month);
+        // Days archived since the last save are not on GitHub yet
+        return { ...archive.dateEntries, ...readPendingGitHubArchives()[month] };
+    },
+
+    /**
+     * Poll the data.json SHA while the page is visible
+     * GitHub has no push channel, so changes are detected by comparing versions
+     */
+    watch(onChange) {
+        const timer = setInterval(async () => {
+            // Prevent concurrent executions
+            if (AUTO_SYNC_CONFIG.isChecking) {
+                console.log('[Auto-Sync] Previous check still in progress, skipping');
+                return;
+            }
+
+            // Check if page is currently visible/active
+            // Only perform auto-sync when user is actively viewing the page
+            if (document.hidden) {
+                console.log('[Auto-Sync] Page not visible, skipping poll');
+                AUTO_SYNC_CONFIG.pausedDueToVisibility = true;
+                // Still update the display to show time elapsed
+                updateSyncStatusDisplay();
+                return;
+            }
+
+            // Log when resuming after being paused
+            if (AUTO_SYNC_CONFIG.pausedDueToVisibility) {
+                console.log('[Auto-Sync] Page now visible, resuming sync');
+                AUTO_SYNC_CONFIG.pausedDueToVisibility = false;
+            }
+
+            if (isOffline || isSyncing) {
+                console.log('[Auto-Sync] Skipping poll (offline or sync in progress)');
+                updateSyncStatusDisplay();
+                return;
+            }
+
+            AUTO_SYNC_CONFIG.isChecking = true;
+            try {
+                const version = await checkRemoteSHA();
+                if (version) {
+                    await onChange({ version });
+                } else {
+                    console.log('[Auto-Sync] Remote SHA check failed, skipping poll');
+                }
+            } catch (error) {
+                // Log error but don't show intrusive notifications for background sync failures
+                logError('autoSync', error);
+            } finally {
+                AUTO_SYNC_CONFIG.isChecking = false;
+            }
+
+            // Update sync status display on every poll cycle
+            updateSyncStatusDisplay();
+        }, AUTO_SYNC_CONFIG.intervalMs);
+
+        return () => clearInterval(timer);
+    }
+};
+
+// ============================================================================
+// Server Provider (server.js)
+// ============================================================================
+
+/**
+ * Turn a server revision into the provider version string ('12')
+ * @param {number|string|null} revision - Revision number or ETag ('"12"')
+ * @returns {string|null} Version
+ */
+function toServerVersion(revision) {
+    if (revision === null || revision === undefined) return null;
+    return String(revision).replace(/^W\//, '').replace(/"/g, '');
+}
+
+/**
+ * Build request headers for server.js, including the session token
+ * @param {Object} headers - Additional headers
+ * @returns {Object} Headers with `Authorization` when signed in
+ */
+function getServerHeaders(headers = {}) {
+    if (SERVER_CONFIG.token) {
+        return { ...headers, Authorization: `Bearer ${SERVER_CONFIG.token}` };
+    }
+    return headers;
+}
+
+/**
+ * Base URL for the open board's data and archive endpoints
+ * Without a board id the server uses the user's personal board
+ * @returns {string} e.g. 'http://localhost:3000/api/boards/board_1a2b'
+ */
+function getServerBoardUrl() {
+    if (SERVER_CONFIG.boardId) {
+        return `${SERVER_CONFIG.url}/api/boards/${encodeURIComponent(SERVER_CONFIG.boardId)}`;
+    }
+    return `${SERVER_CONFIG.url}/api`;
+}
+
+/**
+ * Load the socket.io client script served by server.js
+ * @returns {Promise<void>} Resolves once `io` is available
+ */
+function loadSocketIoClient() {
+    if (typeof io !== 'undefined') {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${SERVER_CONFIG.url}/socket.io/socket.io.js`;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+        document.head.appendChild(script);
+    });
+}
+
+const ServerSyncProvider = {
+    id: 'server',
+    label: 'Server',
+    socket: null,
+    // Latest revision this client read or wrote, so echoes of our own patches are ignored
+    revision: 0,
+    revisionUrl: null,
+
+    trackRevision(revision) {
+        const version = toServerVersion(revision);
+        if (this.revisionUrl !== getServerBoardUrl()) {
+            // Revisions only compare within one board on one server
+            this.revisionUrl = getServerBoardUrl();
+            this.revision = 0;
+        }
+        this.revision = Math.max(this.revision, Number(version) || 0);
+        return version;
+    },
+
+    async fetch() {
+        const response = await fetch(`${getServerBoardUrl()}/data`, { cache: 'no-store', headers: getServerHeaders() });
+        if (!response.ok) {
+            throw createSyncError(`Failed to fetch data from server: ${response.status}`, { status: response.status });
+        }
+        const result = await response.json();
+        return { data: result.data, version: this.trackRevision(result.revision) };
+    },
+
+    /**
+     * Send a write over the open socket and wait for the server's reply
+     * @param {string} event - 'data:update' or 'data:patch'
+     * @param {Object} payload - Event payload
+     * @returns {Promise<Object>} The server's reply
+     */
+    async emitWrite(event, payload) {
+        const response = await new Promise((resolve, reject) => {
+            this.socket.timeout(10000).emit(event, payload, (error, reply) => {
+                if (error) {
+                    reject(createSyncError('Server did not acknowledge the update', { errorType: 'UPDATE_FAILED' }));
+                } else {
+                    resolve(reply);
+                }
+            });
+        });
+        if (!response.success) {
+            throw createSyncError(`Failed to save data to server: ${response.message}`, {
+                status: response.status,
+                errorType: 'UPDATE_FAILED'
+            });
+        }
+        return response;
+    },
+
+    /**
+     * Save based on a revision; the server rejects stale revisions with 409
+     */
+    async save(data, message, baseVersion) {
+        // Prefer the open socket so the server can broadcast to everyone but us
+        if (this.socket && this.socket.connected) {
+            console.log('[WebSocket] Sending update:', message);
+            const response = await this.emitWrite('data:update', { data, baseRevision: baseVersion });
+            return { version: this.trackRevision(response.revision) };
+        }
+
+        const headers = getServerHeaders({ 'Content-Type': 'application/json' });
+        if (baseVersion) {
+            headers['If-Match'] = `"${baseVersion}"`;
+        }
+        const response = await fetch(`${getServerBoardUrl()}/data`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) {
+            throw createSyncError(`Failed to save data to server: ${response.status}`, {
+                status: response.status,
+                errorType: 'UPDATE_FAILED'
+            });
+        }
+        const result = await response.json();
+        return { version: this.trackRevision(result.revision) };
+    },
+
+    /**
+     * Send only the changed operations; the server applies them on top of
+     * writes from other clients unless those touched the same data (409)
+     */
+    async patch(ops, message, baseVersion) {
+        let result;
+        if (this.socket && this.socket.connected) {
+            console.log(`[WebSocket] Sending ${ops.length} operation(s):`, message);
+            result = await this.emitWrite('data:patch', { ops, baseRevision: baseVersion, schemaVersion: SCHEMA_VERSION });
+        } else {
+            const response = await fetch(`${getServerBoardUrl()}/data`, {
+                method: 'PATCH',
+                headers: getServerHeaders({ 'Content-Type': 'application/json', 'If-Match': `"${baseVersion}"` }),
+                body: JSON.stringify({ ops, schemaVersion: SCHEMA_VERSION })
+            });
+            if (!response.ok) {
+                throw createSyncError(`Failed to save data to server: ${response.status}`, {
+                    status: response.status,
+                    errorType: 'UPDATE_FAILED'
+                });
+            }
+            result = await response.json();
+        }
+        return { version: this.trackRevision(result.revision), missed: result.missed || [] };
+    },
+
+    async getVersion() {
+        // HEAD runs the GET handler without a body - the ETag carries the revision
+        const response = await fetch(`${getServerBoardUrl()}/data`, {
+            method: 'HEAD',
+            cache: 'no-store',
+            headers: getServerHeaders()
+        });
+        if (!response.ok) {
+            return null;
+        }
+        return toServerVersion(response.headers.get('ETag'));
+    },
+
+    async backup() {
+        // The server snapshots data.json itself before every write
+        return true;
+    },
+
+    async listBackups() {
+        const response = await fetch(`${getServerBoardUrl()}/backups`, { cache: 'no-store', headers: getServerHeaders() });
+        if (!response.ok) {
+            throw createSyncError(`Failed to list backups on server: ${response.status}`, { status: response.status });
+        }
+        return (await response.json()).backups;
+    },
+
+    async fetchBackup(id) {
+        const response = await fetch(`${getServerBoardUrl()}/backups/${encodeURIComponent(id)}`, { cache: 'no-store', headers: getServerHeaders() });
+        if (!response.ok) {
+            throw createSyncError(`Failed to fetch backup from server: ${response.status}`, { status: response.status });
+        }
+        return (await response.json()).data;
+    },
+
+    /**
+     * Sign in, or create an account first
+     * @param {string} username - Account name
+     * @param {string} password - Password
+     * @param {boolean} createAccount - Register instead of signing in
+     * @returns {Promise<{token: string, user: {id: string, username: string}}>}
+     */
+    async signIn(username, password, createAccount = false) {
+        const response = await fetch(`${SERVER_CONFIG.url}/api/auth/${createAccount ? 'register' : 'login'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw createSyncError(result.error || `Sign in failed: ${response.status}`, { status: response.status });
+        }
+        return result;
+    },
+
+    /**
+     * Call a board management endpoint
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Path below /api/boards
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Parsed response
+     */
+    async boardRequest(method, pathname, body) {
+        const response = await fetch(`${SERVER_CONFIG.url}/api/boards${pathname}`, {
+            method,
+            headers: getServerHeaders({ 'Content-Type': 'application/json' }),
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw createSyncError(result.message || result.error || `Board request failed: ${response.status}`, { status: response.status });
+        }
+        return result;
+    },
+
+    async listBoards() {
+        return (await this.boardRequest('GET', '')).boards;
+    },
+
+    createBoard(name) {
+        return this.boardRequest('POST', '', { name });
+    },
+
+    renameBoard(boardId, name) {
+        return this.boardRequest('PATCH', `/${encodeURIComponent(boardId)}`, { name });
+    },
+
+    setBoardMember(boardId, username, role) {
+        return this.boardRequest('PUT', `/${encodeURIComponent(boardId)}/members`, { username, role });
+    },
+
+    removeBoardMember(boardId, userId) {
+        return this.boardRequest('DELETE', `/${encodeURIComponent(boardId)}/members/${encodeURIComponent(userId)}`);
+    },
+
+    /**
+     * Revoke the current session token on the server
+     */
+    async signOut() {
+        const response = await fetch(`${SERVER_CONFIG.url}/api/auth/logout`, {
+            method: 'POST',
+            headers: getServerHeaders()
+        });
+        // An expired token is as good as revoked
+        if (!response.ok && response.status !== 401) {
+            throw createSyncError(`Sign out failed: ${response.status}`, { status: response.status });
+        }
+    },
+
+    async archive(month, dateEntries) {
+        const response = await fetch(`${getServerBoardUrl()}/archive/${month}`, {
+            method: 'POST',
+            headers: getServerHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ dateEntries })
+        });
+        if (!response.ok) {
+            throw createSyncError(`Failed to archive to server: ${response.status}`, { status: response.status });
+        }
+    },
+
+    async fetchArchive(month) {
+        const response = await fetch(`${getServerBoardUrl()}/archive/${month}`, { cache: 'no-store', headers: getServerHeaders() });
+        if (!response.ok) {
+            throw createSyncError(`Failed to fetch archive from server: ${response.status}`, { status: response.status });
+        }
+        const archive = await response.json();
+        return archive.dateEntries || {};
+    },
+
+    /**
+     * Subscribe to `data:updated` broadcasts over socket.io
+     * The socket.io client is loaded from the server itself when not already present
+     */
+    watch(onChange) {
+        let stopped = false;
+        let socket = null;
+
+        loadSocketIoClient().then(() => {
+            if (stopped) return;
+            console.log('[WebSocket] Connecting to', SERVER_CONFIG.url);
+            // The session token authenticates the handshake; the server only
+            // sends this socket updates for the open board
+            socket = io(SERVER_CONFIG.url, { auth: { token: SERVER_CONFIG.token, boardId: SERVER_CONFIG.boardId } });
+            this.socket = socket;
+            this.listen(socket, onChange);
+        }).catch((error) => {
+            logError('WebSocket client', error);
+            showError(`Could not load the socket.io client from ${SERVER_CONFIG.url}. Live updates are off until the page is reloaded.`);
+        });
+
+        return () => {
+            stopped = true;
+            if (socket) {
+                socket.disconnect();
+            }
+            if (this.socket === socket) {
+                this.socket = null;
+            }
+        };
+    },
+
+    /**
+     * Wire socket events to the watch callback
+     * @param {Object} socket - Connected socket.io client
+     * @param {Function} onChange - Called with {data, version} or {version}
+     */
+    listen(socket, onChange) {
+        let hasConnected = false;
+
+        socket.on('connect', async () => {
+            // Catch up on updates broadcast while we were disconnected
+            if (hasConnected) {
+                const version = await this.getVersion().catch(() => null);
+                if (version) {
+                    onChange({ version });
+                }
+            }
+            hasConnected = true;
+        });
+
+        socket.on('connected', (data) => {
+            console.log('[WebSocket] Connected:', data.message);
+        });
+
+        // Receive updates from other clients
+        socket.on('data:updated', (update) => {
+            console.log(`[WebSocket] Received revision ${update.revision} from another client`);
+            onChange({ data: update.data, version: this.trackRevision(update.revision) });
+        });
+
+        socket.on('data:patched', (update) => {
+            // Our own REST patches are broadcast back, and patches already
+            // included in a newer revision we hold need no further work
+            if (update.revision <= this.revision) return;
+            console.log(`[WebSocket] Received ${update.ops.length} operation(s) for revision ${update.revision}`);
+            onChange({
+                ops: update.ops,
+                previousVersion: toServerVersion(update.previousRevision),
+                version: this.trackRevision(update.revision)
+            });
+        });
+
+        // Board sharing (see the Boards section in app.js)
+        socket.on('presence', (presence) => {
+            updateBoardPresence(presence.users);
+        });
+
+        socket.on('board:updated', (board) => {
+            handleBoardUpdate(board);
+        });
+
+        socket.on('board:removed', (update) => {
+            handleBoardRemoved(update.boardId);
+        });
+
+        socket.on('data:saved', (response) => {
+            console.log('[WebSocket] Data saved successfully:', response.timestamp);
+        });
+
+        socket.on('data:error', (error) => {
+            logError('WebSocket data', new Error(error.message));
+            showError('Server sync error: ' + error.message);
+        });
+
+        socket.on('connect_error', (error) => {
+            logError('WebSocket connection', error);
+            // Rejected handshakes are not retried by socket.io
+            if (error.message === 'Unauthorized') {
+                showError('The server rejected your session. Sign in again under "⚙️ Sync Configuration".');
+            } else if (error.message === 'Board not found') {
+                handleBoardRemoved(SERVER_CONFIG.boardId);
+            }
+        });
+
+        socket.on('disconnect', () => {
+            console.log('[WebSocket] Disconnected from server');
+        });
+    }
+};
+
+// ============================================================================
+// Local Storage Provider
+// ============================================================================
+
+const LocalStorageSyncProvider = {
+    id: 'local-only',
+    label: 'Local Storage',
+
+    async fetch() {
+        const backup = localStorage.getItem('dailyBoard_backup');
+        if (backup) {
+            return { data: JSON.parse(backup), version: null };
+        }
+
+        // Older versions only kept the tabs in localStorage
+        const data = {};
+        const tabsData = localStorage.getItem('dailyBoard_global_tabs');
+        if (tabsData) {
+            try {
+                data.tabs = JSON.parse(tabsData);
+            } catch (e) {
+                console.error('Failed to parse localStorage tabs data:', e);
+            }
+        }
+        return { data, version: null };
+    },
+
+    async save(data) {
+        localStorage.setItem('dailyBoard_backup', JSON.stringify(data));
+        return { version: null };
+    },
+
+    async getVersion() {
+        return null;
+    },
+
+    async backup() {
+        const previous = localStorage.getItem('dailyBoard_backup');
+        if (previous) {
+            localStorage.setItem('dailyBoard_backup_previous', previous);
+        }
+        return true;
+    },
+
+    /**
+     * Only the data from before the last save is kept in this browser
+     */
+    async listBackups() {
+        return localStorage.getItem('dailyBoard_backup_previous') ? [{ id: 'previous', createdAt: null }] : [];
+    },
+
+    async fetchBackup() {
+        const previous = localStorage.getItem('dailyBoard_backup_previous');
+        if (!previous) {
+            throw createSyncError('No backup stored in this browser', { status: 404 });
+        }
+        return JSON.parse(previous);
+    },
+
+    async archive(month, dateEntries) {
+        const key = `dailyBoard_archive_${month}`;
+        const stored = localStorage.getItem(key);
+        const archive = stored ? JSON.parse(stored) : { month, dateEntries: {} };
+        Object.assign(archive.dateEntries, dateEntries);
+        localStorage.setItem(key, JSON.stringify(archive));
+    },
+
+    async fetchArchive(month) {
+        const stored = localStorage.getItem(`dailyBoard_archive_${month}`);
+        return stored ? JSON.parse(stored).dateEntries || {} : {};
+    },
+
+    /**
+     * Pick up changes made in other tabs of the same browser
+     */
+    watch(onChange) {
+        const handleStorage = (event) => {
+            if (event.key === 'dailyBoard_backup' && event.newValue) {
+                try {
+                    onChange({ data: JSON.parse(event.newValue) });
+                } catch (error) {
+                    logError('localStorage watch', error);
+                }
+            }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }
+};
+
+registerSyncProvider(GitHubSyncProvider);
+registerSyncProvider(ServerSyncProvider);
+registerSyncProvider(LocalStorageSyncProvider);
+
+// ============================================================================
+// Export
 // ============================================================================
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {};
+    module.exports = {
+        SYNC_PROVIDERS,
+        registerSyncProvider,
+        getSyncProvider,
+        GitHubSyncProvider,
+        ServerSyncProvider,
+        LocalStorageSyncProvider
+    };
 }